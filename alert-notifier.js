@@ -0,0 +1,135 @@
+import crypto from 'crypto';
+import { getMailTransport } from './mailer.js';
+
+/**
+ * Staff alerts (e.g. pickup orders overdue in a stage)
+ *
+ * Alerts go out on every channel in ALERT_CHANNELS (comma-separated, default none):
+ *
+ *   'email'   - to ALERT_EMAIL_TO (comma-separated) from ALERT_EMAIL_FROM or SMTP_FROM, through SMTP
+ *   'webhook' - the alert as JSON, POSTed to ALERT_WEBHOOK_URL (Slack workflows, Teams, Zapier, ...);
+ *               with ALERT_WEBHOOK_SECRET set it's signed in X-Alert-Signature,
+ *               base64 HMAC-SHA256 of the body, the same way Shopify signs webhooks
+ *
+ * More channels can be added with registerAlertChannel.
+ *
+ * alert fields:
+ *   id, kind ('sla-overdue'), at
+ *   title - one line, e.g. "2 pickup orders overdue"
+ *   text - plain text, one line per order
+ *   orders - [{ orderId, orderName, pickupLocation, stage, since, hours, slaHours }]
+ */
+
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+const channels = new Map();
+
+/**
+ * Add a way of sending alerts; send(alert) should throw when the alert didn't go out
+ */
+export function registerAlertChannel(name, send) {
+  channels.set(name, send);
+}
+
+/**
+ * Channels alerts go out on (ALERT_CHANNELS)
+ */
+export function getAlertChannels() {
+  return (process.env.ALERT_CHANNELS || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Check the alert settings and return a list of problems (empty when valid)
+ */
+export function validateAlertChannels() {
+  const problems = [];
+
+  for (const name of getAlertChannels()) {
+    if (!channels.has(name)) {
+      problems.push(`ALERT_CHANNELS: unknown channel "${name}" (${[...channels.keys()].join(', ')})`);
+    } else if (name === 'email' && !process.env.ALERT_EMAIL_TO) {
+      problems.push('ALERT_CHANNELS has email but ALERT_EMAIL_TO is not set');
+    } else if (name === 'email' && !process.env.SMTP_HOST) {
+      problems.push('ALERT_CHANNELS has email but SMTP_HOST is not set');
+    } else if (name === 'webhook' && !process.env.ALERT_WEBHOOK_URL) {
+      problems.push('ALERT_CHANNELS has webhook but ALERT_WEBHOOK_URL is not set');
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * A new alert ready to send
+ */
+export function createAlert({ kind, title, text, orders = [] }) {
+  return { id: crypto.randomUUID(), kind, at: new Date().toISOString(), title, text, orders };
+}
+
+/**
+ * Send an alert on one channel
+ * Throws when the channel doesn't exist or couldn't send; returns what the channel returned.
+ */
+export async function sendAlert(channel, alert) {
+  const send = channels.get(channel);
+
+  if (!send) {
+    throw new Error(`Unknown alert channel "${channel}"`);
+  }
+
+  return send(alert);
+}
+
+/**
+ * Is this a channel sendAlert knows?
+ */
+export function hasAlertChannel(channel) {
+  return channels.has(channel);
+}
+
+registerAlertChannel('email', async (alert) => {
+  if (!process.env.ALERT_EMAIL_TO) {
+    throw new Error('ALERT_EMAIL_TO is not set');
+  }
+
+  const info = await getMailTransport().sendMail({
+    from: process.env.ALERT_EMAIL_FROM || process.env.SMTP_FROM,
+    to: process.env.ALERT_EMAIL_TO,
+    subject: alert.title,
+    text: alert.text
+  });
+
+  return { messageId: info.messageId };
+});
+
+registerAlertChannel('webhook', async (alert) => {
+  if (!process.env.ALERT_WEBHOOK_URL) {
+    throw new Error('ALERT_WEBHOOK_URL is not set');
+  }
+
+  const body = JSON.stringify(alert);
+  const headers = { 'Content-Type': 'application/json' };
+
+  if (process.env.ALERT_WEBHOOK_SECRET) {
+    headers['X-Alert-Signature'] = crypto
+      .createHmac('sha256', process.env.ALERT_WEBHOOK_SECRET)
+      .update(body, 'utf8')
+      .digest('base64');
+  }
+
+  const response = await fetch(process.env.ALERT_WEBHOOK_URL, {
+    method: 'POST',
+    headers,
+    body,
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Alert webhook answered ${response.status}`);
+  }
+
+  return { status: response.status };
+});
@@ -0,0 +1,118 @@
+import crypto from 'crypto';
+import { appendJsonLine, streamJsonLines, rewriteJsonLines } from './json-store.js';
+
+const AUDIT_FILE = 'audit-log.jsonl';
+
+// Entries are kept for AUDIT_RETENTION_DAYS - by default a little over a year, the longest range the dashboard shows
+function getRetentionMs() {
+  return parseFloat(process.env.AUDIT_RETENTION_DAYS || '400') * 24 * 60 * 60 * 1000;
+}
+
+// Entries are written with their timestamp up front, so it can be read without parsing the whole line
+function timestampOf(line) {
+  const match = line.match(/"timestamp":"([^"]+)"/);
+  return match ? Date.parse(match[1]) : NaN;
+}
+
+/**
+ * Strip the leading # so "#APA411542" and "APA411542" match the same entries
+ */
+function normalizeOrderName(orderName) {
+  return String(orderName || '').replace('#', '').toUpperCase();
+}
+
+/**
+ * Record a reassignment or transfer
+ *
+ * entry fields:
+ *   action - 'pickup-order-queued', 'reassign-to-americana', 'revert-reassignment', 'transfer-to-genesis', 'reconcile-fix',
+ *            'undo-transfer', 'notify-ready-for-pickup' or 'pickup-handoff'
+ *   orderId, orderName
+ *   shipmentIds / fulfillmentOrderIds - SkuSavvy shipments or Shopify fulfillment orders touched
+ *   source, target - { id, name } of the location or warehouse
+ *   triggeredBy - what started it, e.g. 'webhook:orders/create' or 'staff'
+ *   outcome - 'success', 'partial', 'failed', 'skipped' (nothing needed moving), 'held' (left for staff) or 'dry-run'
+ *   error - error text when something went wrong
+ *   plannedCalls - for dry runs, the calls that would have been made
+ *   transferId - the transfer it recorded (see transfers.js), or for 'undo-transfer' the one it undid
+ *   notification - for 'notify-ready-for-pickup', how the customer was told ({ method, to, subject, ... })
+ *   lineRouting - for 'reassign-to-americana', lines per route (see line-routing.js); splitTransferId for the Shopify split
+ *   shortages - for a held 'reassign-to-americana', what the warehouse is short of; ignoreStock when staff overrode the check
+ *   verification, handoffId, fulfillmentId - for 'pickup-handoff' (see pickups.js)
+ *   notSyncedAttempts - for 'reassign-to-americana', how many attempts found the order not yet in SkuSavvy
+ *   orderCreatedAt - for 'transfer-to-genesis', when the order was placed (for time-to-transfer metrics)
+ *   jobId - for 'pickup-order-queued', the reassign job it was queued as
+ */
+export function recordAudit(entry) {
+  const record = {
+    id: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    ...entry,
+    orderNumber: normalizeOrderName(entry.orderName),
+  };
+
+  try {
+    appendJsonLine(AUDIT_FILE, record);
+  } catch (error) {
+    // Never let a logging problem break the reassignment itself
+    console.error('❌ Failed to write audit log:', error.message);
+  }
+
+  return record;
+}
+
+/**
+ * Search the audit log, newest first
+ * Filters: orderNumber, from / to (ISO dates), outcome, action, limit
+ *
+ * The log is in time order, so the file is only read up to the end of the range, and lines
+ * before it aren't parsed. It's streamed, so a long log doesn't hold up other requests.
+ */
+export async function queryAudit({ orderNumber, from, to, outcome, action, limit = 100 } = {}) {
+  const fromTime = from ? Date.parse(from) : -Infinity;
+  // A bare date like "2024-11-30" means up to the end of that day
+  const toTime = to ? Date.parse(to) + (/^\d{4}-\d{2}-\d{2}$/.test(to) ? 24 * 60 * 60 * 1000 - 1 : 0) : Infinity;
+  const wantedOrder = orderNumber ? normalizeOrderName(orderNumber) : null;
+  const matches = [];
+
+  for await (const line of streamJsonLines(AUDIT_FILE)) {
+    const time = timestampOf(line);
+
+    if (time < fromTime) {
+      continue;
+    }
+    if (time > toTime) {
+      break;
+    }
+
+    const entry = JSON.parse(line);
+    if ((!wantedOrder || entry.orderNumber === wantedOrder) &&
+      (!outcome || entry.outcome === outcome) &&
+      (!action || entry.action === action)) {
+      matches.push(entry);
+      // Only the newest `limit` are wanted
+      if (matches.length > limit * 2) {
+        matches.splice(0, matches.length - limit);
+      }
+    }
+  }
+
+  return matches.reverse().slice(0, limit);
+}
+
+/**
+ * Forget entries older than AUDIT_RETENTION_DAYS
+ * The oldest entry comes first, so the file is only rewritten when that one has expired.
+ */
+export async function pruneAudit() {
+  const cutoff = Date.now() - getRetentionMs();
+  const lines = streamJsonLines(AUDIT_FILE);
+  const { value: oldest } = await lines.next();
+  await lines.return();
+
+  if (!oldest || !(timestampOf(oldest) < cutoff)) {
+    return 0;
+  }
+
+  return rewriteJsonLines(AUDIT_FILE, line => !(timestampOf(line) < cutoff));
+}
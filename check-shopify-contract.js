@@ -0,0 +1,125 @@
+import assert from 'assert';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import * as shopify from './shopify.js';
+import { loadFixtures, replayFetch, recordingFetch, saveFixture } from './contract-fixtures.js';
+
+dotenv.config();
+
+/**
+ * Contract checks for shopify.js against recorded Admin GraphQL responses
+ *
+ * Each file in fixtures/shopify-graphql/ names a shopify.js function and its
+ * arguments, the requests it should send (operation name and variables) with
+ * the response Shopify gave, and what the function should return (or the
+ * error it should throw). Requests are answered from the file, so no store
+ * is needed.
+ *
+ * Usage:
+ *   node check-shopify-contract.js           - check every fixture
+ *   node check-shopify-contract.js --record  - re-record query fixtures from the
+ *                                              store in .env (never mutations);
+ *                                              review the result with git diff
+ */
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'shopify-graphql');
+
+const realFetch = globalThis.fetch;
+
+async function checkFixture(fixture) {
+  const replay = replayFetch(fixture, request => assert.ok(
+    request.url.includes(`/admin/api/${shopify.getShopifyApiVersion()}/graphql.json`),
+    `request went to ${request.url}`
+  ));
+  globalThis.fetch = replay.fetch;
+
+  let result;
+  let error = null;
+  try {
+    result = await shopify[fixture.call](...fixture.args);
+  } catch (caught) {
+    error = caught;
+  }
+
+  if (error instanceof assert.AssertionError) {
+    throw error;
+  }
+
+  if ('expectedError' in fixture) {
+    assert.ok(error instanceof shopify.ShopifyApiError, `expected a ShopifyApiError, got ${error ? error.message : 'no error'}`);
+    assert.strictEqual(error.message, fixture.expectedError);
+  } else {
+    if (error) {
+      throw error;
+    }
+    // Recorded as null for calls that return nothing
+    assert.deepStrictEqual(result === undefined ? null : result, fixture.expected);
+  }
+
+  const unused = fixture.exchanges.length - replay.sentCount();
+  assert.strictEqual(unused, 0, `${unused} recorded request(s) were never sent`);
+}
+
+/**
+ * Run the fixture's call against the real store and save what came back
+ */
+async function recordFixture(fixture) {
+  const exchanges = [];
+  globalThis.fetch = recordingFetch(exchanges, realFetch);
+
+  const result = await shopify[fixture.call](...fixture.args);
+  saveFixture(FIXTURES_DIR, fixture, exchanges, result);
+}
+
+async function main() {
+  const record = process.argv.includes('--record');
+  const fixtures = loadFixtures(FIXTURES_DIR);
+  let failed = 0;
+
+  console.log(`\n📼 Shopify contract checks (Admin API ${shopify.getShopifyApiVersion()}, ${fixtures.length} fixtures)\n`);
+
+  if (record && (!process.env.SHOPIFY_SHOP || !process.env.SHOPIFY_ACCESS_TOKEN)) {
+    console.error('❌ --record needs SHOPIFY_SHOP and SHOPIFY_ACCESS_TOKEN');
+    process.exit(1);
+  }
+
+  for (const fixture of fixtures) {
+    if (record) {
+      // Error fixtures and multi-request ones (e.g. THROTTLED then OK) can't be reproduced on demand
+      if ('expectedError' in fixture || fixture.exchanges.length !== 1) {
+        console.log(`⏭️  ${fixture.file} - kept as is`);
+        continue;
+      }
+
+      try {
+        await recordFixture(fixture);
+        console.log(`📝 ${fixture.file} - recorded`);
+      } catch (error) {
+        console.log(`⏭️  ${fixture.file} - ${error.message}`);
+      }
+      continue;
+    }
+
+    try {
+      await checkFixture(fixture);
+      console.log(`✅ ${fixture.file}`);
+    } catch (error) {
+      failed++;
+      console.error(`❌ ${fixture.file}: ${fixture.description}`);
+      console.error(`   ${error.message.split('\n').join('\n   ')}`);
+    }
+  }
+
+  globalThis.fetch = realFetch;
+  console.log('');
+
+  if (failed > 0) {
+    console.error(`${failed} of ${fixtures.length} contract check(s) failed`);
+    process.exit(1);
+  }
+}
+
+main().catch(error => {
+  console.error('Unhandled error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,136 @@
+import assert from 'assert';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import * as skusavvy from './skusavvy.js';
+import { loadFixtures, replayFetch, recordingFetch, saveFixture } from './contract-fixtures.js';
+
+dotenv.config();
+
+/**
+ * Contract checks for skusavvy.js against recorded SkuSavvy GraphQL responses
+ *
+ * Each file in fixtures/skusavvy-graphql/ names a skusavvy.js function and its
+ * arguments, the requests it should send with the response SkuSavvy gave, and
+ * what the function should return (or the error it should throw). They pin down
+ * what the app relies on SkuSavvy for beyond moving shipments - the warehouse
+ * each shipment is in, which reconciliation and undo need.
+ *
+ * Usage:
+ *   node check-skusavvy-contract.js           - check every fixture
+ *   node check-skusavvy-contract.js --record  - re-record query fixtures from the
+ *                                               SkuSavvy account in .env (never
+ *                                               mutations); review with git diff
+ */
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'skusavvy-graphql');
+
+const realFetch = globalThis.fetch;
+
+async function checkFixture(fixture) {
+  const replay = replayFetch(fixture, request => assert.strictEqual(
+    request.url,
+    process.env.SKUSAVVY_GRAPHQL_ENDPOINT,
+    `request went to ${request.url}`
+  ));
+  globalThis.fetch = replay.fetch;
+
+  let result;
+  let error = null;
+  try {
+    result = await skusavvy[fixture.call](...fixture.args);
+  } catch (caught) {
+    error = caught;
+  }
+
+  if (error instanceof assert.AssertionError) {
+    throw error;
+  }
+
+  if ('expectedError' in fixture) {
+    assert.ok(error, 'expected an error, got none');
+    assert.strictEqual(error.message, fixture.expectedError);
+  } else {
+    if (error) {
+      throw error;
+    }
+    assert.deepStrictEqual(result === undefined ? null : result, fixture.expected);
+  }
+
+  const unused = fixture.exchanges.length - replay.sentCount();
+  assert.strictEqual(unused, 0, `${unused} recorded request(s) were never sent`);
+}
+
+/**
+ * Run the fixture's call against SkuSavvy and save what came back
+ */
+async function recordFixture(fixture) {
+  const exchanges = [];
+  const refused = [];
+  globalThis.fetch = recordingFetch(exchanges, realFetch, refused);
+
+  const result = await skusavvy[fixture.call](...fixture.args);
+
+  // moveShipmentsToWarehouse carries on past failed mutations rather than throwing
+  if (refused.length > 0) {
+    throw new Error(`not recording mutation ${refused[0]}`);
+  }
+  saveFixture(FIXTURES_DIR, fixture, exchanges, result);
+}
+
+async function main() {
+  const record = process.argv.includes('--record');
+  const fixtures = loadFixtures(FIXTURES_DIR);
+  let failed = 0;
+
+  console.log(`\n📼 SkuSavvy contract checks (${fixtures.length} fixtures)\n`);
+
+  if (record && (!process.env.SKUSAVVY_GRAPHQL_ENDPOINT || !process.env.SKUSAVVY_API_TOKEN)) {
+    console.error('❌ --record needs SKUSAVVY_GRAPHQL_ENDPOINT and SKUSAVVY_API_TOKEN');
+    process.exit(1);
+  }
+
+  // Replayed requests only have to go somewhere; the recordings don't depend on the account
+  if (!record) {
+    process.env.SKUSAVVY_GRAPHQL_ENDPOINT = 'https://skusavvy.test/graphql';
+  }
+
+  for (const fixture of fixtures) {
+    if (record) {
+      // Error fixtures and mutations can't be reproduced on demand
+      if ('expectedError' in fixture) {
+        console.log(`⏭️  ${fixture.file} - kept as is`);
+        continue;
+      }
+
+      try {
+        await recordFixture(fixture);
+        console.log(`📝 ${fixture.file} - recorded`);
+      } catch (error) {
+        console.log(`⏭️  ${fixture.file} - ${error.message}`);
+      }
+      continue;
+    }
+
+    try {
+      await checkFixture(fixture);
+      console.log(`✅ ${fixture.file}`);
+    } catch (error) {
+      failed++;
+      console.error(`❌ ${fixture.file}: ${fixture.description}`);
+      console.error(`   ${error.message.split('\n').join('\n   ')}`);
+    }
+  }
+
+  globalThis.fetch = realFetch;
+  console.log('');
+
+  if (failed > 0) {
+    console.error(`${failed} of ${fixtures.length} contract check(s) failed`);
+    process.exit(1);
+  }
+}
+
+main().catch(error => {
+  console.error('Unhandled error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,20 @@
+/**
+ * Run fn over every item with at most `limit` calls in flight at once
+ * Results come back in the same order as items. A limit that isn't a positive number runs one at a time.
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.max(1, Math.min(Math.floor(limit) || 1, items.length)) }, worker);
+  await Promise.all(workers);
+
+  return results;
+}
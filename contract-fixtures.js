@@ -0,0 +1,96 @@
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Recorded GraphQL exchanges for the contract checks (check-shopify-contract.js, check-skusavvy-contract.js)
+ *
+ * Each fixture file names a function and its arguments, the requests it should
+ * send (operation name and variables, and optionally "queryIncludes": text the
+ * query must contain) with the response the API gave, and what the function
+ * should return (or the error it should throw).
+ */
+
+export function loadFixtures(dir) {
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => ({ file, ...JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')) }));
+}
+
+export function parseRequest(url, options) {
+  const { query, variables } = JSON.parse(options.body);
+
+  return {
+    url: String(url),
+    isMutation: /^\s*mutation\b/.test(query),
+    operationName: query.match(/\b(?:query|mutation)\s+(\w+)/)?.[1] || null,
+    query,
+    variables: variables || {},
+  };
+}
+
+/**
+ * A fetch that answers requests from the fixture, checking each one is what was recorded.
+ * checkRequest(request) can assert more about a request, e.g. where it was sent.
+ */
+export function replayFetch(fixture, checkRequest = () => {}) {
+  let index = 0;
+
+  const fetch = async (url, options) => {
+    const exchange = fixture.exchanges[index++];
+    const request = parseRequest(url, options);
+
+    assert.ok(exchange, `unexpected extra request ${request.operationName}`);
+    checkRequest(request);
+    // Values written into the query rather than passed as variables
+    for (const text of exchange.request.queryIncludes || []) {
+      assert.ok(request.query.includes(text), `request ${index} doesn't include ${text}`);
+    }
+    assert.deepStrictEqual(
+      { operationName: request.operationName, variables: request.variables },
+      { operationName: exchange.request.operationName, variables: exchange.request.variables },
+      `request ${index} doesn't match the recording`
+    );
+
+    return new Response(JSON.stringify(exchange.response.body), {
+      status: exchange.response.status,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  };
+
+  return { fetch, sentCount: () => index };
+}
+
+/**
+ * A fetch that sends queries on to the real API and adds each exchange to exchanges.
+ * Mutations are refused (and their operation names added to refused), so recording never changes anything.
+ */
+export function recordingFetch(exchanges, realFetch, refused = []) {
+  return async (url, options) => {
+    const request = parseRequest(url, options);
+
+    if (request.isMutation) {
+      refused.push(request.operationName);
+      throw new Error(`not recording mutation ${request.operationName}`);
+    }
+
+    const response = await realFetch(url, options);
+    const body = await response.clone().json().catch(() => null);
+
+    exchanges.push({
+      request: { operationName: request.operationName, variables: request.variables },
+      response: { status: response.status, body },
+    });
+    return response;
+  };
+}
+
+/**
+ * Write a re-recorded fixture back to its file
+ */
+export function saveFixture(dir, { file, ...fixture }, exchanges, result) {
+  fixture.exchanges = exchanges;
+  fixture.expected = result === undefined ? null : result;
+  fs.writeFileSync(path.join(dir, file), JSON.stringify(fixture, null, 2) + '\n');
+}
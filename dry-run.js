@@ -0,0 +1,33 @@
+/**
+ * Dry-run (shadow) mode
+ *
+ * A dry run goes through every lookup and decision like a real one, then
+ * records the SkuSavvy mutations and Shopify calls it would have made in
+ * run.plannedCalls instead of sending them.
+ */
+
+/**
+ * DRY_RUN=true turns the whole service into shadow mode
+ */
+export function isGlobalDryRun() {
+  return process.env.DRY_RUN === 'true';
+}
+
+/**
+ * Dry run for this request: global mode, ?dryRun=true or an X-Dry-Run: true header
+ */
+export function wantsDryRun(req) {
+  return isGlobalDryRun() ||
+    req.query.dryRun === 'true' ||
+    req.get('X-Dry-Run') === 'true';
+}
+
+/**
+ * State for one pipeline run
+ */
+export function createRun(dryRun = false) {
+  return {
+    dryRun: Boolean(dryRun),
+    plannedCalls: [],
+  };
+}
@@ -0,0 +1,16 @@
+import { hashSecret } from './staff-auth.js';
+
+/**
+ * Print the hash of a staff PIN or password for staff-users.json
+ *
+ * Usage:
+ *   node hash-staff-secret.js <pin or password>
+ */
+const secret = process.argv[2];
+
+if (!secret) {
+  console.error('Usage: node hash-staff-secret.js <pin or password>');
+  process.exit(1);
+}
+
+console.log(hashSecret(secret));
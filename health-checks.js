@@ -0,0 +1,103 @@
+import { fetchShopInfo } from './shopify.js';
+import { checkSkuSavvyAccess } from './skusavvy.js';
+
+/**
+ * Readiness checks for GET /health/ready
+ *
+ * Each dependency is checked with the service's own credentials, so an expired
+ * SkuSavvy token or a revoked Shopify token shows up before the next order does:
+ *
+ *   shopify  - reads the shop with SHOPIFY_ACCESS_TOKEN
+ *   skusavvy - looks up an order that can't exist with SKUSAVVY_API_TOKEN
+ *
+ * Results are cached for HEALTH_CHECK_CACHE_SECONDS (default 30) so frequent probes
+ * don't eat into the Shopify rate limit, and a check taking longer than
+ * HEALTH_CHECK_TIMEOUT_SECONDS (default 10) counts as down.
+ *
+ * dependency fields:
+ *   status - 'up' or 'down'
+ *   checkedAt, latencyMs
+ *   error - why it's down
+ *   details - e.g. { shop } for shopify
+ */
+
+const CHECKS = {
+  shopify: async () => {
+    const shop = await fetchShopInfo();
+    return { shop: shop.domain };
+  },
+  skusavvy: async () => {
+    await checkSkuSavvyAccess();
+    return {};
+  },
+};
+
+// dependency -> { result, expiresAt } once checked, plus the check still running (so probes share it)
+const cache = new Map();
+const running = new Map();
+
+function getCacheMs() {
+  return parseFloat(process.env.HEALTH_CHECK_CACHE_SECONDS || '30') * 1000;
+}
+
+function getTimeoutMs() {
+  return parseFloat(process.env.HEALTH_CHECK_TIMEOUT_SECONDS || '10') * 1000;
+}
+
+async function runCheck(name) {
+  const startedAt = Date.now();
+  let timer;
+
+  try {
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`No answer within ${getTimeoutMs() / 1000}s`)), getTimeoutMs());
+    });
+    const details = await Promise.race([CHECKS[name](), timeout]);
+
+    return { status: 'up', checkedAt: new Date().toISOString(), latencyMs: Date.now() - startedAt, error: null, details };
+  } catch (error) {
+    return { status: 'down', checkedAt: new Date().toISOString(), latencyMs: Date.now() - startedAt, error: error.message, details: {} };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function checkDependency(name) {
+  const cached = cache.get(name);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    return { ...cached.result, cached: true };
+  }
+
+  if (!running.has(name)) {
+    running.set(name, runCheck(name).then(result => {
+      cache.set(name, { result, expiresAt: Date.now() + getCacheMs() });
+      running.delete(name);
+      return result;
+    }));
+  }
+
+  return { ...(await running.get(name)), cached: false };
+}
+
+/**
+ * Check every dependency (from cache where it's fresh)
+ * Returns { ready, dependencies: { shopify, skusavvy } } - ready only when all are up
+ */
+export async function checkReadiness() {
+  const names = Object.keys(CHECKS);
+  const results = await Promise.all(names.map(checkDependency));
+  const dependencies = Object.fromEntries(names.map((name, index) => [name, results[index]]));
+
+  return {
+    ready: results.every(result => result.status === 'up'),
+    dependencies
+  };
+}
+
+/**
+ * The last result for each dependency that has been checked, without checking again (for /metrics)
+ */
+export function lastDependencyStatus() {
+  return Object.fromEntries([...cache.entries()].map(([name, { result }]) => [name, result]));
+}
@@ -0,0 +1,241 @@
+import crypto from 'crypto';
+import { readJson, writeJson } from './json-store.js';
+
+const JOBS_FILE = 'jobs.json';
+
+// Completed and cancelled jobs are kept around for inspection, but only the most recent ones
+const MAX_COMPLETED_JOBS = 500;
+
+const handlers = new Map();
+let jobs = null;
+let workerTimer = null;
+let workerBusy = false;
+
+/**
+ * Throw this from a job handler when retrying can't help
+ * The job goes straight to the dead-letter list
+ */
+export class PermanentJobError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PermanentJobError';
+  }
+}
+
+function getRetryPolicy() {
+  return {
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS || '6'),
+    baseDelayMs: parseInt(process.env.JOB_RETRY_BASE_SECONDS || '30') * 1000,
+    maxDelayMs: parseInt(process.env.JOB_RETRY_MAX_SECONDS || '1800') * 1000,
+  };
+}
+
+/**
+ * Exponential backoff with jitter: base * 2^(attempt - 1), capped, then
+ * randomised between 50% and 100% so retries from a burst don't line up
+ */
+export function computeBackoffMs(attempt, { baseDelayMs, maxDelayMs } = getRetryPolicy()) {
+  const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+function loadJobs() {
+  if (jobs === null) {
+    jobs = readJson(JOBS_FILE, []);
+
+    // Anything still marked as processing was interrupted by a restart - run it again
+    for (const job of jobs) {
+      if (job.status === 'processing') {
+        job.status = 'pending';
+      }
+    }
+  }
+  return jobs;
+}
+
+function saveJobs() {
+  // Dead-letter jobs stay until an operator retries them
+  const completed = jobs.filter(job => job.status === 'completed' || job.status === 'cancelled');
+
+  if (completed.length > MAX_COMPLETED_JOBS) {
+    const drop = new Set(completed.slice(0, completed.length - MAX_COMPLETED_JOBS));
+    jobs = jobs.filter(job => !drop.has(job));
+  }
+
+  writeJson(JOBS_FILE, jobs);
+}
+
+/**
+ * Register the function that processes jobs of a given type
+ */
+export function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Persist a new job. It will run once delayMs has passed.
+ */
+export function enqueueJob(type, payload, { delayMs = 0, maxAttempts = getRetryPolicy().maxAttempts } = {}) {
+  loadJobs();
+
+  const now = new Date();
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    payload,
+    status: 'pending',
+    attempts: 0,
+    maxAttempts,
+    runAt: new Date(now.getTime() + delayMs).toISOString(),
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+    lastError: null,
+    result: null,
+  };
+
+  jobs.push(job);
+  saveJobs();
+
+  return job;
+}
+
+/**
+ * List jobs, optionally filtered by status
+ */
+export function listJobs({ status } = {}) {
+  return loadJobs().filter(job => !status || job.status === status);
+}
+
+/**
+ * Cancel every pending or dead-letter job the filter matches, e.g. all jobs for a cancelled order
+ * Returns the cancelled jobs
+ */
+export function cancelJobs(filter) {
+  const cancelled = loadJobs().filter(job =>
+    (job.status === 'pending' || job.status === 'dead') && filter(job)
+  );
+
+  if (cancelled.length > 0) {
+    const now = new Date().toISOString();
+    for (const job of cancelled) {
+      job.status = 'cancelled';
+      job.updatedAt = now;
+    }
+    saveJobs();
+  }
+
+  return cancelled;
+}
+
+/**
+ * Jobs that exhausted their retries or failed permanently
+ */
+export function listDeadLetterJobs() {
+  return listJobs({ status: 'dead' });
+}
+
+/**
+ * Put a dead-letter job back on the queue with a fresh set of attempts
+ */
+export function retryDeadLetterJob(id) {
+  const job = loadJobs().find(j => j.id === id && j.status === 'dead');
+
+  if (!job) {
+    return null;
+  }
+
+  const now = new Date().toISOString();
+  job.status = 'pending';
+  job.attempts = 0;
+  job.runAt = now;
+  job.updatedAt = now;
+  saveJobs();
+
+  return job;
+}
+
+/**
+ * Run the oldest due job, if any
+ */
+async function runNextJob() {
+  const now = Date.now();
+  const job = loadJobs()
+    .filter(j => j.status === 'pending' && Date.parse(j.runAt) <= now)
+    .sort((a, b) => Date.parse(a.runAt) - Date.parse(b.runAt))[0];
+
+  if (!job) {
+    return false;
+  }
+
+  const handler = handlers.get(job.type);
+
+  job.status = 'processing';
+  job.attempts++;
+  job.updatedAt = new Date().toISOString();
+  saveJobs();
+
+  try {
+    if (!handler) {
+      throw new PermanentJobError(`No handler registered for job type "${job.type}"`);
+    }
+
+    job.result = await handler(job.payload, job);
+    job.status = 'completed';
+    job.lastError = null;
+  } catch (error) {
+    job.lastError = error.message;
+
+    if (error instanceof PermanentJobError || job.attempts >= job.maxAttempts) {
+      job.status = 'dead';
+      console.error(`☠️  Job ${job.type} ${job.id} moved to dead-letter after ${job.attempts} attempt(s): ${error.message}`);
+    } else {
+      const backoffMs = computeBackoffMs(job.attempts);
+      job.status = 'pending';
+      job.runAt = new Date(Date.now() + backoffMs).toISOString();
+      console.warn(`🔁 Job ${job.type} ${job.id} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying in ${Math.round(backoffMs / 1000)}s: ${error.message}`);
+    }
+  }
+
+  job.updatedAt = new Date().toISOString();
+  saveJobs();
+
+  return true;
+}
+
+/**
+ * Start polling the queue for due jobs. Jobs run one at a time.
+ */
+export function startJobWorker({ pollIntervalMs = 1000 } = {}) {
+  if (workerTimer) {
+    return;
+  }
+
+  const pending = listJobs({ status: 'pending' }).length;
+  if (pending > 0) {
+    console.log(`📋 Resuming ${pending} pending job(s) from previous run`);
+  }
+
+  workerTimer = setInterval(async () => {
+    if (workerBusy) {
+      return;
+    }
+
+    workerBusy = true;
+    try {
+      // Drain everything that is due before waiting for the next tick
+      while (await runNextJob()) {}
+    } catch (error) {
+      console.error('❌ Job worker error:', error.message);
+    } finally {
+      workerBusy = false;
+    }
+  }, pollIntervalMs);
+}
+
+/**
+ * Stop polling the queue
+ */
+export function stopJobWorker() {
+  clearInterval(workerTimer);
+  workerTimer = null;
+}
@@ -0,0 +1,143 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+
+/**
+ * Directory where the service keeps its local state (jobs, logs, ...)
+ * On Render this should point at a persistent disk mount
+ */
+export function getDataDir() {
+  return process.env.DATA_DIR || path.resolve('data');
+}
+
+/**
+ * Read a JSON file from the data directory, or return the fallback if it doesn't exist yet
+ */
+export function readJson(filename, fallback) {
+  const filePath = path.join(getDataDir(), filename);
+
+  if (!fs.existsSync(filePath)) {
+    return fallback;
+  }
+
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Write a JSON file to the data directory
+ * Writes to a temp file first and renames it so a crash mid-write can't corrupt the store
+ */
+export function writeJson(filename, value) {
+  const dir = getDataDir();
+  const filePath = path.join(dir, filename);
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(tmpPath, JSON.stringify(value, null, 2));
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Append one record to a JSON-lines file in the data directory
+ */
+export function appendJsonLine(filename, value) {
+  const dir = getDataDir();
+
+  fs.mkdirSync(dir, { recursive: true });
+  fs.appendFileSync(path.join(dir, filename), JSON.stringify(value) + '\n');
+}
+
+/**
+ * Read every record from a JSON-lines file, oldest first
+ */
+export function readJsonLines(filename) {
+  const filePath = path.join(getDataDir(), filename);
+
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+
+  return fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line));
+}
+
+/**
+ * Read a JSON-lines file line by line without blocking the event loop, oldest first
+ * Yields each non-empty line as text, so callers can skip lines before parsing them.
+ */
+export async function* streamJsonLines(filename) {
+  const filePath = path.join(getDataDir(), filename);
+
+  if (!fs.existsSync(filePath)) {
+    return;
+  }
+
+  const lines = readline.createInterface({ input: fs.createReadStream(filePath, 'utf8'), crlfDelay: Infinity });
+
+  try {
+    for await (const line of lines) {
+      if (line.trim()) {
+        yield line;
+      }
+    }
+  } finally {
+    lines.close();
+  }
+}
+
+/**
+ * Rewrite a JSON-lines file keeping only the lines keep(line) is true for
+ * Streams the file, then copies over anything appended meanwhile and swaps the files in one go,
+ * so appendJsonLine calls during the rewrite aren't lost. Returns how many lines were dropped.
+ */
+export async function rewriteJsonLines(filename, keep) {
+  const filePath = path.join(getDataDir(), filename);
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+
+  const size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+
+  if (size === 0) {
+    return 0;
+  }
+
+  const output = fs.createWriteStream(tmpPath);
+  const lines = readline.createInterface({ input: fs.createReadStream(filePath, { encoding: 'utf8', end: size - 1 }), crlfDelay: Infinity });
+  let dropped = 0;
+
+  for await (const line of lines) {
+    if (!line.trim()) {
+      continue;
+    }
+    if (keep(line)) {
+      if (!output.write(line + '\n')) {
+        await new Promise(resolve => output.once('drain', resolve));
+      }
+    } else {
+      dropped++;
+    }
+  }
+  await new Promise((resolve, reject) => output.end(error => error ? reject(error) : resolve()));
+
+  if (dropped === 0) {
+    fs.unlinkSync(tmpPath);
+    return 0;
+  }
+
+  // Synchronous from here on, so nothing can be appended between the copy and the rename
+  const appendedSize = fs.statSync(filePath).size - size;
+  if (appendedSize > 0) {
+    const appended = Buffer.alloc(appendedSize);
+    const fd = fs.openSync(filePath, 'r');
+    try {
+      fs.readSync(fd, appended, 0, appendedSize, size);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.appendFileSync(tmpPath, appended);
+  }
+  fs.renameSync(tmpPath, filePath);
+
+  return dropped;
+}
@@ -0,0 +1,214 @@
+import { fetchAvailableQuantities, moveFulfillmentOrder, fulfillmentOrderMoveVariables } from './shopify.js';
+
+/**
+ * Per-line routing for pickup orders
+ *
+ * A pickup order isn't always all pickup, or all in need of packing. Each line of
+ * the order's open fulfillment orders gets a route:
+ *
+ *   'ships'             - its fulfillment order is shipped or delivered, not picked up; left alone
+ *   'stocked-at-pickup' - the pickup location has it on the shelf and can hand it over as is
+ *                         (only for locations with "useStockAtPickup": true in the routing table)
+ *   'pack'              - has to be packed at the location's fulfilling warehouse
+ *
+ * Stock is shared out in line order, so two lines of the same variant can't both
+ * count the same units. A line is only stocked if its whole quantity is; a partly
+ * stocked line is packed.
+ */
+
+export const LINE_ROUTES = ['ships', 'stocked-at-pickup', 'pack'];
+
+/**
+ * Units available at a Shopify location by variant ID, Infinity for untracked variants
+ */
+async function loadStock(variantIds, locationId) {
+  const levels = await fetchAvailableQuantities(variantIds, locationId);
+
+  return new Map(levels.map(level => [String(level.variant_id), level.tracked ? level.available : Infinity]));
+}
+
+/**
+ * Is this fulfillment order collected in store?
+ * Fulfillment orders without a delivery method count as pickup, as they did before methods were checked.
+ */
+export function isPickupFulfillmentOrder(fulfillmentOrder) {
+  const methodType = fulfillmentOrder.delivery_method?.method_type;
+  return !methodType || methodType === 'pick_up';
+}
+
+/**
+ * Is this fulfillment order still to be fulfilled? ('open', or 'in_progress' once the warehouse has started on it)
+ */
+export function isOpenFulfillmentOrder(fulfillmentOrder) {
+  return ['open', 'in_progress'].includes(fulfillmentOrder.status);
+}
+
+/**
+ * Route every line of an order's open fulfillment orders
+ * Returns { lines: [{ fulfillmentOrderId, fulfillmentOrderLineItemId, lineItemId, variantId, quantity, route }], counts }
+ * where counts has the number of lines per route.
+ */
+export async function planLineRouting(fulfillmentOrders, pickupLocation) {
+  const open = fulfillmentOrders.filter(isOpenFulfillmentOrder);
+
+  const pickupVariantIds = open.filter(isPickupFulfillmentOrder)
+    .flatMap(fo => fo.line_items.map(item => item.variant_id));
+  const stock = pickupLocation.useStockAtPickup && pickupVariantIds.length > 0 ?
+    await loadStock(pickupVariantIds, pickupLocation.shopifyLocationId) :
+    new Map();
+
+  const lines = [];
+
+  for (const fo of open) {
+    // Units of lines already assigned to the pickup location are committed there, so not in "available"
+    const assignedHere = String(fo.assigned_location_id) === String(pickupLocation.shopifyLocationId);
+
+    for (const item of fo.line_items) {
+      const quantity = item.fulfillable_quantity ?? item.quantity;
+
+      if (quantity <= 0) {
+        continue;
+      }
+
+      let route = 'pack';
+
+      if (!isPickupFulfillmentOrder(fo)) {
+        route = 'ships';
+      } else if (stock.has(String(item.variant_id))) {
+        const available = stock.get(String(item.variant_id));
+        const needed = assignedHere ? 0 : quantity;
+
+        if (available >= needed) {
+          route = 'stocked-at-pickup';
+          stock.set(String(item.variant_id), available - needed);
+        }
+      }
+
+      lines.push({
+        fulfillmentOrderId: fo.id,
+        fulfillmentOrderLineItemId: item.id,
+        lineItemId: item.line_item_id,
+        variantId: item.variant_id,
+        quantity,
+        route
+      });
+    }
+  }
+
+  const counts = Object.fromEntries(LINE_ROUTES.map(route => [route, lines.filter(line => line.route === route).length]));
+
+  return { lines, counts };
+}
+
+/**
+ * Split the order's pickup fulfillment orders so each line is where its route says:
+ * stocked lines at the pickup location and, next to them, lines to pack at the
+ * fulfilling warehouse's Shopify location. Orders with nothing stocked are left as they are.
+ *
+ * In a dry run the moves only go to run.plannedCalls.
+ * Returns { moves: [{ id, from, to, fulfillmentOrderLineItemIds }], errors } - id is the moved fulfillment order
+ */
+export async function splitFulfillmentOrders(fulfillmentOrders, { lines, counts }, pickupLocation, run) {
+  const moves = [];
+  const errors = [];
+
+  if (counts['stocked-at-pickup'] === 0) {
+    return { moves, errors };
+  }
+
+  const pickupSite = { id: pickupLocation.shopifyLocationId, name: pickupLocation.name };
+  const warehouseSite = { id: pickupLocation.fulfillingWarehouse.shopifyLocationId, name: pickupLocation.fulfillingWarehouse.name };
+
+  for (const fo of fulfillmentOrders) {
+    const foLines = lines.filter(line => String(line.fulfillmentOrderId) === String(fo.id) && line.route !== 'ships');
+    const assignedTo = String(fo.assigned_location_id);
+
+    // Stocked lines somewhere else come to the pickup location; packed lines sharing
+    // the pickup location's fulfillment order go to the warehouse
+    const wrongPlace = foLines.filter(line => line.route === 'stocked-at-pickup' ?
+      assignedTo !== String(pickupSite.id) :
+      assignedTo === String(pickupSite.id));
+
+    if (wrongPlace.length === 0) {
+      continue;
+    }
+
+    const target = wrongPlace[0].route === 'stocked-at-pickup' ? pickupSite : warehouseSite;
+    // Moving every line moves the fulfillment order as a whole
+    const lineItems = wrongPlace.length === foLines.length ?
+      null :
+      wrongPlace.map(line => ({ id: line.fulfillmentOrderLineItemId, quantity: line.quantity }));
+    const move = {
+      from: { id: fo.assigned_location_id, name: fo.assigned_location?.name },
+      to: target,
+      fulfillmentOrderLineItemIds: wrongPlace.map(line => line.fulfillmentOrderLineItemId)
+    };
+
+    if (run.dryRun) {
+      console.log(`   🧪 Would move ${wrongPlace.length} line(s) of fulfillment order ${fo.id} to ${target.name}`);
+      run.plannedCalls.push({
+        api: 'shopify',
+        operation: 'fulfillmentOrderMove',
+        variables: fulfillmentOrderMoveVariables(fo.id, target.id, lineItems)
+      });
+      moves.push({ id: fo.id, ...move });
+      continue;
+    }
+
+    try {
+      const moved = await moveFulfillmentOrder(fo.id, target.id, lineItems);
+      console.log(`   ✂️  Moved ${wrongPlace.length} line(s) of fulfillment order ${fo.id} to ${target.name}${lineItems ? ` (now fulfillment order ${moved.id})` : ''}`);
+      moves.push({ id: moved.id, ...move });
+    } catch (error) {
+      console.error(`   ❌ Fulfillment order ${fo.id}:`, error.message);
+      errors.push(`Fulfillment order ${fo.id}: ${error.message}`);
+    }
+  }
+
+  return { moves, errors };
+}
+
+/**
+ * Lines to pack that the fulfilling warehouse doesn't have the stock for, going by its Shopify inventory
+ * Returns [{ variantId, lineItemIds, needed, available }] per short variant - empty when there's enough of everything.
+ * Variants that aren't tracked (or no longer exist) never count as short.
+ */
+export async function findWarehouseShortages(fulfillmentOrders, { lines }, warehouse) {
+  const packLines = lines.filter(line => line.route === 'pack' && line.variantId);
+
+  if (packLines.length === 0) {
+    return [];
+  }
+
+  const stock = await loadStock(packLines.map(line => line.variantId), warehouse.shopifyLocationId);
+  const wanted = new Map();
+
+  for (const line of packLines) {
+    const fo = fulfillmentOrders.find(candidate => String(candidate.id) === String(line.fulfillmentOrderId));
+    // Units already assigned to the warehouse are committed there, so not in "available" any more
+    const assignedHere = String(fo?.assigned_location_id) === String(warehouse.shopifyLocationId);
+    const entry = wanted.get(String(line.variantId)) || { variantId: line.variantId, lineItemIds: [], needed: 0, fromAvailable: 0 };
+
+    entry.lineItemIds.push(line.lineItemId);
+    entry.needed += line.quantity;
+    entry.fromAvailable += assignedHere ? 0 : line.quantity;
+    wanted.set(String(line.variantId), entry);
+  }
+
+  const shortages = [];
+
+  for (const { fromAvailable, ...entry } of wanted.values()) {
+    if (!stock.has(String(entry.variantId))) {
+      continue;
+    }
+
+    const available = stock.get(String(entry.variantId));
+
+    // Below zero means more is committed there than it has, even if this order takes nothing more
+    if (available < fromAvailable || available < 0) {
+      shortages.push({ ...entry, available });
+    }
+  }
+
+  return shortages;
+}
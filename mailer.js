@@ -0,0 +1,32 @@
+import nodemailer from 'nodemailer';
+
+/**
+ * The SMTP connection every email goes out through (ready-for-pickup emails, staff alerts)
+ *
+ * Configured with SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE (default true on
+ * port 465), SMTP_USER and SMTP_PASS.
+ */
+
+let transport = null;
+
+/**
+ * Shared nodemailer transport, created on first use
+ * Throws when SMTP_HOST isn't set.
+ */
+export function getMailTransport() {
+  if (!transport) {
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP_HOST is not set - sending email needs an SMTP server');
+    }
+
+    const port = parseInt(process.env.SMTP_PORT || '587');
+
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+  }
+  return transport;
+}
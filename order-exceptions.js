@@ -0,0 +1,130 @@
+import { readJson, writeJson } from './json-store.js';
+
+/**
+ * Orders the automation held back for staff to look at
+ *
+ * When an order can't be reassigned as is (e.g. its fulfilling warehouse is out of
+ * stock for some of it) it's left where it is, tagged NEEDS_ATTENTION_TAG in
+ * Shopify and listed as an exception on /reassign until staff check it again,
+ * reassign it anyway or dismiss it.
+ *
+ * exception fields (order-exceptions.json, by order ID):
+ *   orderId, orderName
+ *   kind - 'insufficient-stock'
+ *   message - one line for staff, e.g. "Not enough stock at Americana: 2 × Bat (1 available)"
+ *   details - for insufficient-stock: { pickupLocation, warehouse, shortages: [{ variantId, title, sku, needed, available }] }
+ *   raisedAt, lastCheckedAt, checks - when it was first and last found, and how many times
+ *   resolvedAt, resolvedBy, resolution - null while open; resolution is one of RESOLUTIONS
+ */
+
+const EXCEPTIONS_FILE = 'order-exceptions.json';
+
+export const NEEDS_ATTENTION_TAG = 'pickup-needs-attention';
+
+// reassigned - a later attempt went through (staff may have overridden the check)
+// dismissed  - staff will handle it outside the automation
+// cancelled / not-pickup - the order no longer needs reassigning
+export const RESOLUTIONS = ['reassigned', 'dismissed', 'cancelled', 'not-pickup'];
+
+// Resolved exceptions are kept a while for "what happened to this order?"
+const RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+let exceptions = null;
+
+function loadExceptions() {
+  if (exceptions === null) {
+    exceptions = readJson(EXCEPTIONS_FILE, {});
+  }
+  return exceptions;
+}
+
+function saveExceptions() {
+  writeJson(EXCEPTIONS_FILE, exceptions);
+}
+
+/**
+ * Raise (or refresh) an order's exception
+ * Finding the same problem again on an open exception updates it rather than starting over.
+ */
+export function raiseException({ orderId, orderName, kind, message, details = {} }) {
+  const all = loadExceptions();
+  const existing = all[orderId];
+  const now = new Date().toISOString();
+
+  all[orderId] = existing && !existing.resolvedAt ?
+    { ...existing, kind, message, details, lastCheckedAt: now, checks: existing.checks + 1 } :
+    {
+      orderId,
+      orderName,
+      kind,
+      message,
+      details,
+      raisedAt: now,
+      lastCheckedAt: now,
+      checks: 1,
+      resolvedAt: null,
+      resolvedBy: null,
+      resolution: null
+    };
+  saveExceptions();
+
+  return all[orderId];
+}
+
+/**
+ * The order's open exception, or null
+ */
+export function getOpenException(orderId) {
+  const exception = loadExceptions()[orderId];
+  return exception && !exception.resolvedAt ? exception : null;
+}
+
+/**
+ * Close the order's open exception
+ * Returns the resolved exception, or null if there wasn't one open.
+ */
+export function resolveException(orderId, { by = 'system', resolution }) {
+  const exception = getOpenException(orderId);
+
+  if (!exception) {
+    return null;
+  }
+
+  exception.resolvedAt = new Date().toISOString();
+  exception.resolvedBy = by;
+  exception.resolution = resolution;
+  saveExceptions();
+
+  return exception;
+}
+
+/**
+ * Exceptions, most recently raised first - open ones only unless includeResolved
+ */
+export function listExceptions({ includeResolved = false } = {}) {
+  return Object.values(loadExceptions())
+    .filter(exception => includeResolved || !exception.resolvedAt)
+    .sort((a, b) => b.raisedAt.localeCompare(a.raisedAt));
+}
+
+/**
+ * Forget exceptions resolved more than 30 days ago
+ */
+export function pruneExceptions() {
+  const cutoff = Date.now() - RETENTION_MS;
+  const all = loadExceptions();
+  let removed = 0;
+
+  for (const [orderId, exception] of Object.entries(all)) {
+    if (exception.resolvedAt && Date.parse(exception.resolvedAt) < cutoff) {
+      delete all[orderId];
+      removed++;
+    }
+  }
+
+  if (removed > 0) {
+    saveExceptions();
+  }
+
+  return removed;
+}
@@ -0,0 +1,135 @@
+import {
+  fetchOrderAnnotations,
+  updateOrderNote,
+  setOrderMetafield,
+  addOrderTags,
+  removeOrderTags,
+} from './shopify.js';
+
+/**
+ * Processing status written back to the Shopify order
+ *
+ * So staff in Shopify Admin (and Shopify Flow or saved order views) can see what the
+ * automation did, each step leaves on the order:
+ *
+ *   a status tag - one at a time, replacing the last:
+ *     pickup-at-<warehouse>   reassigned for packing, e.g. pickup-at-americana
+ *     pickup-ready-<location> waiting at its pickup location, e.g. pickup-ready-genesis
+ *     pickup-collected        handed over to the customer
+ *   a line in the order note - e.g. "2024-11-20 15:04 UTC - Pickup automation: reassigned 1 shipment(s) ..."
+ *   the pickup_automation.status metafield (json) - the last step:
+ *     { action, outcome, at, error, triggeredBy, ...details } (details like pickupLocation, warehouse, shipments)
+ *
+ * Writes happen in a background job after the step, so Shopify being slow or down never
+ * holds the step up. Set WRITE_BACK_STATUS=false to turn them off.
+ */
+
+export const STATUS_METAFIELD = { namespace: 'pickup_automation', key: 'status' };
+
+export const COLLECTED_TAG = 'pickup-collected';
+
+const NOTE_PREFIX = 'Pickup automation';
+
+/**
+ * Is status write-back on? (WRITE_BACK_STATUS, default true)
+ */
+export function isStatusWriteBackOn() {
+  return process.env.WRITE_BACK_STATUS !== 'false';
+}
+
+function slug(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Status tag for an order reassigned to this warehouse for packing
+ */
+export function packingTag(warehouse) {
+  return `pickup-at-${slug(warehouse.name)}`;
+}
+
+/**
+ * Status tag for an order waiting at this pickup location
+ */
+export function readyTag(pickupLocation) {
+  return `pickup-ready-${slug(pickupLocation.name)}`;
+}
+
+function isStatusTag(tag) {
+  return tag.startsWith('pickup-at-') || tag.startsWith('pickup-ready-') || tag === COLLECTED_TAG;
+}
+
+/**
+ * The order's status tag, or null - tags can be a list or Shopify's comma-separated webhook string
+ */
+export function findStatusTag(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',').map(tag => tag.trim());
+  return list.find(isStatusTag) || null;
+}
+
+function noteLine(at, text) {
+  const stamp = new Date(at).toISOString().slice(0, 16).replace('T', ' ');
+  return `${stamp} UTC - ${NOTE_PREFIX}: ${text}`;
+}
+
+function parseStatus(value) {
+  try {
+    return value ? JSON.parse(value) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Write one step's status to the order
+ *
+ * statusTag - the tag to leave on the order (the other status tags come off), null to take
+ *             them all off, or left out to keep the tags as they are
+ * note - what happened, for the order note
+ * at - when it happened; a status older than the one already on the order only adds its note line
+ *
+ * Safe to run again after a partial failure: a note line that's already there isn't added twice.
+ * Returns what was written, or null if the order no longer exists.
+ */
+export async function writeOrderStatus({ orderId, action, outcome, at, note, error = null, triggeredBy, details = {}, ...rest }) {
+  const current = await fetchOrderAnnotations(orderId, STATUS_METAFIELD);
+
+  if (!current) {
+    return null;
+  }
+
+  const written = { noteAdded: false, metafieldSet: false, tagsAdded: [], tagsRemoved: [] };
+  const line = noteLine(at, note);
+
+  if (!current.note.includes(line)) {
+    await updateOrderNote(orderId, current.note ? `${current.note}\n${line}` : line);
+    written.noteAdded = true;
+  }
+
+  // Jobs can finish out of order after retries - the newest status wins
+  const previous = parseStatus(current.metafield);
+
+  if (previous?.at && Date.parse(previous.at) > Date.parse(at)) {
+    return { ...written, stale: true };
+  }
+
+  await setOrderMetafield(orderId, STATUS_METAFIELD, { action, outcome, at, error, triggeredBy, ...details });
+  written.metafieldSet = true;
+
+  if ('statusTag' in rest) {
+    const wanted = rest.statusTag;
+    const stale = current.tags.filter(tag => isStatusTag(tag) && tag !== wanted);
+
+    if (stale.length > 0) {
+      await removeOrderTags(orderId, stale);
+      written.tagsRemoved = stale;
+    }
+
+    if (wanted && !current.tags.includes(wanted)) {
+      await addOrderTags(orderId, [wanted]);
+      written.tagsAdded = [wanted];
+    }
+  }
+
+  return written;
+}
@@ -0,0 +1,171 @@
+import { queryAudit } from './audit-log.js';
+import { getStageRecord } from './pickup-stages.js';
+
+/**
+ * Pickup throughput and failure metrics for the operations dashboard, worked out from the audit log
+ *
+ * Per day (UTC) of the date range:
+ *   orders - pickup orders first queued that day, whether or not anything needed reassigning
+ *            (orders from before queueing was audited count from their first reassign entry)
+ *   reassigned - of those, reassigned by the automation on its own
+ *   reassignedByStaff - reassigned after staff stepped in (checked again, reassigned anyway)
+ *   held - still held for staff (see order-exceptions.js)
+ *   failed - ran out of retries, or only partly moved
+ *   notSynced - had to wait for the order to sync to SkuSavvy at least once
+ *   transferred - orders transferred to their pickup location that day
+ *   medianHoursToTransfer - from the order being placed to its transfer
+ *
+ * An order's latest reassign entry in the range decides which of reassigned, held or failed it counts as;
+ * one the reassign job hasn't handled (yet) counts in orders only. Dry runs aren't counted.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Long enough for a year of days, short enough for the page to draw
+const MAX_RANGE_DAYS = 366;
+
+const DEFAULT_RANGE_DAYS = 30;
+
+function dayOf(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+function median(values) {
+  if (values.length === 0) {
+    return null;
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const value = sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+
+  return Math.round(value * 10) / 10;
+}
+
+function ratio(part, whole) {
+  return whole > 0 ? Math.round(part / whole * 1000) / 1000 : null;
+}
+
+/**
+ * Check a dashboard date range (YYYY-MM-DD, both optional) and fill in the defaults: the last 30 days
+ * Returns { from, to } or { error }
+ */
+export function resolveMetricsRange({ from, to } = {}) {
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+  if ((from && (!datePattern.test(from) || isNaN(Date.parse(from)))) || (to && (!datePattern.test(to) || isNaN(Date.parse(to))))) {
+    return { error: 'from and to must be dates like 2024-11-30' };
+  }
+
+  const resolvedTo = to || dayOf(Date.now());
+  const resolvedFrom = from || dayOf(Date.parse(resolvedTo) - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+  const days = (Date.parse(resolvedTo) - Date.parse(resolvedFrom)) / DAY_MS + 1;
+
+  if (days < 1) {
+    return { error: 'from must not be after to' };
+  }
+
+  if (days > MAX_RANGE_DAYS) {
+    return { error: `The date range can be at most ${MAX_RANGE_DAYS} days` };
+  }
+
+  return { from: resolvedFrom, to: resolvedTo };
+}
+
+function outcomeOf(entry) {
+  if (entry.outcome === 'success' || entry.outcome === 'skipped') {
+    return String(entry.triggeredBy).startsWith('webhook:') ? 'reassigned' : 'reassignedByStaff';
+  }
+  return entry.outcome === 'held' ? 'held' : 'failed';
+}
+
+/**
+ * Hours from the order being placed to a transfer entry, or null when it isn't known
+ * Entries from before orderCreatedAt was recorded fall back to the order's tracked stages.
+ */
+function hoursToTransfer(entry) {
+  const createdAt = entry.orderCreatedAt || getStageRecord(entry.orderId)?.stages.created;
+
+  if (!createdAt) {
+    return null;
+  }
+
+  return Math.max(0, (Date.parse(entry.timestamp) - Date.parse(createdAt)) / (60 * 60 * 1000));
+}
+
+/**
+ * Metrics for a resolved date range (see resolveMetricsRange)
+ * Returns { from, to, totals, days: [{ date, ...counts }] }
+ */
+export async function computePickupMetrics({ from, to }) {
+  const entries = (await queryAudit({ from, to, limit: Infinity })).filter(entry => entry.outcome !== 'dry-run');
+
+  const days = new Map();
+  for (let time = Date.parse(from); time <= Date.parse(to); time += DAY_MS) {
+    const date = dayOf(time);
+    days.set(date, { date, orders: 0, reassigned: 0, reassignedByStaff: 0, held: 0, failed: 0, notSynced: 0, transferred: 0, hours: [] });
+  }
+
+  // Newest first, so the first reassign entry seen for an order is its latest
+  const pickupOrders = new Map();
+  for (const entry of entries.filter(entry => ['pickup-order-queued', 'reassign-to-americana'].includes(entry.action) && entry.orderId)) {
+    const order = pickupOrders.get(String(entry.orderId)) || { latest: null };
+    order.first = entry;
+    if (entry.action === 'reassign-to-americana' && !order.latest) {
+      order.latest = entry;
+    }
+    pickupOrders.set(String(entry.orderId), order);
+  }
+
+  for (const { first, latest } of pickupOrders.values()) {
+    const day = days.get(dayOf(first.timestamp));
+
+    day.orders++;
+    if (latest) {
+      day[outcomeOf(latest)]++;
+      day.notSynced += latest.notSyncedAttempts > 0 ? 1 : 0;
+    }
+  }
+
+  // An order transferred twice (e.g. after an undo) counts once, at its first transfer
+  const transfers = new Map();
+  for (const entry of entries.filter(entry => entry.action === 'transfer-to-genesis' && entry.outcome === 'success' && entry.orderId)) {
+    transfers.set(String(entry.orderId), entry);
+  }
+
+  for (const entry of transfers.values()) {
+    const day = days.get(dayOf(entry.timestamp));
+    const hours = hoursToTransfer(entry);
+
+    day.transferred++;
+    if (hours !== null) {
+      day.hours.push(hours);
+    }
+  }
+
+  const list = [...days.values()];
+  const sum = key => list.reduce((total, day) => total + day[key], 0);
+  const allHours = list.flatMap(day => day.hours);
+  const totals = {
+    orders: sum('orders'),
+    reassigned: sum('reassigned'),
+    reassignedByStaff: sum('reassignedByStaff'),
+    held: sum('held'),
+    failed: sum('failed'),
+    notSynced: sum('notSynced'),
+    transferred: sum('transferred'),
+    medianHoursToTransfer: median(allHours),
+    transfersTimed: allHours.length
+  };
+
+  totals.autoReassignRate = ratio(totals.reassigned, totals.orders);
+  totals.failureRate = ratio(totals.failed, totals.orders);
+  totals.notSyncedRate = ratio(totals.notSynced, totals.orders);
+
+  return {
+    from,
+    to,
+    totals,
+    days: list.map(({ hours, ...day }) => ({ ...day, medianHoursToTransfer: median(hours) }))
+  };
+}
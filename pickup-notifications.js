@@ -0,0 +1,270 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { readJson, writeJson } from './json-store.js';
+import { getMailTransport } from './mailer.js';
+import { markPreparedForPickup, preparedForPickupVariables } from './shopify.js';
+
+/**
+ * "Ready for pickup" customer notifications
+ *
+ * Once an order has been transferred to its pickup location the customer can be told,
+ * either by an email we send through SMTP or by marking the fulfillment orders ready for
+ * pickup in Shopify, which sends Shopify's own notification. Each pickup location picks
+ * the method and its email template in the routing table:
+ *
+ *   "readyForPickup": {
+ *     "notify": "email",                               // "email", "shopify" or "none"
+ *     "subject": "Your order {{orderName}} is ready for pickup at {{locationName}}",
+ *     "template": "templates/ready-for-pickup.txt",    // plain-text body
+ *     "htmlTemplate": "templates/ready-for-pickup.html", // optional HTML body
+ *     "from": "Genesis Impact Sports <pickup@example.com>",
+ *     "details": { "address": "...", "hours": "..." }   // extra {{placeholders}}
+ *   }
+ *
+ * Every send is recorded against the order in pickup-notifications.json.
+ *
+ * send fields:
+ *   id, at, method ('email' or 'shopify'), pickupLocation
+ *   to, subject, messageId - for email
+ *   fulfillmentOrderIds - for shopify
+ *   outcome - 'success' or 'failed', error
+ *   triggeredBy
+ */
+
+const NOTIFICATIONS_FILE = 'pickup-notifications.json';
+
+const NOTIFY_METHODS = ['email', 'shopify', 'none'];
+
+const DEFAULT_SUBJECT = 'Your order {{orderName}} is ready for pickup at {{locationName}}';
+const DEFAULT_TEMPLATE = 'templates/ready-for-pickup.txt';
+const DEFAULT_HTML_TEMPLATE = 'templates/ready-for-pickup.html';
+
+// Kept long enough to answer "was this customer told?" for any order still waiting
+const RETENTION_MS = 90 * 24 * 60 * 60 * 1000;
+
+let notifications = null;
+
+function loadNotifications() {
+  if (notifications === null) {
+    notifications = readJson(NOTIFICATIONS_FILE, {});
+  }
+  return notifications;
+}
+
+function saveNotifications() {
+  writeJson(NOTIFICATIONS_FILE, notifications);
+}
+
+/**
+ * How a pickup location tells customers their order is ready: 'email', 'shopify' or 'none'
+ * Locations without their own setting use READY_FOR_PICKUP_NOTIFY.
+ */
+export function getNotifyMethod(location) {
+  return location.readyForPickup?.notify || process.env.READY_FOR_PICKUP_NOTIFY || 'none';
+}
+
+/**
+ * How long after a transfer the notification goes out, so a mistaken transfer can be undone first
+ */
+export function getNotifyDelayMs() {
+  return parseFloat(process.env.READY_FOR_PICKUP_DELAY_SECONDS || '60') * 1000;
+}
+
+/**
+ * Check a location's readyForPickup settings and return a list of problems (empty when valid)
+ */
+export function validateReadyForPickup(config, where) {
+  if (config === undefined) {
+    return [];
+  }
+
+  if (!config || typeof config !== 'object') {
+    return [`${where} must be an object`];
+  }
+
+  const problems = [];
+
+  if (config.notify !== undefined && !NOTIFY_METHODS.includes(config.notify)) {
+    problems.push(`${where}.notify must be one of ${NOTIFY_METHODS.join(', ')}`);
+  }
+
+  for (const key of ['template', 'htmlTemplate']) {
+    if (config[key] !== undefined && !fs.existsSync(path.resolve(config[key]))) {
+      problems.push(`${where}.${key} file ${config[key]} does not exist`);
+    }
+  }
+
+  if (config.details !== undefined && (typeof config.details !== 'object' || Array.isArray(config.details))) {
+    problems.push(`${where}.details must be an object`);
+  }
+
+  return problems;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// {{name}} placeholders; unknown ones become empty
+function fillTemplate(template, values) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+    values[key] === undefined || values[key] === null ? '' : String(values[key]));
+}
+
+function readTemplate(file) {
+  return fs.readFileSync(path.resolve(file), 'utf8');
+}
+
+/**
+ * Subject and bodies of the ready-for-pickup email for an order
+ * Templates are read on every send, so edits apply without a restart.
+ */
+export function renderReadyForPickupEmail(location, order, { pickupCode = '' } = {}) {
+  const config = location.readyForPickup || {};
+  const customerName = `${order.customer?.first_name || ''} ${order.customer?.last_name || ''}`.trim();
+  const values = {
+    ...config.details,
+    firstName: order.customer?.first_name || customerName || 'there',
+    customerName,
+    orderName: order.name,
+    orderNumber: order.name.replace('#', ''),
+    locationName: location.name,
+    itemCount: order.item_quantity ?? '',
+    items: (order.line_items || []).map(item => `${item.quantity} × ${item.title}`).join('\n'),
+    pickupCode,
+  };
+
+  // The default HTML body only goes with the default text body
+  const htmlTemplate = config.htmlTemplate || (config.template ? null : DEFAULT_HTML_TEMPLATE);
+  const htmlValues = Object.fromEntries(Object.entries(values).map(([key, value]) => [key, escapeHtml(value ?? '')]));
+  htmlValues.items = htmlValues.items.replace(/\n/g, '<br>');
+
+  return {
+    subject: fillTemplate(config.subject || DEFAULT_SUBJECT, values),
+    text: fillTemplate(readTemplate(config.template || DEFAULT_TEMPLATE), values),
+    html: htmlTemplate ? fillTemplate(readTemplate(htmlTemplate), htmlValues) : undefined,
+  };
+}
+
+/**
+ * Tell the customer their order is ready at its pickup location
+ *
+ * fulfillmentOrders are the order's open fulfillment orders at the location;
+ * pickupCode (see pickups.js) goes in the email for staff to look the order up by.
+ * In a dry run nothing is sent; the email or Shopify call goes to run.plannedCalls.
+ * Returns what was sent ({ method, to, subject, messageId } or { method, fulfillmentOrderIds }).
+ * Throws when it couldn't be sent.
+ */
+export async function sendReadyForPickup(location, order, fulfillmentOrders, run, { pickupCode = '' } = {}) {
+  const method = getNotifyMethod(location);
+
+  if (method === 'shopify') {
+    const fulfillmentOrderIds = fulfillmentOrders.map(fo => fo.id);
+
+    if (run.dryRun) {
+      run.plannedCalls.push({
+        api: 'shopify',
+        operation: 'fulfillmentOrderLineItemsPreparedForPickup',
+        variables: preparedForPickupVariables(fulfillmentOrderIds)
+      });
+      return { method, fulfillmentOrderIds };
+    }
+
+    await markPreparedForPickup(fulfillmentOrderIds);
+    return { method, fulfillmentOrderIds };
+  }
+
+  if (method !== 'email') {
+    throw new Error(`Ready-for-pickup notifications are off for ${location.name}`);
+  }
+
+  if (!order.email) {
+    throw new Error(`Order ${order.name} has no email address`);
+  }
+
+  const email = renderReadyForPickupEmail(location, order, { pickupCode });
+  const from = location.readyForPickup?.from || process.env.SMTP_FROM;
+
+  if (run.dryRun) {
+    run.plannedCalls.push({ api: 'smtp', operation: 'sendMail', from, to: order.email, subject: email.subject });
+    return { method, to: order.email, subject: email.subject };
+  }
+
+  const info = await getMailTransport().sendMail({ from, to: order.email, ...email });
+  return { method, to: order.email, subject: email.subject, messageId: info.messageId };
+}
+
+/**
+ * Remember a notification attempt on the order
+ */
+export function recordNotification({ orderId, orderName, pickupLocation, triggeredBy, outcome, error = null, ...sent }) {
+  const all = loadNotifications();
+  const record = all[orderId] || { orderId, orderName, sends: [] };
+  const send = {
+    id: crypto.randomUUID(),
+    at: new Date().toISOString(),
+    pickupLocation,
+    ...sent,
+    outcome,
+    error,
+    triggeredBy
+  };
+
+  record.sends.push(send);
+  all[orderId] = record;
+  saveNotifications();
+
+  return send;
+}
+
+/**
+ * Has the customer already been told this order is ready at this location?
+ */
+export function wasNotified(orderId, pickupLocation) {
+  const record = loadNotifications()[orderId];
+
+  return Boolean(record?.sends.some(send =>
+    send.outcome === 'success' && send.pickupLocation === pickupLocation));
+}
+
+/**
+ * Notifications recorded for one order (by ID or order number), or null
+ */
+export function getOrderNotifications({ orderId, orderNumber }) {
+  const all = loadNotifications();
+
+  if (orderId) {
+    return all[orderId] || null;
+  }
+
+  const wanted = String(orderNumber).replace('#', '').toUpperCase();
+  return Object.values(all).find(record =>
+    String(record.orderName).replace('#', '').toUpperCase() === wanted) || null;
+}
+
+/**
+ * Forget orders with no notification in the last 90 days
+ */
+export function pruneNotifications() {
+  const cutoff = Date.now() - RETENTION_MS;
+  const all = loadNotifications();
+  let removed = 0;
+
+  for (const [orderId, record] of Object.entries(all)) {
+    if (record.sends.every(send => Date.parse(send.at) < cutoff)) {
+      delete all[orderId];
+      removed++;
+    }
+  }
+
+  if (removed > 0) {
+    saveNotifications();
+  }
+
+  return removed;
+}
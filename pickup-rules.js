@@ -0,0 +1,212 @@
+import fs from 'fs';
+
+/**
+ * Pickup detection rules
+ *
+ * A rules file has an "include" list and an optional "exclude" list. Each rule
+ * has a name and one or more conditions; a rule matches when ALL of its
+ * conditions match. An order is a pickup order when no exclude rule matches
+ * and at least one include rule does.
+ *
+ * Conditions:
+ *   tags               - any of these tags, exact match (case-insensitive)
+ *   shippingLineCode   - any shipping line code matches any of these regexes
+ *   shippingLineTitle  - any shipping line title matches any of these regexes
+ *   deliveryMethodType - any shipping line delivery_category is one of these
+ *   hasLocationId      - true/false: the order has (or hasn't) a location_id
+ *   locationIds        - the order's location_id is one of these
+ */
+const CONDITIONS = {
+  tags: {
+    validate: value => isStringArray(value),
+    test: (value, order) => {
+      const wanted = value.map(tag => tag.toLowerCase());
+      return getOrderTags(order).some(tag => wanted.includes(tag));
+    },
+  },
+  shippingLineCode: {
+    validate: value => isPatternArray(value),
+    test: (value, order) => getShippingLines(order)
+      .some(line => value.some(pattern => new RegExp(pattern, 'i').test(line.code || ''))),
+  },
+  shippingLineTitle: {
+    validate: value => isPatternArray(value),
+    test: (value, order) => getShippingLines(order)
+      .some(line => value.some(pattern => new RegExp(pattern, 'i').test(line.title || ''))),
+  },
+  deliveryMethodType: {
+    validate: value => isStringArray(value),
+    test: (value, order) => {
+      const wanted = value.map(type => type.toLowerCase());
+      return getShippingLines(order)
+        .some(line => wanted.includes(String(line.delivery_category || '').toLowerCase()));
+    },
+  },
+  hasLocationId: {
+    validate: value => typeof value === 'boolean',
+    test: (value, order) => Boolean(order.location_id) === value,
+  },
+  locationIds: {
+    validate: value => Array.isArray(value) && value.length > 0,
+    test: (value, order) => value.map(String).includes(String(order.location_id)),
+  },
+};
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string');
+}
+
+function isPatternArray(value) {
+  if (!isStringArray(value)) {
+    return false;
+  }
+  try {
+    value.forEach(pattern => new RegExp(pattern, 'i'));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function getOrderTags(order) {
+  return String(order.tags || '')
+    .split(',')
+    .map(tag => tag.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function getShippingLines(order) {
+  return order.shipping_lines || [];
+}
+
+/**
+ * Check a parsed rules object and return a list of problems (empty when valid)
+ */
+export function validatePickupRules(rules) {
+  const problems = [];
+
+  if (!rules || typeof rules !== 'object') {
+    return ['Rules must be a JSON object'];
+  }
+
+  if (!Array.isArray(rules.include) || rules.include.length === 0) {
+    problems.push('"include" must be a non-empty list of rules');
+  }
+
+  if (rules.exclude !== undefined && !Array.isArray(rules.exclude)) {
+    problems.push('"exclude" must be a list of rules');
+  }
+
+  for (const list of ['include', 'exclude']) {
+    (Array.isArray(rules[list]) ? rules[list] : []).forEach((rule, index) => {
+      if (!rule || typeof rule !== 'object') {
+        problems.push(`${list}[${index}] must be an object`);
+        return;
+      }
+
+      const where = rule.name ? `${list}[${index}] (${rule.name})` : `${list}[${index}]`;
+
+      if (typeof rule.name !== 'string' || !rule.name.trim()) {
+        problems.push(`${where} needs a "name"`);
+      }
+
+      const { name, ...conditions } = rule;
+      problems.push(...validateConditions(conditions, where));
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * Check a set of conditions (a rule without its name) and return a list of problems
+ */
+export function validateConditions(conditions, where) {
+  const keys = Object.keys(conditions || {});
+  const problems = [];
+
+  if (keys.length === 0) {
+    problems.push(`${where} has no conditions`);
+  }
+
+  for (const key of keys) {
+    if (!CONDITIONS[key]) {
+      problems.push(`${where} has unknown condition "${key}"`);
+    } else if (!CONDITIONS[key].validate(conditions[key])) {
+      problems.push(`${where} has an invalid value for "${key}"`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Read and validate a rules file. Throws with every problem found.
+ */
+export function loadPickupRules(filePath) {
+  let rules;
+
+  try {
+    rules = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read pickup rules from ${filePath}: ${error.message}`);
+  }
+
+  const problems = validatePickupRules(rules);
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid pickup rules in ${filePath}:\n  - ${problems.join('\n  - ')}`);
+  }
+
+  return {
+    include: rules.include,
+    exclude: rules.exclude || [],
+  };
+}
+
+/**
+ * Work out whether all conditions match an order, and which of them did
+ */
+export function matchConditions(conditions, order) {
+  const keys = Object.keys(conditions);
+  const results = Object.fromEntries(
+    keys.map(key => [key, CONDITIONS[key].test(conditions[key], order)])
+  );
+
+  return {
+    matched: keys.every(key => results[key]),
+    conditions: results,
+  };
+}
+
+/**
+ * Decide whether an order is a pickup order, and explain why
+ *
+ * Returns { isPickup, matchedRule, evaluated } where matchedRule is the
+ * deciding rule (or null) and evaluated lists every rule that was checked.
+ */
+export function evaluatePickupRules(rules, order) {
+  const evaluated = [];
+
+  for (const list of ['exclude', 'include']) {
+    for (const rule of rules[list]) {
+      const { name, ...ruleConditions } = rule;
+      const { matched, conditions } = matchConditions(ruleConditions, order);
+      evaluated.push({ list, name: rule.name, matched, conditions });
+
+      if (matched) {
+        return {
+          isPickup: list === 'include',
+          matchedRule: { list, name: rule.name },
+          evaluated,
+        };
+      }
+    }
+  }
+
+  return {
+    isPickup: false,
+    matchedRule: null,
+    evaluated,
+  };
+}
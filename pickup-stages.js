@@ -0,0 +1,242 @@
+import { readJson, writeJson } from './json-store.js';
+
+/**
+ * Pickup order stages and SLAs
+ *
+ * Each pickup order is tracked through its stages, with when it reached each one:
+ *
+ *   'created'     - queued for reassignment (normally as soon as it's placed)
+ *   'reassigned'  - reassigned in SkuSavvy to the fulfilling warehouse for packing
+ *   'transferred' - at the pickup location waiting for the customer (or nothing needed packing)
+ *   'picked-up'   - everything handed over at /pickup
+ *
+ * An order shouldn't sit in a stage longer than the stage's SLA, in hours:
+ *
+ *   SLA_CREATED_HOURS (default 2)       - to be reassigned
+ *   SLA_REASSIGNED_HOURS (default 48)   - to reach the pickup location
+ *   SLA_TRANSFERRED_HOURS (default 120) - to be collected
+ *
+ * 0 turns a stage's SLA off. A pickup location can set its own in the routing table:
+ *
+ *   "sla": { "created": 1, "reassigned": 24, "transferred": 72 }
+ *
+ * record fields (pickup-stages.json, by order ID):
+ *   orderId, orderName, pickupLocation, warehouse
+ *   stages - { created, reassigned, transferred, picked-up }, when each was reached
+ *   closedAt, closedReason - once there's nothing left to track: 'picked-up', 'cancelled',
+ *                            'not-pickup', 'undone', 'dismissed', 'ships' (nothing to collect),
+ *                            or 'fulfilled' / 'closed' in Shopify (e.g. collected through POS)
+ *   alerts - [{ stage, at }], at most one overdue alert per stage
+ */
+
+const STAGES_FILE = 'pickup-stages.json';
+
+export const STAGES = ['created', 'reassigned', 'transferred', 'picked-up'];
+
+// Stages an order can be overdue in - 'picked-up' is the end
+const SLA_STAGES = ['created', 'reassigned', 'transferred'];
+
+const DEFAULT_SLA_HOURS = { created: 2, reassigned: 48, transferred: 120 };
+
+// Closed records are kept a while for "how long did this order take?"
+const RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Open records nothing has happened to for this long are dropped, in case an order was finished
+// somewhere no webhook told us about - long past every SLA, so they've been alerted on already
+const OPEN_RETENTION_MS = 90 * 24 * 60 * 60 * 1000;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let records = null;
+
+function loadRecords() {
+  if (records === null) {
+    records = readJson(STAGES_FILE, {});
+  }
+  return records;
+}
+
+function saveRecords() {
+  writeJson(STAGES_FILE, records);
+}
+
+/**
+ * Check a location's sla settings and return a list of problems (empty when valid)
+ */
+export function validateSla(config, where) {
+  if (config === undefined) {
+    return [];
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return [`${where} must be an object`];
+  }
+
+  const problems = [];
+
+  for (const [stage, hours] of Object.entries(config)) {
+    if (!SLA_STAGES.includes(stage)) {
+      problems.push(`${where}.${stage} is not a stage with an SLA (${SLA_STAGES.join(', ')})`);
+    } else if (typeof hours !== 'number' || hours < 0) {
+      problems.push(`${where}.${stage} must be a number of hours (0 for no SLA)`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * SLA hours per stage for a pickup location: its own "sla", then SLA_<STAGE>_HOURS, then the defaults
+ */
+export function getSlaHours(location) {
+  return Object.fromEntries(SLA_STAGES.map(stage => {
+    const fromEnv = process.env[`SLA_${stage.toUpperCase()}_HOURS`];
+    const hours = location?.sla?.[stage] ?? (fromEnv !== undefined ? parseFloat(fromEnv) : DEFAULT_SLA_HOURS[stage]);
+    return [stage, hours];
+  }));
+}
+
+/**
+ * Note that an order reached a stage (the first time counts)
+ * Reaching any stage but 'picked-up' reopens a closed record, e.g. an order that became pickup again.
+ */
+export function recordStage(orderId, { orderName, pickupLocation, warehouse }, stage, at = new Date().toISOString()) {
+  const all = loadRecords();
+  const record = all[orderId] || { orderId, orderName, stages: {}, closedAt: null, closedReason: null, alerts: [] };
+
+  record.orderName = orderName || record.orderName;
+  record.pickupLocation = pickupLocation || record.pickupLocation;
+  record.warehouse = warehouse || record.warehouse;
+  record.stages[stage] = record.stages[stage] || at;
+
+  if (stage === 'picked-up') {
+    record.closedAt = at;
+    record.closedReason = 'picked-up';
+  } else if (record.closedAt) {
+    record.closedAt = null;
+    record.closedReason = null;
+  }
+
+  all[orderId] = record;
+  saveRecords();
+
+  return record;
+}
+
+/**
+ * Go back to before a stage, e.g. after a transfer is undone, so the stage (and its alert) can happen again
+ */
+export function rewindStage(orderId, stage) {
+  const record = loadRecords()[orderId];
+
+  if (!record) {
+    return null;
+  }
+
+  const dropped = STAGES.slice(STAGES.indexOf(stage));
+
+  dropped.forEach(name => delete record.stages[name]);
+  record.alerts = record.alerts.filter(alert => !dropped.includes(alert.stage));
+  record.closedAt = null;
+  record.closedReason = null;
+  saveRecords();
+
+  return record;
+}
+
+/**
+ * Stop tracking an order (it's cancelled, no longer pickup, ...); nothing happens if it isn't tracked
+ */
+export function closeStages(orderId, reason) {
+  const record = loadRecords()[orderId];
+
+  if (!record || record.closedAt) {
+    return null;
+  }
+
+  record.closedAt = new Date().toISOString();
+  record.closedReason = reason;
+  saveRecords();
+
+  return record;
+}
+
+/**
+ * An order's stage record, or null
+ */
+export function getStageRecord(orderId) {
+  return loadRecords()[orderId] || null;
+}
+
+/**
+ * Records still being tracked
+ */
+export function listOpenStages() {
+  return Object.values(loadRecords()).filter(record => !record.closedAt);
+}
+
+/**
+ * Where an order is now: { stage, since, hours, slaHours, overdue, alerted }
+ * location is the order's pickup location from the routing table, for its SLAs.
+ */
+export function describeStage(record, location, now = Date.now()) {
+  const stage = [...STAGES].reverse().find(name => record.stages[name]) || null;
+
+  if (!stage) {
+    return { stage: null, since: null, hours: 0, slaHours: 0, overdue: false, alerted: false };
+  }
+
+  const since = record.stages[stage];
+  const hours = Math.max(0, (now - Date.parse(since)) / HOUR_MS);
+  const slaHours = SLA_STAGES.includes(stage) ? getSlaHours(location)[stage] : 0;
+
+  return {
+    stage,
+    since,
+    hours: Math.round(hours * 10) / 10,
+    slaHours,
+    overdue: !record.closedAt && slaHours > 0 && hours > slaHours,
+    alerted: record.alerts.some(alert => alert.stage === stage)
+  };
+}
+
+/**
+ * Remember that staff were alerted about an order being overdue in a stage
+ */
+export function recordStageAlert(orderId, stage) {
+  const record = loadRecords()[orderId];
+
+  if (!record) {
+    return null;
+  }
+
+  record.alerts.push({ stage, at: new Date().toISOString() });
+  saveRecords();
+
+  return record;
+}
+
+/**
+ * Forget orders closed more than 30 days ago, and open ones that haven't moved in 90 days
+ */
+export function pruneStages() {
+  const cutoff = Date.now() - RETENTION_MS;
+  const openCutoff = Date.now() - OPEN_RETENTION_MS;
+  const all = loadRecords();
+  let removed = 0;
+
+  for (const [orderId, record] of Object.entries(all)) {
+    const lastMoved = Math.max(0, ...Object.values(record.stages).map(at => Date.parse(at)));
+
+    if (record.closedAt ? Date.parse(record.closedAt) < cutoff : lastMoved < openCutoff) {
+      delete all[orderId];
+      removed++;
+    }
+  }
+
+  if (removed > 0) {
+    saveRecords();
+  }
+
+  return removed;
+}
@@ -0,0 +1,156 @@
+import crypto from 'crypto';
+import { readJson, writeJson } from './json-store.js';
+
+/**
+ * Pickup codes and handoffs
+ *
+ * An order waiting at its pickup location gets a short pickup code (sent in the
+ * ready-for-pickup email as {{pickupCode}}) that staff at the counter can look it
+ * up by. Every handoff is recorded with who handed the order over and how the
+ * customer was verified.
+ *
+ * record fields (pickups.json, by order ID):
+ *   orderId, orderName
+ *   pickupCode, codeCreatedAt
+ *   handoffs - [{ id, at, by, verification, pickupLocation, fulfillmentOrderIds, fulfillmentId, note }]
+ */
+
+const PICKUPS_FILE = 'pickups.json';
+
+// How staff confirmed the person at the counter is the customer
+export const VERIFICATION_METHODS = ['pickup-code', 'photo-id', 'order-confirmation'];
+
+// No 0/O, 1/I/L - the code gets read out loud and typed in
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+// Kept long enough to answer "who handed this over?" for returns and disputes
+const RETENTION_MS = 90 * 24 * 60 * 60 * 1000;
+
+let pickups = null;
+
+function loadPickups() {
+  if (pickups === null) {
+    pickups = readJson(PICKUPS_FILE, {});
+  }
+  return pickups;
+}
+
+function savePickups() {
+  writeJson(PICKUPS_FILE, pickups);
+}
+
+/**
+ * Pickup code as staff typed or scanned it, e.g. " k7p-3qx " → "K7P3QX"
+ */
+export function normalizePickupCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Could this be a pickup code (rather than an order number or a name)?
+ */
+export function looksLikePickupCode(value) {
+  const code = normalizePickupCode(value);
+  return code.length === CODE_LENGTH && [...code].every(char => CODE_ALPHABET.includes(char));
+}
+
+function generateCode(taken) {
+  for (;;) {
+    const code = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+
+    if (!taken.has(code)) {
+      return code;
+    }
+  }
+}
+
+/**
+ * The order's pickup code, created the first time it's asked for
+ */
+export function getPickupCode(orderId, orderName) {
+  const all = loadPickups();
+  const record = all[orderId];
+
+  if (record?.pickupCode) {
+    return record.pickupCode;
+  }
+
+  const taken = new Set(Object.values(all).map(other => other.pickupCode));
+
+  all[orderId] = {
+    orderId,
+    orderName,
+    handoffs: [],
+    ...record,
+    pickupCode: generateCode(taken),
+    codeCreatedAt: new Date().toISOString()
+  };
+  savePickups();
+
+  return all[orderId].pickupCode;
+}
+
+/**
+ * Pickup record for an order, or null if it has no code or handoffs yet
+ */
+export function getPickupRecord(orderId) {
+  return loadPickups()[orderId] || null;
+}
+
+/**
+ * Pickup record with this code, or null
+ */
+export function findPickupByCode(code) {
+  const wanted = normalizePickupCode(code);
+
+  return Object.values(loadPickups()).find(record => record.pickupCode === wanted) || null;
+}
+
+/**
+ * Remember that staff handed (part of) an order over to the customer
+ */
+export function recordHandoff({ orderId, orderName, by, verification, pickupLocation, fulfillmentOrderIds, fulfillmentId, note = null }) {
+  const all = loadPickups();
+  const record = all[orderId] || { orderId, orderName, pickupCode: null, codeCreatedAt: null, handoffs: [] };
+  const handoff = {
+    id: crypto.randomUUID(),
+    at: new Date().toISOString(),
+    by,
+    verification,
+    pickupLocation,
+    fulfillmentOrderIds,
+    fulfillmentId,
+    note
+  };
+
+  record.handoffs.push(handoff);
+  all[orderId] = record;
+  savePickups();
+
+  return handoff;
+}
+
+/**
+ * Forget orders with no code created or handoff in the last 90 days
+ */
+export function prunePickups() {
+  const cutoff = Date.now() - RETENTION_MS;
+  const all = loadPickups();
+  let removed = 0;
+
+  for (const [orderId, record] of Object.entries(all)) {
+    const times = [record.codeCreatedAt, ...record.handoffs.map(handoff => handoff.at)].filter(Boolean).map(Date.parse);
+
+    if (times.every(time => time < cutoff)) {
+      delete all[orderId];
+      removed++;
+    }
+  }
+
+  if (removed > 0) {
+    savePickups();
+  }
+
+  return removed;
+}
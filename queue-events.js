@@ -0,0 +1,89 @@
+/**
+ * Live pickup queue updates over Server-Sent Events
+ *
+ * Every open /reassign page keeps a connection to GET /api/pickup-orders/events.
+ * Whenever something changes which orders are waiting for transfer, an event is
+ * sent to all of them so their lists stay current without reloading.
+ *
+ * event fields:
+ *   id - increasing number, restarts with the server
+ *   type - 'order-queued' (new pickup order from a webhook), 'order-reassigned'
+ *          (SkuSavvy reassignment done), 'order-removed' (cancelled, no longer pickup,
+ *          or fulfilled/closed in Shopify), 'order-transferred' (moved to its pickup location), 'transfer-undone',
+ *          'reconcile-fix', 'order-needs-attention' (held for staff, see order-exceptions.js),
+ *          'order-overdue' (past its stage's SLA, see pickup-stages.js)
+ *   at, orderId, orderName, orderNumber (order name without '#')
+ *   plus details for the type (e.g. pickupLocation, triggeredBy)
+ */
+
+// Proxies (Render included) drop connections that stay silent for too long
+const HEARTBEAT_MS = 25 * 1000;
+
+// How long a browser waits before reconnecting after the connection drops
+const RECONNECT_MS = 5 * 1000;
+
+const clients = new Set();
+let lastEventId = 0;
+let heartbeat = null;
+
+function send(res, chunk) {
+  try {
+    res.write(chunk);
+  } catch (error) {
+    clients.delete(res);
+  }
+}
+
+/**
+ * Turn an HTTP response into an event stream and keep it until the client goes away
+ */
+export function addQueueClient(req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    // Stop nginx-style proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+  clients.add(res);
+
+  if (!heartbeat) {
+    heartbeat = setInterval(() => clients.forEach(client => send(client, ': ping\n\n')), HEARTBEAT_MS);
+    heartbeat.unref();
+  }
+
+  req.on('close', () => {
+    clients.delete(res);
+
+    if (clients.size === 0 && heartbeat) {
+      clearInterval(heartbeat);
+      heartbeat = null;
+    }
+  });
+}
+
+export function queueClientCount() {
+  return clients.size;
+}
+
+/**
+ * Tell every connected page that the pickup queue changed
+ */
+export function publishQueueEvent(type, { orderId = null, orderName = null, ...details } = {}) {
+  const event = {
+    id: ++lastEventId,
+    type,
+    at: new Date().toISOString(),
+    orderId,
+    orderName,
+    orderNumber: orderName ? String(orderName).replace('#', '') : null,
+    ...details
+  };
+
+  const chunk = `id: ${event.id}\nevent: ${type}\ndata: ${JSON.stringify(event)}\n\n`;
+  clients.forEach(client => send(client, chunk));
+
+  return event;
+}
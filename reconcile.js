@@ -0,0 +1,203 @@
+import { listAllOrders, fetchFulfillmentOrders } from './shopify.js';
+import { findSkuSavvyShipmentWarehouses, moveShipmentsToWarehouse } from './skusavvy.js';
+import { warehouseForShopifyLocation } from './routing.js';
+import { recordAudit } from './audit-log.js';
+import { createRun } from './dry-run.js';
+import { recordShipmentTransfer } from './transfers.js';
+import { publishQueueEvent } from './queue-events.js';
+
+// Fulfillment orders in these states still have stock to pick, so their location matters
+const ACTIVE_FULFILLMENT_STATUSES = ['open', 'in_progress', 'scheduled', 'on_hold'];
+
+/**
+ * Compare one order's Shopify fulfillment-order locations with its SkuSavvy
+ * shipment warehouses. Returns a mismatch entry, or null when they agree.
+ *
+ * reassignedTo is the warehouse the automation reassigned the order's shipments to
+ * for packing, if it did. Its fulfillment orders stay at the pickup location, so
+ * that warehouse is expected instead of the one Shopify's location maps to.
+ */
+export async function checkOrder(routingTable, order, reassignedTo = null) {
+  const apaOrderNumber = order.name.replace('#', '');
+
+  const fulfillmentOrders = (await fetchFulfillmentOrders(order.id))
+    .filter(fo => ACTIVE_FULFILLMENT_STATUSES.includes(fo.status));
+
+  if (fulfillmentOrders.length === 0) {
+    return null;
+  }
+
+  // Which SkuSavvy warehouses Shopify says the order should be at
+  const expected = new Map();
+  for (const fo of fulfillmentOrders) {
+    const warehouse = warehouseForShopifyLocation(routingTable, fo.assigned_location_id);
+
+    if (!warehouse) {
+      return {
+        orderId: order.id,
+        orderName: order.name,
+        problem: 'unknown-location',
+        shopifyLocation: { id: fo.assigned_location_id, name: fo.assigned_location?.name },
+        fixable: false,
+      };
+    }
+    expected.set(warehouse.skuSavvyWarehouseId, { ...warehouse, shopifyLocationId: String(fo.assigned_location_id) });
+  }
+
+  // Reassigned for packing - all its shipments went to the one warehouse, wherever Shopify has it
+  if (reassignedTo) {
+    expected.clear();
+    expected.set(reassignedTo.skuSavvyWarehouseId, reassignedTo);
+  }
+
+  const skuSavvyOrder = await findSkuSavvyShipmentWarehouses(apaOrderNumber);
+
+  if (!skuSavvyOrder) {
+    return {
+      orderId: order.id,
+      orderName: order.name,
+      problem: 'missing-in-skusavvy',
+      fixable: false,
+    };
+  }
+
+  const mismatched = skuSavvyOrder.shipments.filter(shipment => !expected.has(shipment.warehouseId));
+
+  if (mismatched.length === 0) {
+    return null;
+  }
+
+  // With fulfillment orders split across locations we can't tell which
+  // shipment belongs where, so leave those for a human
+  const [target] = expected.values();
+
+  return {
+    orderId: order.id,
+    orderName: order.name,
+    orderUUID: skuSavvyOrder.orderUUID,
+    problem: 'warehouse-mismatch',
+    ...(reassignedTo ? { reassigned: true } : {}),
+    expectedWarehouses: [...expected.values()],
+    shipments: mismatched,
+    fixable: expected.size === 1,
+    target: expected.size === 1 ? target : null,
+  };
+}
+
+/**
+ * Walk recent pickup orders and find (and optionally fix) drift between the
+ * Shopify fulfillment-order location and the SkuSavvy shipment warehouse.
+ * Shopify is treated as the source of truth, except for orders the automation reassigned
+ * for packing: reassignedWarehouse(orderId) returns the warehouse their shipments belong in.
+ *
+ * Orders for which hasPendingWork(orderId) is true - a reassign or revert still to run, or
+ * an order held for staff - are left alone and listed in skipped, since a fix would race them.
+ *
+ * Options: lookbackDays (default 7), dryRun (default true), triggeredBy, hasPendingWork, reassignedWarehouse
+ */
+export async function reconcilePickupOrders(routingTable, {
+  lookbackDays = 7,
+  dryRun = true,
+  triggeredBy = 'reconcile',
+  hasPendingWork = () => false,
+  reassignedWarehouse = () => null
+} = {}) {
+  const startedAt = new Date();
+  const createdAtMin = new Date(startedAt.getTime() - lookbackDays * 24 * 60 * 60 * 1000).toISOString();
+
+  console.log('\n=================================');
+  console.log(`🔎 RECONCILIATION (${dryRun ? 'dry run' : 'fixing'}, last ${lookbackDays} day(s))`);
+  console.log('=================================');
+
+  const orders = await listAllOrders(`tag:pickup-order AND status:open AND created_at:>='${createdAtMin}'`);
+
+  const mismatches = [];
+  const errors = [];
+  const skipped = [];
+
+  for (const order of orders) {
+    if (hasPendingWork(order.id)) {
+      console.log(`   ⏭️  ${order.name}: work still queued for it, leaving it alone`);
+      skipped.push({ orderId: order.id, orderName: order.name, reason: 'pending-work' });
+      continue;
+    }
+
+    try {
+      const mismatch = await checkOrder(routingTable, order, reassignedWarehouse(order.id));
+
+      if (!mismatch) {
+        continue;
+      }
+
+      console.log(`   ⚠️  ${order.name}: ${mismatch.problem}${mismatch.target ? ` (should be at ${mismatch.target.name})` : ''}`);
+
+      // Dry runs list the SkuSavvy calls a fix would make
+      if (dryRun && mismatch.fixable) {
+        const run = createRun(true);
+        await moveShipmentsToWarehouse(mismatch.orderUUID, mismatch.shipments, mismatch.target.skuSavvyWarehouseId, run);
+        mismatch.plannedCalls = run.plannedCalls;
+      }
+
+      if (!dryRun && mismatch.fixable) {
+        const { reassignedCount, movedShipmentIds, errors: fixErrors } = await moveShipmentsToWarehouse(
+          mismatch.orderUUID,
+          mismatch.shipments,
+          mismatch.target.skuSavvyWarehouseId
+        );
+
+        mismatch.fixed = reassignedCount === mismatch.shipments.length;
+        mismatch.error = fixErrors.length > 0 ? fixErrors.join('; ') : null;
+
+        const target = { id: mismatch.target.skuSavvyWarehouseId, name: mismatch.target.name };
+        const transfer = recordShipmentTransfer('reconcile-fix', {
+          orderId: order.id,
+          orderName: order.name,
+          orderUUID: mismatch.orderUUID,
+          shipments: mismatch.shipments,
+          movedShipmentIds,
+          target,
+          triggeredBy
+        });
+        mismatch.transferId = transfer?.id || null;
+
+        recordAudit({
+          action: 'reconcile-fix',
+          orderId: order.id,
+          orderName: order.name,
+          shipmentIds: mismatch.shipments.map(shipment => shipment.id),
+          source: mismatch.shipments.map(shipment => ({ id: shipment.warehouseId, name: shipment.warehouseName })),
+          target,
+          transferId: mismatch.transferId,
+          triggeredBy,
+          outcome: mismatch.fixed ? 'success' : (reassignedCount > 0 ? 'partial' : 'failed'),
+          error: mismatch.error
+        });
+
+        if (reassignedCount > 0) {
+          publishQueueEvent('reconcile-fix', { orderId: order.id, orderName: order.name, transferId: mismatch.transferId });
+        }
+
+        console.log(`      ${mismatch.fixed ? '✅ Fixed' : '❌ Fix failed'}`);
+      }
+
+      mismatches.push(mismatch);
+    } catch (error) {
+      console.error(`   ❌ ${order.name}: ${error.message}`);
+      errors.push({ orderId: order.id, orderName: order.name, error: error.message });
+    }
+  }
+
+  console.log(`✅ Checked ${orders.length - skipped.length} order(s): ${mismatches.length} mismatch(es), ${errors.length} error(s), ${skipped.length} skipped`);
+  console.log('=================================\n');
+
+  return {
+    startedAt: startedAt.toISOString(),
+    finishedAt: new Date().toISOString(),
+    dryRun,
+    lookbackDays,
+    ordersChecked: orders.length - skipped.length,
+    mismatches,
+    errors,
+    skipped,
+  };
+}
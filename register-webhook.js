@@ -1,17 +1,36 @@
-import fetch from 'node-fetch';
 import dotenv from 'dotenv';
+import {
+  listWebhookSubscriptions,
+  createWebhookSubscription,
+  topicToEnum,
+  getShopifyApiVersion,
+  ShopifyApiError,
+} from './shopify.js';
 
 dotenv.config();
 
 const SHOPIFY_SHOP = process.env.SHOPIFY_SHOP;
 const ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN;
-const WEBHOOK_URL = process.env.WEBHOOK_URL || 'https://your-app-name.onrender.com/webhooks/orders/create';
+// Base URL of the deployed server. WEBHOOK_URL used to be the full orders/create
+// address, so strip any /webhooks/... path to keep old .env files working.
+const WEBHOOK_BASE_URL = (process.env.WEBHOOK_BASE_URL || process.env.WEBHOOK_URL || 'https://your-app-name.onrender.com')
+  .replace(/\/webhooks\/.*$/, '')
+  .replace(/\/$/, '');
+
+// Every topic the server has a handler for
+const TOPICS = [
+  'orders/create',
+  'orders/updated',
+  'orders/edited',
+  'orders/cancelled',
+];
 
 async function registerWebhook() {
-  console.log('\n🔗 Registering Shopify Webhook');
+  console.log('\n🔗 Registering Shopify Webhooks');
   console.log('==============================');
-  console.log(`Shop: ${SHOPIFY_SHOP}`);
-  console.log(`Webhook URL: ${WEBHOOK_URL}`);
+  console.log(`Shop: ${SHOPIFY_SHOP} (Admin API ${getShopifyApiVersion()})`);
+  console.log(`Base URL: ${WEBHOOK_BASE_URL}`);
+  console.log(`Topics: ${TOPICS.join(', ')}`);
   console.log(`Access Token: ${ACCESS_TOKEN ? 'Set ✓' : 'Missing ✗'}`);
   console.log('==============================\n');
 
@@ -22,43 +41,50 @@ async function registerWebhook() {
     process.exit(1);
   }
 
+  let failed = 0;
+
   try {
-    console.log('Sending request to Shopify...\n');
-    
-    const response = await fetch(
-      `https://${SHOPIFY_SHOP}/admin/api/2024-10/webhooks.json`,
-      {
-        method: 'POST',
-        headers: {
-          'X-Shopify-Access-Token': ACCESS_TOKEN,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          webhook: {
-            topic: 'orders/create',
-            address: WEBHOOK_URL,
-            format: 'json',
-          },
-        }),
+    console.log('Checking existing webhooks...\n');
+
+    let existing = [];
+    try {
+      existing = await listWebhookSubscriptions();
+    } catch (error) {
+      console.warn(`⚠️  Could not list existing webhooks (${error.message}), registering all topics`);
+    }
+
+    for (const topic of TOPICS) {
+      const address = `${WEBHOOK_BASE_URL}/webhooks/${topic}`;
+
+      if (existing.some(webhook => webhook.topic === topicToEnum(topic) && webhook.address === address)) {
+        console.log(`✓ ${topic} already registered`);
+        continue;
       }
-    );
 
-    const data = await response.json();
+      try {
+        const webhook = await createWebhookSubscription(topic, address);
 
-    if (response.ok) {
-      console.log('✅ Webhook registered successfully!\n');
-      console.log('Webhook Details:');
-      console.log(JSON.stringify(data, null, 2));
-      console.log('\n');
-    } else {
-      console.error('❌ Failed to register webhook\n');
-      console.error('Status:', response.status, response.statusText);
-      console.error('Error:', JSON.stringify(data, null, 2));
-      console.error('\n');
+        console.log(`✅ ${topic} registered → ${address} (ID: ${webhook.id})`);
+      } catch (error) {
+        if (!(error instanceof ShopifyApiError)) {
+          throw error;
+        }
+
+        failed++;
+        console.error(`❌ Failed to register ${topic}`);
+        console.error('   Error:', error.message);
+      }
     }
+
+    console.log('');
   } catch (error) {
     console.error('❌ Error:', error.message);
     console.error('Stack:', error.stack);
+    failed++;
+  }
+
+  if (failed > 0) {
+    process.exit(1);
   }
 }
 
@@ -77,28 +103,22 @@ async function listWebhooks() {
   try {
     console.log('Fetching webhooks from Shopify...\n');
     
-    const response = await fetch(
-      `https://${SHOPIFY_SHOP}/admin/api/2024-10/webhooks.json`,
-      {
-        headers: {
-          'X-Shopify-Access-Token': ACCESS_TOKEN,
-        },
+    let webhooks;
+    try {
+      webhooks = await listWebhookSubscriptions();
+    } catch (error) {
+      if (!(error instanceof ShopifyApiError)) {
+        throw error;
       }
-    );
 
-    if (!response.ok) {
       console.error('❌ Failed to fetch webhooks');
-      console.error('Status:', response.status, response.statusText);
-      const errorData = await response.json();
-      console.error('Error:', JSON.stringify(errorData, null, 2));
+      console.error('Error:', error.message);
       return;
     }
-
-    const data = await response.json();
     
-    if (data.webhooks && data.webhooks.length > 0) {
-      console.log(`✅ Found ${data.webhooks.length} webhook(s):\n`);
-      data.webhooks.forEach((webhook, i) => {
+    if (webhooks.length > 0) {
+      console.log(`✅ Found ${webhooks.length} webhook(s):\n`);
+      webhooks.forEach((webhook, i) => {
         console.log(`${i + 1}. Topic: ${webhook.topic}`);
         console.log(`   Address: ${webhook.address}`);
         console.log(`   ID: ${webhook.id}`);
@@ -0,0 +1,239 @@
+import fs from 'fs';
+import { validateConditions, matchConditions } from './pickup-rules.js';
+import { validateReadyForPickup } from './pickup-notifications.js';
+import { validateSla } from './pickup-stages.js';
+
+/**
+ * Routing table: which warehouse packs the orders for each pickup location
+ *
+ * {
+ *   "pickupLocations": [
+ *     {
+ *       "name": "Genesis",
+ *       "shopifyLocationId": "...",     // where the customer collects the order
+ *       "skuSavvyWarehouseId": "...",   // the same store in SkuSavvy
+ *       "match": { "shippingLineTitle": ["genesis impact sports"] },
+ *       "default": true,
+ *       "readyForPickup": { "notify": "email", ... },  // see pickup-notifications.js
+ *       "useStockAtPickup": true,       // hand over items on the shelf here instead of packing them (see line-routing.js)
+ *       "sla": { "created": 2, "reassigned": 48, "transferred": 120 },  // hours per stage (see pickup-stages.js)
+ *       "fulfillingWarehouse": {
+ *         "name": "Americana",
+ *         "shopifyLocationId": "...",   // where the order is packed (optional, see below)
+ *         "skuSavvyWarehouseId": "..."
+ *       }
+ *     }
+ *   ]
+ * }
+ *
+ * Without the fulfilling warehouse's "shopifyLocationId" its stock isn't checked before
+ * reassigning, "useStockAtPickup" can't be used (lines can't be split off to it), and
+ * any location that isn't a pickup location counts as the warehouse on /reassign.
+ *
+ * "match" uses the same conditions as pickup-rules.json and decides which
+ * pickup location an order belongs to. Orders that match no location go to
+ * the one marked "default" (or the first one).
+ */
+
+function validateSite(site, where, keys = ['name', 'shopifyLocationId', 'skuSavvyWarehouseId']) {
+  const problems = [];
+
+  if (!site || typeof site !== 'object') {
+    return [`${where} must be an object`];
+  }
+
+  for (const key of keys) {
+    if (site[key] === undefined || site[key] === null || String(site[key]).trim() === '') {
+      problems.push(`${where} needs "${key}"`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Does this fulfilling warehouse have its Shopify location ID?
+ */
+function hasShopifyLocation(warehouse) {
+  return warehouse?.shopifyLocationId !== undefined && warehouse.shopifyLocationId !== null &&
+    String(warehouse.shopifyLocationId).trim() !== '';
+}
+
+/**
+ * Check a parsed routing table and return a list of problems (empty when valid)
+ */
+export function validateRoutingTable(table) {
+  if (!table || !Array.isArray(table.pickupLocations) || table.pickupLocations.length === 0) {
+    return ['"pickupLocations" must be a non-empty list'];
+  }
+
+  const problems = [];
+
+  table.pickupLocations.forEach((location, index) => {
+    const where = `pickupLocations[${index}]${location?.name ? ` (${location.name})` : ''}`;
+
+    problems.push(...validateSite(location, where));
+    problems.push(...validateSite(location?.fulfillingWarehouse, `${where}.fulfillingWarehouse`, ['name', 'skuSavvyWarehouseId']));
+
+    if (location?.match !== undefined) {
+      problems.push(...validateConditions(location.match, `${where}.match`));
+    }
+
+    problems.push(...validateReadyForPickup(location?.readyForPickup, `${where}.readyForPickup`));
+    problems.push(...validateSla(location?.sla, `${where}.sla`));
+
+    if (location?.useStockAtPickup !== undefined && typeof location.useStockAtPickup !== 'boolean') {
+      problems.push(`${where}.useStockAtPickup must be true or false`);
+    }
+
+    if (location?.useStockAtPickup && !hasShopifyLocation(location.fulfillingWarehouse)) {
+      problems.push(`${where}.useStockAtPickup needs the fulfillingWarehouse's "shopifyLocationId", to move lines to be packed there`);
+    }
+  });
+
+  if (table.pickupLocations.filter(location => location.default).length > 1) {
+    problems.push('Only one pickup location can be marked "default"');
+  }
+
+  return problems;
+}
+
+// What the single-store table is built from. AMERICANA_LOCATION_ID is newer than the others,
+// so deployments set up before the routing table may not have it - it's optional.
+const ENV_TABLE_VARIABLES = ['GENESIS_LOCATION_ID', 'GENESIS_WAREHOUSE_ID', 'AMERICANA_WAREHOUSE_ID'];
+
+/**
+ * Build the single-store table from the original environment variables
+ * Throws naming the variables that aren't set.
+ */
+function routingTableFromEnv(filePath) {
+  const missing = ENV_TABLE_VARIABLES.filter(name => !String(process.env[name] || '').trim());
+
+  if (missing.length > 0) {
+    throw new Error(`No routing table in ${filePath}, and ${missing.join(', ')} ${missing.length === 1 ? 'is' : 'are'} not set to build one from the environment`);
+  }
+
+  return {
+    pickupLocations: [
+      {
+        name: 'Genesis',
+        shopifyLocationId: process.env.GENESIS_LOCATION_ID,
+        skuSavvyWarehouseId: process.env.GENESIS_WAREHOUSE_ID,
+        default: true,
+        fulfillingWarehouse: {
+          name: 'Americana',
+          shopifyLocationId: String(process.env.AMERICANA_LOCATION_ID || '').trim() || null,
+          skuSavvyWarehouseId: process.env.AMERICANA_WAREHOUSE_ID,
+        },
+      },
+    ],
+  };
+}
+
+/**
+ * Load the routing table from a JSON file, or from the environment when the file doesn't exist
+ * Throws with every problem found.
+ */
+export function loadRoutingTable(filePath) {
+  let table;
+  let source;
+
+  if (fs.existsSync(filePath)) {
+    try {
+      table = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read routing table from ${filePath}: ${error.message}`);
+    }
+    source = filePath;
+  } else {
+    table = routingTableFromEnv(filePath);
+    source = 'environment variables';
+  }
+
+  const problems = validateRoutingTable(table);
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid routing table from ${source}:\n  - ${problems.join('\n  - ')}`);
+  }
+
+  // IDs are compared as strings everywhere - Shopify sends numbers, env vars are strings
+  const pickupLocations = table.pickupLocations.map(location => ({
+    ...location,
+    shopifyLocationId: String(location.shopifyLocationId),
+    skuSavvyWarehouseId: String(location.skuSavvyWarehouseId),
+    fulfillingWarehouse: {
+      ...location.fulfillingWarehouse,
+      shopifyLocationId: hasShopifyLocation(location.fulfillingWarehouse) ? String(location.fulfillingWarehouse.shopifyLocationId) : null,
+      skuSavvyWarehouseId: String(location.fulfillingWarehouse.skuSavvyWarehouseId),
+    },
+  }));
+
+  return { source, pickupLocations };
+}
+
+/**
+ * Which pickup location does this Shopify order belong to?
+ */
+export function resolvePickupLocation(table, order) {
+  const matched = table.pickupLocations.find(location =>
+    location.match && matchConditions(location.match, order).matched
+  );
+
+  return matched ||
+    table.pickupLocations.find(location => location.default) ||
+    table.pickupLocations[0];
+}
+
+/**
+ * Pickup location with this Shopify location ID, or null
+ */
+export function findPickupLocationByShopifyId(table, shopifyLocationId) {
+  return table.pickupLocations.find(location =>
+    location.shopifyLocationId === String(shopifyLocationId)
+  ) || null;
+}
+
+/**
+ * Pickup location with this Shopify location ID or name, for requests that name one explicitly
+ */
+export function findPickupLocation(table, idOrName) {
+  const wanted = String(idOrName).toLowerCase();
+
+  return table.pickupLocations.find(location =>
+    location.shopifyLocationId === String(idOrName) || location.name.toLowerCase() === wanted
+  ) || null;
+}
+
+/**
+ * Is this Shopify location a warehouse that packs pickup orders?
+ * Without a warehouse's Shopify location ID, any location that isn't a pickup location counts.
+ */
+export function isFulfillingShopifyLocation(table, shopifyLocationId) {
+  const id = String(shopifyLocationId);
+
+  return table.pickupLocations.some(location => location.fulfillingWarehouse.shopifyLocationId === null ?
+    !findPickupLocationByShopifyId(table, id) :
+    location.fulfillingWarehouse.shopifyLocationId === id
+  );
+}
+
+/**
+ * SkuSavvy warehouse that corresponds to a Shopify location, or null if it isn't in the table
+ */
+export function warehouseForShopifyLocation(table, shopifyLocationId) {
+  const id = String(shopifyLocationId);
+
+  for (const location of table.pickupLocations) {
+    if (location.shopifyLocationId === id) {
+      return { name: location.name, skuSavvyWarehouseId: location.skuSavvyWarehouseId };
+    }
+    if (location.fulfillingWarehouse.shopifyLocationId === id) {
+      return {
+        name: location.fulfillingWarehouse.name,
+        skuSavvyWarehouseId: location.fulfillingWarehouse.skuSavvyWarehouseId,
+      };
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,82 @@
+import fetch from 'node-fetch';
+import fs from 'fs';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { signShopifyWebhook } from './shopify-webhook.js';
+
+dotenv.config();
+
+const SERVER_URL = process.env.TEST_WEBHOOK_SERVER_URL || `http://localhost:${process.env.PORT || 3000}`;
+const SECRET = process.env.SHOPIFY_WEBHOOK_SECRET;
+
+/**
+ * Send a fixture payload to the local server, signed exactly like Shopify would
+ *
+ * Usage:
+ *   node send-test-webhook.js <payload.json> [topic] [--bad-signature | --unsigned] [--webhook-id=<id>]
+ *
+ * Pass the same --webhook-id twice to simulate a Shopify redelivery.
+ */
+async function sendTestWebhook(payloadPath, topic, mode, webhookId) {
+  console.log('\n🧪 Sending signed test webhook');
+  console.log('==============================');
+  console.log(`Payload: ${payloadPath}`);
+  console.log(`Topic: ${topic}`);
+  console.log(`Server: ${SERVER_URL}`);
+  console.log(`Signature: ${mode}`);
+  console.log(`Webhook ID: ${webhookId}`);
+  console.log('==============================\n');
+
+  if (!SECRET && mode === 'signed') {
+    console.error('❌ SHOPIFY_WEBHOOK_SECRET is required to sign test payloads');
+    process.exit(1);
+  }
+
+  const rawBody = fs.readFileSync(payloadPath);
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Shopify-Topic': topic,
+    'X-Shopify-Shop-Domain': process.env.SHOPIFY_SHOP || 'test-shop.myshopify.com',
+    'X-Shopify-Webhook-Id': webhookId,
+  };
+
+  if (mode === 'signed') {
+    headers['X-Shopify-Hmac-Sha256'] = signShopifyWebhook(rawBody, SECRET);
+  } else if (mode === 'bad-signature') {
+    headers['X-Shopify-Hmac-Sha256'] = signShopifyWebhook(rawBody, 'not-the-app-secret');
+  }
+
+  const response = await fetch(`${SERVER_URL}/webhooks/${topic}`, {
+    method: 'POST',
+    headers,
+    body: rawBody,
+  });
+
+  const text = await response.text();
+
+  console.log(`${response.ok ? '✅' : '❌'} Status: ${response.status} ${response.statusText}`);
+  console.log(text);
+  console.log('');
+}
+
+const args = process.argv.slice(2);
+const flags = args.filter(arg => arg.startsWith('--'));
+const [payloadPath, topic = 'orders/create'] = args.filter(arg => !arg.startsWith('--'));
+
+let mode = 'signed';
+if (flags.includes('--bad-signature')) mode = 'bad-signature';
+if (flags.includes('--unsigned')) mode = 'unsigned';
+
+const webhookIdFlag = flags.find(flag => flag.startsWith('--webhook-id='));
+const webhookId = webhookIdFlag ? webhookIdFlag.split('=')[1] : crypto.randomUUID();
+
+if (!payloadPath) {
+  console.error('Usage: node send-test-webhook.js <payload.json> [topic] [--bad-signature | --unsigned] [--webhook-id=<id>]');
+  process.exit(1);
+}
+
+sendTestWebhook(payloadPath, topic, mode, webhookId).catch(err => {
+  console.error('Unhandled error:', err);
+  process.exit(1);
+});
@@ -1,548 +1,2920 @@
 import express from 'express';
-import { GraphQLClient } from 'graphql-request';
 import crypto from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
+import { getWebhookSecrets, requireShopifyWebhook } from './shopify-webhook.js';
+import {
+  enqueueJob,
+  registerJobHandler,
+  startJobWorker,
+  listJobs,
+  listDeadLetterJobs,
+  retryDeadLetterJob,
+  cancelJobs,
+  PermanentJobError,
+} from './job-queue.js';
+import {
+  hasSeenWebhook,
+  recordWebhook,
+  getOrderState,
+  setOrderState,
+  pruneLedger,
+} from './webhook-ledger.js';
+import { recordAudit, queryAudit, pruneAudit } from './audit-log.js';
+import { loadPickupRules, evaluatePickupRules } from './pickup-rules.js';
+import { findSkuSavvyOrder, moveShipmentsToWarehouse, OrderNotSyncedError } from './skusavvy.js';
+import { planLineRouting, splitFulfillmentOrders, findWarehouseShortages, isPickupFulfillmentOrder, isOpenFulfillmentOrder } from './line-routing.js';
+import { reconcilePickupOrders } from './reconcile.js';
+import { readJson, writeJson } from './json-store.js';
+import {
+  findOrderByName,
+  fetchOrder,
+  listOrders,
+  fetchFulfillmentOrders,
+  moveFulfillmentOrder,
+  fulfillmentOrderMoveVariables,
+  createFulfillment,
+  fulfillmentCreateVariables,
+  addOrderTags,
+  removeOrderTags,
+  orderTagsVariables,
+  getShopifyApiVersion,
+  ShopifyApiError,
+} from './shopify.js';
+import { mapWithConcurrency } from './concurrency.js';
+import {
+  recordTransfer,
+  recordShipmentTransfer,
+  getTransfer,
+  listTransfers,
+  describeTransfer,
+  undoBlockedReason,
+  undoTransfer,
+  recordUndo,
+  pruneTransfers,
+} from './transfers.js';
+import { isGlobalDryRun, wantsDryRun, createRun } from './dry-run.js';
+import { addQueueClient, publishQueueEvent, queueClientCount } from './queue-events.js';
+import {
+  getNotifyMethod,
+  getNotifyDelayMs,
+  sendReadyForPickup,
+  recordNotification,
+  wasNotified,
+  getOrderNotifications,
+  pruneNotifications,
+} from './pickup-notifications.js';
+import {
+  VERIFICATION_METHODS,
+  getPickupCode,
+  getPickupRecord,
+  findPickupByCode,
+  looksLikePickupCode,
+  normalizePickupCode,
+  recordHandoff,
+  prunePickups,
+} from './pickups.js';
+import {
+  NEEDS_ATTENTION_TAG,
+  raiseException,
+  resolveException,
+  getOpenException,
+  listExceptions,
+  pruneExceptions,
+} from './order-exceptions.js';
+import {
+  STATUS_METAFIELD,
+  COLLECTED_TAG,
+  isStatusWriteBackOn,
+  packingTag,
+  readyTag,
+  findStatusTag,
+  writeOrderStatus,
+} from './order-status.js';
+import {
+  STAGES,
+  recordStage,
+  rewindStage,
+  closeStages,
+  getStageRecord,
+  listOpenStages,
+  describeStage,
+  recordStageAlert,
+  getSlaHours,
+  pruneStages,
+} from './pickup-stages.js';
+import { resolveMetricsRange, computePickupMetrics } from './pickup-metrics.js';
+import { countWebhook, renderMetrics } from './service-metrics.js';
+import { checkReadiness, lastDependencyStatus } from './health-checks.js';
+import {
+  getAlertChannels,
+  validateAlertChannels,
+  hasAlertChannel,
+  createAlert,
+  sendAlert,
+} from './alert-notifier.js';
+import {
+  loadStaffUsers,
+  authenticateStaff,
+  createSession,
+  destroySession,
+  getSessionToken,
+  findSessionUser,
+  sessionCookie,
+  clearSessionCookie,
+  requireStaff,
+} from './staff-auth.js';
+import {
+  loadRoutingTable,
+  resolvePickupLocation,
+  findPickupLocation,
+  isFulfillingShopifyLocation,
+  warehouseForShopifyLocation,
+} from './routing.js';
 
 dotenv.config();
 
 const app = express();
 
+/**
+ * Express's "trust proxy" setting from TRUST_PROXY: how many proxies sit in front (1 on Render),
+ * true, or their addresses. Off unless set - trusting X-Forwarded-For when nothing in front
+ * rewrites it lets a client pick its own req.ip and dodge login lockouts.
+ */
+function getTrustProxy() {
+  const value = (process.env.TRUST_PROXY || 'false').trim();
+
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  return /^\d+$/.test(value) ? parseInt(value) : value;
+}
+
+app.set('trust proxy', getTrustProxy());
+
 // Parse raw body for webhook verification
 app.use(express.raw({ type: 'application/json' }));
 
-// Add CORS headers to allow the HTML interface to call the API
-app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type');
-  
-  // Handle preflight requests
-  if (req.method === 'OPTIONS') {
-    return res.sendStatus(200);
+/**
+ * Origins other than this server that may call the API from a browser
+ * (e.g. a copy of reassign-interface.html hosted somewhere else)
+ */
+function getAllowedOrigins() {
+  return (process.env.CORS_ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Is this request coming from a page on another site?
+ */
+function isCrossOrigin(req) {
+  const origin = req.get('Origin');
+
+  if (!origin) {
+    return false;
+  }
+
+  try {
+    return new URL(origin).host !== req.get('host');
+  } catch (error) {
+    return true;
+  }
+}
+
+// Add CORS headers for allowlisted origins only, and refuse writes from any other site
+app.use((req, res, next) => {
+  const origin = req.get('Origin');
+  const crossOrigin = isCrossOrigin(req);
+  const allowed = crossOrigin && getAllowedOrigins().includes(origin);
+
+  if (allowed) {
+    res.header('Access-Control-Allow-Origin', origin);
+    res.header('Access-Control-Allow-Credentials', 'true');
+    res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.header('Access-Control-Allow-Headers', 'Content-Type, X-Dry-Run');
+    res.header('Vary', 'Origin');
+  }
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    return res.sendStatus(allowed ? 200 : 403);
+  }
+
+  // Session cookies ride along on cross-site form posts, so don't act on them
+  if (crossOrigin && !allowed && req.method !== 'GET') {
+    return res.status(403).json({ error: 'Origin not allowed' });
+  }
+
+  next();
+});
+
+// Staff pages are plain HTML files that talk to the API
+const PAGES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'pages');
+
+// Pickup detection rules - refuse to start with a broken rules file
+const PICKUP_RULES_FILE = process.env.PICKUP_RULES_FILE || 'pickup-rules.json';
+let pickupRules;
+try {
+  pickupRules = loadPickupRules(PICKUP_RULES_FILE);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+// Pickup location → fulfilling warehouse routing table
+const LOCATIONS_FILE = process.env.LOCATIONS_FILE || 'locations.json';
+let routingTable;
+try {
+  routingTable = loadRoutingTable(LOCATIONS_FILE);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+// Staff who can sign in to /reassign and the API - refuse to start with a broken users file
+const STAFF_USERS_FILE = process.env.STAFF_USERS_FILE || 'staff-users.json';
+let staff;
+try {
+  staff = loadStaffUsers(STAFF_USERS_FILE);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+const requireStaffLogin = requireStaff(staff, 'staff');
+const requireAdmin = requireStaff(staff, 'admin');
+
+// How many orders /api/pickup-orders checks with Shopify at once
+const PICKUP_ORDERS_CONCURRENCY = Math.max(parseInt(process.env.PICKUP_ORDERS_CONCURRENCY) || 4, 1);
+
+// How many orders a batch transfer moves at once, and how many it accepts
+const BATCH_TRANSFER_CONCURRENCY = Math.max(parseInt(process.env.BATCH_TRANSFER_CONCURRENCY) || 3, 1);
+const MAX_BATCH_TRANSFER_SIZE = 100;
+
+// How long to wait for a new order to sync to SkuSavvy before reassigning it
+const REASSIGN_DELAY_MS = parseInt(process.env.REASSIGN_DELAY_SECONDS || '10') * 1000;
+
+/**
+ * Check if order is a pickup order using the rules file
+ */
+function isPickupOrder(order) {
+  return evaluatePickupRules(pickupRules, order).isPickup;
+}
+
+/**
+ * Check the fulfilling warehouse has the stock before reassigning to it (CHECK_WAREHOUSE_STOCK=false turns this off)
+ */
+function isWarehouseStockCheckOn() {
+  return process.env.CHECK_WAREHOUSE_STOCK !== 'false';
+}
+
+/**
+ * Shortages with the title and SKU of the line they're for, and a one-line summary for staff
+ */
+function describeShortages(shortages, order, warehouse) {
+  const described = shortages.map(shortage => {
+    const item = order?.line_items?.find(line => shortage.lineItemIds.map(String).includes(String(line.id)));
+
+    return {
+      variantId: shortage.variantId,
+      title: item?.title || `Variant ${shortage.variantId}`,
+      sku: item?.sku || null,
+      needed: shortage.needed,
+      available: shortage.available
+    };
+  });
+  const summary = described.map(shortage => `${shortage.needed} × ${shortage.title} (${shortage.available} available)`).join(', ');
+
+  return { shortages: described, message: `Not enough stock at ${warehouse.name}: ${summary}` };
+}
+
+/**
+ * Take the needs-attention tag back off an order, logging rather than failing if Shopify won't
+ */
+async function clearNeedsAttentionTag(orderId, orderName) {
+  try {
+    await removeOrderTags(orderId, [NEEDS_ATTENTION_TAG]);
+  } catch (error) {
+    console.warn(`⚠️  Couldn't remove the ${NEEDS_ATTENTION_TAG} tag from ${orderName}:`, error.message);
+  }
+}
+
+/**
+ * Queue a step's status to be written back to the Shopify order as tags, a note
+ * and a metafield (see order-status.js), unless WRITE_BACK_STATUS=false
+ */
+function reportOrderStatus(status) {
+  if (!isStatusWriteBackOn()) {
+    return null;
+  }
+
+  return enqueueJob('write-order-status', { at: new Date().toISOString(), ...status });
+}
+
+/**
+ * The parts of an audit entry the status written back to Shopify shares
+ */
+function statusOf(audit, details = {}) {
+  return {
+    orderId: audit.orderId,
+    orderName: audit.orderName,
+    action: audit.action,
+    triggeredBy: audit.triggeredBy,
+    details
+  };
+}
+
+/**
+ * Background job: find the order in SkuSavvy and reassign its shipments to the
+ * warehouse that packs orders for its pickup location (e.g. Genesis → Americana)
+ *
+ * Orders the warehouse doesn't have the stock for are held where they are and raised
+ * as exceptions, unless ignoreStock (staff chose to reassign anyway).
+ */
+async function reassignToAmericanaJob({ orderId, orderName, apaOrderNumber, pickupLocation: pickupLocationName, triggeredBy, ignoreStock, dryRun }, job) {
+  // Looked up when the job runs so routing table changes apply to queued jobs too.
+  // Jobs queued before the routing table existed have no location - use the default.
+  const pickupLocation = pickupLocationName ?
+    findPickupLocation(routingTable, pickupLocationName) :
+    resolvePickupLocation(routingTable, {});
+
+  if (!pickupLocation) {
+    throw new PermanentJobError(`Pickup location "${pickupLocationName}" is not in the routing table`);
+  }
+
+  const warehouse = pickupLocation.fulfillingWarehouse;
+  const orderState = getOrderState(orderId);
+  const run = createRun(dryRun);
+
+  // Another job (or a redelivered webhook) already got this order to its warehouse
+  if (['reassigned', 'routed'].includes(orderState?.status)) {
+    console.log(`🔂 Order ${orderName} already reassigned, skipping`);
+    return {
+      message: 'Order already reassigned',
+      processed: false
+    };
+  }
+
+  if (orderState?.status === 'cancelled') {
+    console.log(`🚫 Order ${orderName} was cancelled, skipping`);
+    return {
+      message: 'Order cancelled',
+      processed: false
+    };
+  }
+
+  console.log('\n=================================');
+  console.log(`🎯 PICKUP ORDER: ${orderName} (${pickupLocation.name} → ${warehouse.name})${run.dryRun ? ' [DRY RUN]' : ''}`);
+  console.log('=================================');
+
+  const audit = {
+    action: 'reassign-to-americana',
+    orderId,
+    orderName,
+    source: { id: pickupLocation.skuSavvyWarehouseId, name: pickupLocation.name },
+    target: { id: warehouse.skuSavvyWarehouseId, name: warehouse.name },
+    triggeredBy: triggeredBy || 'webhook:orders/create',
+    ...(ignoreStock ? { ignoreStock: true } : {}),
+    ...(orderState?.notSyncedAttempts ? { notSyncedAttempts: orderState.notSyncedAttempts } : {})
+  };
+  // Where the order is going, for the status written back to Shopify
+  const where = { pickupLocation: pickupLocation.name, warehouse: warehouse.name };
+
+  // Step 1: Work out which lines need packing, check the warehouse has them, and find the order and its shipments in SkuSavvy
+  let fulfillmentOrders;
+  let routing;
+  let shortage = null;
+  let orderUUID;
+  let shipments = [];
+
+  try {
+    fulfillmentOrders = await fetchFulfillmentOrders(orderId);
+
+    // Fulfilled, cancelled or otherwise closed in Shopify while the job waited - nothing left to move
+    if (fulfillmentOrders.length > 0 && !fulfillmentOrders.some(isOpenFulfillmentOrder)) {
+      console.log(`📦 Order ${orderName} has no open fulfillment orders (${[...new Set(fulfillmentOrders.map(fo => fo.status))].join(', ')}), skipping`);
+      console.log('=================================\n');
+
+      if (!run.dryRun) {
+        setOrderState(orderId, { status: 'closed' });
+        closeStages(orderId, 'closed');
+      }
+      return {
+        message: 'No open fulfillment orders - nothing to move',
+        processed: false
+      };
+    }
+
+    routing = await planLineRouting(fulfillmentOrders, pickupLocation);
+    audit.lineRouting = routing.counts;
+
+    // Stock is looked up at the warehouse's Shopify location, so one without it can't be checked
+    if (routing.counts.pack > 0 && !ignoreStock && isWarehouseStockCheckOn() && warehouse.shopifyLocationId) {
+      const shortages = await findWarehouseShortages(fulfillmentOrders, routing, warehouse);
+
+      if (shortages.length > 0) {
+        // Only fetched for the titles and SKUs staff know the items by
+        shortage = describeShortages(shortages, await fetchOrder(orderId), warehouse);
+      }
+    }
+
+    // Jobs can run before Shopify has made fulfillment orders - pack the lot, as before routing was per line
+    const needsPacking = fulfillmentOrders.length === 0 || routing.counts.pack > 0;
+
+    if (needsPacking && !shortage) {
+      ({ orderUUID, shipments } = await findSkuSavvyOrder(apaOrderNumber));
+    } else if (!needsPacking) {
+      console.log(`📋 Nothing to pack at ${warehouse.name} (${routing.counts['stocked-at-pickup']} line(s) stocked at ${pickupLocation.name}, ${routing.counts.ships} shipping) - leaving SkuSavvy alone`);
+    }
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    console.log('=================================\n');
+
+    // Counted on the order so its audit entry shows how long SkuSavvy kept it waiting
+    if (error instanceof OrderNotSyncedError && !run.dryRun) {
+      audit.notSyncedAttempts = (orderState?.notSyncedAttempts || 0) + 1;
+      setOrderState(orderId, { notSyncedAttempts: audit.notSyncedAttempts });
+    }
+
+    // Only the final attempt is worth an audit entry - earlier ones will be retried
+    if (job.attempts >= job.maxAttempts) {
+      recordAudit({ ...audit, outcome: 'failed', error: error.message });
+      if (!run.dryRun) {
+        reportOrderStatus({ ...statusOf(audit, where), outcome: 'failed', error: error.message, note: `couldn't reassign to ${warehouse.name}: ${error.message}` });
+      }
+    }
+    throw error;
+  }
+
+  // Leave the order where it is for staff to look at, rather than send it to a warehouse that can't pack it
+  if (shortage) {
+    console.log(`🛑 ${shortage.message} - holding the order`);
+    console.log('=================================\n');
+
+    if (run.dryRun) {
+      run.plannedCalls.push({
+        api: 'shopify',
+        operation: 'tagsAdd',
+        variables: orderTagsVariables(orderId, [NEEDS_ATTENTION_TAG])
+      });
+      recordAudit({ ...audit, outcome: 'dry-run', shortages: shortage.shortages, error: shortage.message, plannedCalls: run.plannedCalls });
+
+      return {
+        processed: false,
+        dryRun: true,
+        shortages: shortage.shortages,
+        plannedCalls: run.plannedCalls
+      };
+    }
+
+    // The exception list is what staff work from, so a tag Shopify won't take doesn't stop it being raised
+    try {
+      await addOrderTags(orderId, [NEEDS_ATTENTION_TAG]);
+    } catch (error) {
+      console.warn(`⚠️  Couldn't tag ${orderName} ${NEEDS_ATTENTION_TAG}:`, error.message);
+    }
+
+    const exception = raiseException({
+      orderId,
+      orderName,
+      kind: 'insufficient-stock',
+      message: shortage.message,
+      details: { pickupLocation: pickupLocation.name, warehouse: warehouse.name, shortages: shortage.shortages }
+    });
+
+    setOrderState(orderId, {
+      status: 'needs-attention',
+      heldAt: new Date().toISOString(),
+      pickupLocation: pickupLocation.name,
+      warehouse: warehouse.name
+    });
+    recordAudit({ ...audit, outcome: 'held', shortages: shortage.shortages, error: shortage.message });
+    reportOrderStatus({ ...statusOf(audit, where), outcome: 'held', error: shortage.message, note: `held for staff - ${shortage.message}` });
+    publishQueueEvent('order-needs-attention', { orderId, orderName, pickupLocation: pickupLocation.name, warehouse: warehouse.name, message: shortage.message });
+
+    return {
+      message: shortage.message,
+      processed: false,
+      held: true,
+      shortages: shortage.shortages,
+      exceptionRaisedAt: exception.raisedAt
+    };
+  }
+
+  if (orderUUID && shipments.length === 0) {
+    console.log('⚠️  No shipments found');
+    console.log('=================================\n');
+    return {
+      message: 'No shipments to reassign',
+      processed: false
+    };
+  }
+
+  // Step 2: Split the Shopify fulfillment orders so stocked lines wait at the pickup location
+  const split = await splitFulfillmentOrders(fulfillmentOrders, routing, pickupLocation, run);
+
+  // Step 3: Reassign each shipment to the fulfilling warehouse.
+  // SkuSavvy can only move whole shipments, so a mixed order's shipments all go.
+  const { reassignedCount, movedShipmentIds, errors: shipmentErrors } = await moveShipmentsToWarehouse(orderUUID, shipments, warehouse.skuSavvyWarehouseId, run);
+  const errors = [...split.errors, ...shipmentErrors];
+
+  if (split.moves.length > 0 || split.errors.length > 0) {
+    audit.fulfillmentOrderIds = split.moves.map(move => move.id);
+  }
+
+  if (run.dryRun) {
+    recordAudit({
+      ...audit,
+      shipmentIds: shipments.map(shipment => shipment.id),
+      outcome: 'dry-run',
+      plannedCalls: run.plannedCalls
+    });
+
+    console.log(`🧪 DRY RUN: would reassign ${shipments.length} shipment(s) ${pickupLocation.name} → ${warehouse.name}${split.moves.length > 0 ? ` and split ${split.moves.length} fulfillment order(s)` : ''}`);
+    console.log('=================================\n');
+
+    return {
+      processed: false,
+      dryRun: true,
+      lineRouting: routing.counts,
+      plannedCalls: run.plannedCalls
+    };
+  }
+
+  const transfer = recordShipmentTransfer(audit.action, {
+    orderId,
+    orderName,
+    orderUUID,
+    shipments,
+    movedShipmentIds,
+    target: audit.target,
+    triggeredBy: audit.triggeredBy
+  });
+
+  // Split moves are undone in Shopify, separately from the shipments
+  const splitTransfer = split.moves.length > 0 ? recordTransfer({
+    action: audit.action,
+    system: 'shopify',
+    orderId,
+    orderName,
+    triggeredBy: audit.triggeredBy,
+    moves: split.moves
+  }) : null;
+
+  const attempted = shipments.length + split.moves.length + split.errors.length;
+  const succeeded = reassignedCount + split.moves.length;
+  const outcome = attempted === 0 ? 'skipped' : (errors.length === 0 ? 'success' : (succeeded > 0 ? 'partial' : 'failed'));
+
+  recordAudit({
+    ...audit,
+    shipmentIds: shipments.map(shipment => shipment.id),
+    transferId: transfer?.id || null,
+    ...(splitTransfer ? { splitTransferId: splitTransfer.id } : {}),
+    outcome,
+    error: errors.length > 0 ? errors.join('; ') : null
+  });
+
+  if (errors.length > 0) {
+    if (job.attempts >= job.maxAttempts) {
+      reportOrderStatus({
+        ...statusOf(audit, { ...where, shipments: reassignedCount }),
+        outcome,
+        error: errors.join('; '),
+        note: `only ${succeeded} of ${attempted} move(s) to ${warehouse.name} went through: ${errors.join('; ')}`
+      });
+    }
+
+    console.log(`⚠️  Only ${succeeded}/${attempted} move(s) done, will retry`);
+    console.log('=================================\n');
+    throw new Error(`${attempted - succeeded} of ${attempted} move(s) failed`);
+  }
+
+  if (orderUUID) {
+    console.log(`🎉 SUCCESS: ${reassignedCount}/${shipments.length} shipment(s) reassigned ${pickupLocation.name} → ${warehouse.name}`);
+  }
+  console.log('=================================\n');
+
+  setOrderState(orderId, {
+    // 'routed' - nothing needed packing, so SkuSavvy was left as it was
+    status: orderUUID ? 'reassigned' : 'routed',
+    reassignedAt: new Date().toISOString(),
+    pickupLocation: pickupLocation.name,
+    warehouse: warehouse.name,
+    originalWarehouseId: pickupLocation.skuSavvyWarehouseId,
+    lineRouting: routing.counts,
+    split: split.moves.length > 0
+  });
+  publishQueueEvent('order-reassigned', { orderId, orderName, pickupLocation: pickupLocation.name, warehouse: warehouse.name, lineRouting: routing.counts });
+
+  const stocked = routing.counts['stocked-at-pickup'];
+
+  // Nothing to pack means the stocked lines are already waiting at the pickup location, and no lines at all means it all ships
+  if (orderUUID) {
+    recordStage(orderId, { orderName, ...where }, 'reassigned');
+  } else if (stocked > 0) {
+    recordStage(orderId, { orderName, ...where }, 'transferred');
+  } else {
+    closeStages(orderId, 'ships');
+  }
+
+  // Held before for want of stock - it's been dealt with now
+  if (getOpenException(orderId)) {
+    resolveException(orderId, { by: audit.triggeredBy, resolution: 'reassigned' });
+    await clearNeedsAttentionTag(orderId, orderName);
+  }
+
+  const shelfNote = stocked > 0 ? `${stocked} line(s) handed over from the ${pickupLocation.name} shelf` : null;
+
+  reportOrderStatus({
+    ...statusOf(audit, { ...where, shipments: reassignedCount, lineRouting: routing.counts }),
+    outcome,
+    // Orders where every line ships keep whatever tags they have
+    ...(orderUUID ? { statusTag: packingTag(warehouse) } : (stocked > 0 ? { statusTag: readyTag(pickupLocation) } : {})),
+    note: orderUUID ?
+      [`reassigned ${reassignedCount} shipment(s) in SkuSavvy from ${pickupLocation.name} to ${warehouse.name} for packing`, shelfNote].filter(Boolean).join(', ') :
+      `nothing to pack at ${warehouse.name}${shelfNote ? ` - ${shelfNote}` : ''}`
+  });
+
+  // Everything to collect is already on the shelf, so the customer can come now
+  const notification = !orderUUID && routing.counts['stocked-at-pickup'] > 0 ?
+    queueReadyForPickup({ id: orderId, name: orderName }, pickupLocation, { triggeredBy: audit.triggeredBy }) :
+    null;
+
+  return {
+    processed: true,
+    shipmentsReassigned: reassignedCount,
+    lineRouting: routing.counts,
+    fulfillmentOrdersSplit: split.moves.length,
+    transferId: transfer?.id || null,
+    splitTransferId: splitTransfer?.id || null,
+    notification
+  };
+}
+
+/**
+ * Background job: an order stopped being a pickup order after we reassigned it,
+ * so put its SkuSavvy shipments back in the warehouse they came from
+ */
+async function revertReassignmentJob({ orderId, orderName, apaOrderNumber, warehouseId, triggeredBy, dryRun }, job) {
+  const run = createRun(dryRun);
+
+  console.log('\n=================================');
+  console.log(`↩️  NO LONGER PICKUP: ${orderName}${run.dryRun ? ' [DRY RUN]' : ''}`);
+  console.log('=================================');
+
+  const audit = {
+    action: 'revert-reassignment',
+    orderId,
+    orderName,
+    target: { id: warehouseId },
+    triggeredBy
+  };
+
+  let orderUUID;
+  let shipments;
+
+  try {
+    ({ orderUUID, shipments } = await findSkuSavvyOrder(apaOrderNumber));
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    console.log('=================================\n');
+    if (job.attempts >= job.maxAttempts) {
+      recordAudit({ ...audit, outcome: 'failed', error: error.message });
+      if (!run.dryRun) {
+        reportOrderStatus({ ...statusOf(audit), outcome: 'failed', error: error.message, note: `no longer a pickup order, but couldn't move it back: ${error.message}` });
+      }
+    }
+    throw error;
+  }
+
+  const { reassignedCount, movedShipmentIds, errors } = await moveShipmentsToWarehouse(orderUUID, shipments, warehouseId, run);
+
+  if (run.dryRun) {
+    recordAudit({
+      ...audit,
+      shipmentIds: shipments.map(shipment => shipment.id),
+      outcome: 'dry-run',
+      plannedCalls: run.plannedCalls
+    });
+
+    console.log(`🧪 DRY RUN: would move ${shipments.length} shipment(s) back to warehouse ${warehouseId}`);
+    console.log('=================================\n');
+
+    return {
+      processed: false,
+      dryRun: true,
+      plannedCalls: run.plannedCalls
+    };
+  }
+
+  const transfer = recordShipmentTransfer(audit.action, {
+    orderId,
+    orderName,
+    orderUUID,
+    shipments,
+    movedShipmentIds,
+    target: audit.target,
+    triggeredBy
+  });
+
+  recordAudit({
+    ...audit,
+    shipmentIds: shipments.map(shipment => shipment.id),
+    transferId: transfer?.id || null,
+    outcome: reassignedCount === shipments.length ? 'success' : (reassignedCount > 0 ? 'partial' : 'failed'),
+    error: errors.length > 0 ? errors.join('; ') : null
+  });
+
+  if (reassignedCount < shipments.length) {
+    if (job.attempts >= job.maxAttempts) {
+      reportOrderStatus({
+        ...statusOf(audit, { shipments: reassignedCount }),
+        outcome: reassignedCount > 0 ? 'partial' : 'failed',
+        error: errors.join('; '),
+        note: `no longer a pickup order, but only ${reassignedCount} of ${shipments.length} shipment(s) moved back: ${errors.join('; ')}`
+      });
+    }
+
+    console.log('=================================\n');
+    throw new Error(`${shipments.length - reassignedCount} of ${shipments.length} shipment(s) failed to revert`);
+  }
+
+  console.log(`✅ ${reassignedCount} shipment(s) moved back to warehouse ${warehouseId}`);
+  console.log('=================================\n');
+
+  setOrderState(orderId, {
+    status: 'reverted',
+    revertedAt: new Date().toISOString()
+  });
+  reportOrderStatus({
+    ...statusOf(audit, { shipments: reassignedCount }),
+    outcome: 'success',
+    statusTag: null,
+    note: `no longer a pickup order - moved ${reassignedCount} shipment(s) in SkuSavvy back to warehouse ${warehouseId}`
+  });
+
+  return {
+    processed: true,
+    shipmentsReverted: reassignedCount,
+    transferId: transfer?.id || null
+  };
+}
+
+/**
+ * Background job: tell the customer their order is ready at its pickup location,
+ * by email or through Shopify's own ready-for-pickup notification
+ */
+async function notifyReadyForPickupJob({ orderId, orderName, pickupLocation: pickupLocationName, resend = false, triggeredBy, dryRun }, job) {
+  const pickupLocation = findPickupLocation(routingTable, pickupLocationName);
+
+  if (!pickupLocation) {
+    throw new PermanentJobError(`Pickup location "${pickupLocationName}" is not in the routing table`);
+  }
+
+  const method = getNotifyMethod(pickupLocation);
+  const run = createRun(dryRun);
+
+  if (method === 'none') {
+    return {
+      message: `Ready-for-pickup notifications are off for ${pickupLocation.name}`,
+      processed: false
+    };
+  }
+
+  if (!resend && wasNotified(orderId, pickupLocation.name)) {
+    console.log(`🔂 Customer for ${orderName} already told it's ready at ${pickupLocation.name}, skipping`);
+    return {
+      message: 'Customer already notified',
+      processed: false
+    };
+  }
+
+  // The transfer may have been undone, or the order collected, while the job waited.
+  // Lines that ship don't come to the pickup location, so they don't hold it up.
+  const fulfillmentOrders = (await fetchFulfillmentOrders(orderId))
+    .filter(fo => isOpenFulfillmentOrder(fo) && isPickupFulfillmentOrder(fo));
+  const ready = fulfillmentOrders.filter(fo => String(fo.assigned_location_id) === pickupLocation.shopifyLocationId);
+
+  if (ready.length === 0 || ready.length < fulfillmentOrders.length) {
+    console.log(`⏭️  ${orderName} is no longer waiting at ${pickupLocation.name}, not notifying the customer`);
+    return {
+      message: `Order is no longer waiting at ${pickupLocation.name}`,
+      processed: false
+    };
+  }
+
+  const audit = {
+    action: 'notify-ready-for-pickup',
+    orderId,
+    orderName,
+    target: { id: pickupLocation.shopifyLocationId, name: pickupLocation.name },
+    fulfillmentOrderIds: ready.map(fo => fo.id),
+    triggeredBy
+  };
+
+  let sent;
+  try {
+    const order = await fetchOrder(orderId);
+
+    if (!order) {
+      throw new PermanentJobError('Order not found in Shopify');
+    }
+    if (method === 'email' && !order.email) {
+      throw new PermanentJobError(`Order ${orderName} has no email address`);
+    }
+
+    sent = await sendReadyForPickup(pickupLocation, order, ready, run, {
+      pickupCode: run.dryRun ? getPickupRecord(orderId)?.pickupCode : getPickupCode(orderId, orderName)
+    });
+  } catch (error) {
+    console.error(`❌ Ready-for-pickup ${method} for ${orderName} failed:`, error.message);
+
+    // Only the final attempt is worth recording - earlier ones will be retried
+    if (error instanceof PermanentJobError || job.attempts >= job.maxAttempts) {
+      recordAudit({ ...audit, notification: { method }, outcome: 'failed', error: error.message });
+      if (!run.dryRun) {
+        recordNotification({ orderId, orderName, pickupLocation: pickupLocation.name, triggeredBy, method, outcome: 'failed', error: error.message });
+        reportOrderStatus({
+          ...statusOf(audit, { pickupLocation: pickupLocation.name, method }),
+          outcome: 'failed',
+          error: error.message,
+          note: `couldn't tell the customer it's ready at ${pickupLocation.name}: ${error.message}`
+        });
+      }
+    }
+    throw error;
+  }
+
+  if (run.dryRun) {
+    recordAudit({ ...audit, notification: sent, outcome: 'dry-run', plannedCalls: run.plannedCalls });
+    console.log(`🧪 DRY RUN: would notify the customer for ${orderName} by ${method}`);
+    return {
+      processed: false,
+      dryRun: true,
+      plannedCalls: run.plannedCalls
+    };
+  }
+
+  const notification = recordNotification({ orderId, orderName, pickupLocation: pickupLocation.name, triggeredBy, outcome: 'success', ...sent });
+  recordAudit({ ...audit, notification: sent, outcome: 'success' });
+
+  const how = method === 'email' ? `email to ${sent.to}` : 'Shopify notification';
+  console.log(`📣 Customer for ${orderName} told it's ready at ${pickupLocation.name} (${how})`);
+
+  reportOrderStatus({
+    ...statusOf(audit, { pickupLocation: pickupLocation.name, method }),
+    outcome: 'success',
+    note: `told the customer it's ready at ${pickupLocation.name} (${how})`
+  });
+
+  return {
+    processed: true,
+    method,
+    notificationId: notification.id
+  };
+}
+
+/**
+ * Background job: write a step's status back to the Shopify order (see reportOrderStatus)
+ */
+async function writeOrderStatusJob(status) {
+  const written = await writeOrderStatus(status);
+
+  if (!written) {
+    return {
+      message: 'Order not found in Shopify',
+      processed: false
+    };
+  }
+
+  const tagged = written.tagsAdded.length > 0 ? ` (tagged ${written.tagsAdded.join(', ')})` : '';
+  console.log(`🏷️  ${status.orderName}: ${status.action} status written to Shopify${written.stale ? ' (note only, a newer status is there)' : tagged}`);
+
+  return {
+    processed: true,
+    ...written
+  };
+}
+
+/**
+ * Background job: send a staff alert on one channel (see alert-notifier.js)
+ * Each channel gets its own job, so a webhook that's down doesn't send the email twice.
+ */
+async function sendAlertJob({ channel, alert }) {
+  if (!hasAlertChannel(channel)) {
+    throw new PermanentJobError(`Unknown alert channel "${channel}"`);
+  }
+
+  const sent = await sendAlert(channel, alert);
+  console.log(`📣 Alert "${alert.title}" sent by ${channel}`);
+
+  return {
+    processed: true,
+    channel,
+    ...sent
+  };
+}
+
+registerJobHandler('reassign-to-americana', reassignToAmericanaJob);
+registerJobHandler('revert-reassignment', revertReassignmentJob);
+registerJobHandler('notify-ready-for-pickup', notifyReadyForPickupJob);
+registerJobHandler('write-order-status', writeOrderStatusJob);
+registerJobHandler('send-alert', sendAlertJob);
+
+/**
+ * Queue the ready-for-pickup notification for an order at its pickup location
+ * Returns { method, jobId, sendAt }, or null when the location doesn't notify customers.
+ */
+function queueReadyForPickup(order, pickupLocation, { triggeredBy, delayMs = getNotifyDelayMs(), resend = false, dryRun = false }) {
+  const method = getNotifyMethod(pickupLocation);
+
+  if (method === 'none') {
+    return null;
+  }
+
+  const job = enqueueJob('notify-ready-for-pickup', {
+    orderId: order.id,
+    orderName: order.name,
+    pickupLocation: pickupLocation.name,
+    resend,
+    triggeredBy,
+    ...(dryRun ? { dryRun: true } : {})
+  }, { delayMs });
+
+  return { method, jobId: job.id, sendAt: job.runAt };
+}
+
+// Status write-backs describe what has already happened, so they go through whatever happens next.
+// Dry-run jobs only report, so real webhooks and staff actions leave them be.
+function isOrderWork(job, orderId) {
+  return !job.payload?.dryRun && job.type !== 'write-order-status' && String(job.payload?.orderId) === String(orderId);
+}
+
+/**
+ * Drop any queued or dead-letter work for an order
+ */
+function cancelOrderJobs(orderId) {
+  return cancelJobs(job => isOrderWork(job, orderId));
+}
+
+/**
+ * Jobs that cancelOrderJobs would drop, without dropping them (for dry runs)
+ */
+function pendingOrderJobs(orderId) {
+  return [...listJobs({ status: 'pending' }), ...listDeadLetterJobs()]
+    .filter(job => isOrderWork(job, orderId));
+}
+
+/**
+ * Why Shopify is done with an order - 'cancelled', 'closed' or 'fulfilled' - or null while it's still open
+ */
+function finishedOrderReason(order) {
+  if (order.cancelled_at) {
+    return 'cancelled';
+  }
+  if (order.closed_at) {
+    return 'closed';
+  }
+  return order.fulfillment_status === 'fulfilled' ? 'fulfilled' : null;
+}
+
+/**
+ * Run pickup detection on an order and queue whatever brings SkuSavvy in line:
+ * a reassignment if it's (now) a pickup order, or a revert if it stopped being one
+ * Returns the body to send back to Shopify.
+ *
+ * In a dry run the order state and existing jobs are left alone, and the queued
+ * job only records the SkuSavvy calls it would have made.
+ */
+function applyPickupDecision(order, topic, { dryRun = false } = {}) {
+  const orderState = getOrderState(order.id);
+  const apaOrderNumber = order.name.replace('#', '');
+
+  if (orderState?.status === 'cancelled') {
+    return { 
+      message: 'Order is cancelled',
+      processed: false 
+    };
+  }
+
+  // Staff undid our last move for this order - don't fight them
+  if (orderState?.status === 'undone') {
+    console.log(`↩️  Order ${order.name} had its reassignment undone by staff, leaving it alone`);
+    return {
+      message: 'Reassignment was undone by staff - leaving order alone',
+      processed: false
+    };
+  }
+
+  // Nothing left to move once Shopify is done with the order (e.g. collected through POS)
+  const finished = finishedOrderReason(order);
+
+  if (finished) {
+    // Collected or closed outside /pickup - stop tracking it so it isn't flagged as never collected
+    if (!dryRun && closeStages(order.id, finished)) {
+      publishQueueEvent('order-removed', { orderId: order.id, orderName: order.name, reason: `Order ${finished} in Shopify` });
+    }
+    console.log(`📦 Order ${order.name} is ${finished}, skipping`);
+    return {
+      message: `Order is ${finished}`,
+      processed: false
+    };
+  }
+
+  if (!isPickupOrder(order)) {
+    // Was waiting to be reassigned - just drop the job
+    if (orderState?.status === 'queued') {
+      if (dryRun) {
+        const jobs = pendingOrderJobs(order.id);
+        console.log(`🧪 DRY RUN: order ${order.name} is no longer a pickup order, would cancel ${jobs.length} job(s)`);
+        return {
+          message: 'No longer a pickup order - would cancel pending reassignment',
+          dryRun: true,
+          jobsToCancel: jobs.map(job => job.id),
+          processed: false
+        };
+      }
+
+      cancelOrderJobs(order.id);
+      setOrderState(order.id, { status: 'not-pickup' });
+      closeStages(order.id, 'not-pickup');
+      publishQueueEvent('order-removed', { orderId: order.id, orderName: order.name, reason: 'No longer a pickup order' });
+      console.log(`↩️  Order ${order.name} is no longer a pickup order, pending reassignment cancelled`);
+      return { 
+        message: 'No longer a pickup order - pending reassignment cancelled',
+        processed: true 
+      };
+    }
+
+    // Nothing was moved in SkuSavvy (or it was held for want of stock), so there's nothing to put back
+    if (['routed', 'needs-attention'].includes(orderState?.status)) {
+      if (dryRun) {
+        return {
+          message: 'No longer a pickup order - nothing to revert',
+          dryRun: true,
+          processed: false
+        };
+      }
+
+      if (resolveException(order.id, { by: `webhook:${topic}`, resolution: 'not-pickup' })) {
+        clearNeedsAttentionTag(order.id, order.name);
+      }
+      setOrderState(order.id, { status: 'not-pickup' });
+      closeStages(order.id, 'not-pickup');
+      publishQueueEvent('order-removed', { orderId: order.id, orderName: order.name, reason: 'No longer a pickup order' });
+      console.log(`↩️  Order ${order.name} is no longer a pickup order, nothing was reassigned in SkuSavvy`);
+      return {
+        message: 'No longer a pickup order - nothing was reassigned in SkuSavvy',
+        processed: true
+      };
+    }
+
+    // Already moved in SkuSavvy - move it back
+    if (orderState?.status === 'reassigned') {
+      const revert = {
+        orderId: order.id,
+        orderName: order.name,
+        apaOrderNumber,
+        warehouseId: orderState.originalWarehouseId || resolvePickupLocation(routingTable, order).skuSavvyWarehouseId,
+        triggeredBy: `webhook:${topic}`
+      };
+
+      if (dryRun) {
+        const job = enqueueJob('revert-reassignment', { ...revert, dryRun: true });
+        console.log(`🧪 DRY RUN: order ${order.name} is no longer a pickup order, queued dry-run revert (job ${job.id})`);
+        return {
+          message: 'No longer a pickup order - dry-run revert queued',
+          dryRun: true,
+          queued: true,
+          jobId: job.id
+        };
+      }
+
+      cancelOrderJobs(order.id);
+      const job = enqueueJob('revert-reassignment', revert);
+      setOrderState(order.id, { status: 'reverting', jobId: job.id });
+      closeStages(order.id, 'not-pickup');
+      publishQueueEvent('order-removed', { orderId: order.id, orderName: order.name, reason: 'No longer a pickup order' });
+      console.log(`↩️  Order ${order.name} is no longer a pickup order, queued revert (job ${job.id})`);
+      return { 
+        success: true,
+        queued: true,
+        jobId: job.id,
+        message: 'No longer a pickup order - revert queued' 
+      };
+    }
+
+    // Not a pickup order - just log briefly and skip
+    console.log(`📦 Order ${order.name} - Not pickup, skipping`);
+    return { 
+      message: 'Not a pickup order',
+      processed: false 
+    };
+  }
+
+  // Same order delivered under a different webhook ID, or an update that doesn't change anything.
+  // Orders held for staff stay held - tagging them needs-attention sends an orders/updated of its own.
+  if (orderState && ['queued', 'reassigned', 'routed', 'needs-attention'].includes(orderState.status)) {
+    console.log(`🔂 Order ${order.name} already ${orderState.status}, skipping`);
+    return { 
+      message: `Order already ${orderState.status}`,
+      duplicate: true,
+      processed: false 
+    };
+  }
+
+  // The ledger forgets orders after WEBHOOK_RETENTION_DAYS, but the status tag written back to Shopify stays
+  const statusTag = orderState ? null : findStatusTag(order.tags);
+
+  if (statusTag) {
+    console.log(`🔂 Order ${order.name} is tagged ${statusTag}, already handled - skipping`);
+    return {
+      message: `Order already handled (tagged ${statusTag})`,
+      duplicate: true,
+      processed: false
+    };
+  }
+
+  // An update to an order the ledger doesn't know may be from before this service ran, or from
+  // after it forgot the order - only take it on while nothing of it has been fulfilled
+  if (!orderState && topic !== 'orders/create' && order.fulfillment_status) {
+    console.log(`📦 Order ${order.name} is already ${order.fulfillment_status} and was never queued, skipping`);
+    return {
+      message: `Order already ${order.fulfillment_status} - not queued`,
+      processed: false
+    };
+  }
+
+  const pickupLocation = resolvePickupLocation(routingTable, order);
+  const reassignment = {
+    orderId: order.id,
+    orderName: order.name,
+    apaOrderNumber,
+    pickupLocation: pickupLocation.name,
+    triggeredBy: `webhook:${topic}`
+  };
+
+  if (dryRun) {
+    const job = enqueueJob('reassign-to-americana', { ...reassignment, dryRun: true }, { delayMs: REASSIGN_DELAY_MS });
+    console.log(`🧪 DRY RUN: pickup order ${order.name} (${pickupLocation.name}) queued for a dry-run reassignment to ${pickupLocation.fulfillingWarehouse.name} (job ${job.id})`);
+    return {
+      success: true,
+      dryRun: true,
+      queued: true,
+      jobId: job.id,
+      orderId: order.id,
+      orderNumber: order.order_number,
+      pickupLocation: pickupLocation.name,
+      jobsToCancel: pendingOrderJobs(order.id).map(job => job.id)
+    };
+  }
+
+  // A revert may still be waiting - the order is pickup again, so it shouldn't run
+  cancelOrderJobs(order.id);
+
+  // Give the order time to sync to SkuSavvy before the worker looks it up
+  const job = enqueueJob('reassign-to-americana', reassignment, { delayMs: REASSIGN_DELAY_MS });
+
+  setOrderState(order.id, {
+    orderName: order.name,
+    status: 'queued',
+    jobId: job.id,
+    notSyncedAttempts: 0
+  });
+  // An order that's pickup again starts over. The clock starts now rather than at order.created_at,
+  // so an old order that only now turns out to be pickup isn't overdue straight away.
+  rewindStage(order.id, 'created');
+  recordStage(order.id, { orderName: order.name, pickupLocation: pickupLocation.name, warehouse: pickupLocation.fulfillingWarehouse.name }, 'created');
+  // Counted on the dashboard whatever happens to the order next, even if it never needs reassigning
+  recordAudit({
+    action: 'pickup-order-queued',
+    orderId: order.id,
+    orderName: order.name,
+    target: { id: pickupLocation.shopifyLocationId, name: pickupLocation.name },
+    triggeredBy: reassignment.triggeredBy,
+    outcome: 'success',
+    jobId: job.id
+  });
+  publishQueueEvent('order-queued', { orderId: order.id, orderName: order.name, pickupLocation: pickupLocation.name });
+
+  console.log(`📥 Pickup order ${order.name} (${pickupLocation.name}) queued for reassignment to ${pickupLocation.fulfillingWarehouse.name} (job ${job.id}, runs in ${REASSIGN_DELAY_MS / 1000}s)`);
+
+  return { 
+    success: true,
+    queued: true,
+    jobId: job.id,
+    orderId: order.id,
+    orderNumber: order.order_number
+  };
+}
+
+// Every webhook route must carry a valid Shopify HMAC signature
+app.use('/webhooks', requireShopifyWebhook);
+
+/**
+ * Shared plumbing for order webhooks: topic check, duplicate detection and
+ * always answering 200 so Shopify doesn't keep retrying
+ *
+ * handler(payload, topic, { dryRun }) returns { orderId, body } - the order it was about and the response
+ * Dry-run deliveries aren't recorded, so a real delivery of the same webhook still gets processed.
+ */
+function orderWebhook(expectedTopic, handler) {
+  return async (req, res) => {
+    const topic = req.get('X-Shopify-Topic');
+    const webhookId = req.get('X-Shopify-Webhook-Id');
+
+    // Reject webhooks sent to the wrong route
+    if (topic !== expectedTopic) {
+      countWebhook(topic, 'ignored');
+      return res.status(200).json({ message: `Webhook ignored - expected ${expectedTopic}` });
+    }
+
+    // Shopify delivers at least once - acknowledge redeliveries without repeating any work
+    if (hasSeenWebhook(webhookId)) {
+      console.log(`🔂 Duplicate webhook ${webhookId} ignored`);
+      countWebhook(topic, 'duplicate');
+      return res.status(200).json({ 
+        message: 'Duplicate webhook',
+        duplicate: true,
+        processed: false 
+      });
+    }
+
+    const dryRun = wantsDryRun(req);
+
+    try {
+      const payload = JSON.parse(req.body.toString());
+      const { orderId, body } = await handler(payload, topic, { dryRun });
+
+      if (orderId && !dryRun) {
+        recordWebhook(webhookId, { topic, orderId });
+      }
+
+      countWebhook(topic, webhookOutcome(orderId, body));
+      res.status(200).json(body);
+
+    } catch (error) {
+      console.error(`❌ Error processing ${topic} webhook:`, error.message);
+      countWebhook(topic, 'failed');
+      
+      // Return 200 to prevent Shopify from retrying
+      res.status(200).json({ 
+        error: error.message,
+        processed: false 
+      });
+    }
+  };
+}
+
+/**
+ * How a handled webhook turned out, for pickup_webhooks_total (see service-metrics.js)
+ */
+function webhookOutcome(orderId, body) {
+  if (body.dryRun) {
+    return 'dry-run';
+  }
+  if (body.duplicate) {
+    return 'duplicate';
+  }
+  if (body.queued) {
+    return 'queued';
+  }
+  return orderId && body.processed !== false ? 'processed' : 'skipped';
+}
+
+/**
+ * Validate this is actually an order object
+ */
+function isOrderPayload(order) {
+  return Boolean(order.order_number && order.id);
+}
+
+/**
+ * Main webhook handler for order creation
+ * Acknowledges Shopify right away and queues the SkuSavvy reassignment
+ */
+app.post('/webhooks/orders/create', orderWebhook('orders/create', async (order, topic, options) => {
+  if (!isOrderPayload(order)) {
+    return { body: { message: 'Invalid order data' } };
+  }
+
+  return { orderId: order.id, body: applyPickupDecision(order, topic, options) };
+}));
+
+/**
+ * Order changed after checkout (e.g. customer switched between shipping and pickup)
+ */
+app.post('/webhooks/orders/updated', orderWebhook('orders/updated', async (order, topic, options) => {
+  if (!isOrderPayload(order)) {
+    return { body: { message: 'Invalid order data' } };
+  }
+
+  return { orderId: order.id, body: applyPickupDecision(order, topic, options) };
+}));
+
+/**
+ * Order edited by staff - the payload only describes the edit, so fetch the order itself
+ */
+app.post('/webhooks/orders/edited', orderWebhook('orders/edited', async (payload, topic, options) => {
+  const orderId = payload.order_edit?.order_id;
+
+  if (!orderId) {
+    return { body: { message: 'Invalid order edit data' } };
+  }
+
+  // The payload only describes the edit, so load the order itself
+  const order = await fetchOrder(orderId);
+
+  if (!order) {
+    return { orderId, body: { message: 'Order not found in Shopify', processed: false } };
+  }
+
+  return { orderId, body: applyPickupDecision(order, topic, options) };
+}));
+
+/**
+ * Order cancelled - drop any work still waiting for it
+ */
+app.post('/webhooks/orders/cancelled', orderWebhook('orders/cancelled', async (order, topic, { dryRun }) => {
+  if (!isOrderPayload(order)) {
+    return { body: { message: 'Invalid order data' } };
+  }
+
+  if (dryRun) {
+    const jobs = pendingOrderJobs(order.id);
+    console.log(`🧪 DRY RUN: order ${order.name} cancelled, would drop ${jobs.length} queued job(s)`);
+    return {
+      orderId: order.id,
+      body: {
+        success: true,
+        dryRun: true,
+        jobsToCancel: jobs.map(job => job.id)
+      }
+    };
+  }
+
+  const cancelled = cancelOrderJobs(order.id);
+
+  if (resolveException(order.id, { by: `webhook:${topic}`, resolution: 'cancelled' })) {
+    clearNeedsAttentionTag(order.id, order.name);
+  }
+  closeStages(order.id, 'cancelled');
+
+  if (getOrderState(order.id) || cancelled.length > 0) {
+    setOrderState(order.id, {
+      orderName: order.name,
+      status: 'cancelled',
+      cancelledAt: new Date().toISOString()
+    });
+  }
+
+  publishQueueEvent('order-removed', { orderId: order.id, orderName: order.name, reason: 'Order cancelled' });
+  console.log(`🚫 Order ${order.name} cancelled${cancelled.length > 0 ? `, dropped ${cancelled.length} queued job(s)` : ''}`);
+
+  return {
+    orderId: order.id,
+    body: {
+      success: true,
+      jobsCancelled: cancelled.length
+    }
+  };
+}));
+
+/**
+ * Catch-all for any other webhooks
+ */
+app.post('/webhooks/*', async (req, res) => {
+  countWebhook(req.get('X-Shopify-Topic'), 'ignored');
+  res.status(200).json({ message: 'Webhook ignored' });
+});
+
+/**
+ * Explain which pickup rule matches an order payload
+ *
+ * POST /api/pickup-rules/explain
+ * Body: a Shopify order webhook payload
+ */
+app.post('/api/pickup-rules/explain', requireAdmin, (req, res) => {
+  let order;
+  try {
+    order = JSON.parse(req.body.toString());
+  } catch (error) {
+    return res.status(400).json({ error: 'Body must be a JSON order payload' });
+  }
+
+  // Accept either the bare webhook payload or { "order": {...} } from the REST API
+  const result = evaluatePickupRules(pickupRules, order.order || order);
+
+  res.json({
+    success: true,
+    rulesFile: PICKUP_RULES_FILE,
+    ...result
+  });
+});
+
+/**
+ * Orders whose background jobs ran out of retries
+ * These need someone to check SkuSavvy and fix them by hand (or retry once the cause is fixed)
+ * Dry-run jobs changed nothing, so they're left out unless ?includeDryRun=true
+ */
+app.get('/api/dead-letter', requireStaffLogin, (req, res) => {
+  const includeDryRun = req.query.includeDryRun === 'true';
+  const jobs = listDeadLetterJobs().filter(job => includeDryRun || !job.payload?.dryRun).map(job => ({
+    id: job.id,
+    type: job.type,
+    orderName: job.payload?.orderName,
+    attempts: job.attempts,
+    lastError: job.lastError,
+    createdAt: job.createdAt,
+    failedAt: job.updatedAt,
+    ...(job.payload?.dryRun ? { dryRun: true } : {})
+  }));
+
+  res.json({
+    success: true,
+    jobs,
+    count: jobs.length
+  });
+});
+
+/**
+ * Put a dead-letter job back on the queue
+ */
+app.post('/api/dead-letter/:id/retry', requireStaffLogin, (req, res) => {
+  const job = retryDeadLetterJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Dead-letter job not found' });
+  }
+
+  console.log(`🔁 Dead-letter job ${job.id} (${job.payload?.orderName}) requeued by ${req.staff.username}`);
+
+  res.json({
+    success: true,
+    jobId: job.id
+  });
+});
+
+/**
+ * Orders held back for staff, e.g. because their warehouse is short of stock
+ * ?includeResolved=true adds the ones dealt with in the last 30 days
+ */
+app.get('/api/exceptions', requireStaffLogin, (req, res) => {
+  const exceptions = listExceptions({ includeResolved: req.query.includeResolved === 'true' });
+
+  res.json({
+    success: true,
+    exceptions,
+    count: exceptions.length
+  });
+});
+
+/**
+ * Try reassigning a held order again
+ *
+ * POST /api/exceptions/:orderId/retry
+ * Body: { "ignoreStock": true } reassigns it even if the warehouse is still short
+ * ?dryRun=true (or "dryRun": true) queues a dry-run job and leaves the exception open
+ */
+app.post('/api/exceptions/:orderId/retry', requireStaffLogin, (req, res) => {
+  let body;
+  try {
+    body = Buffer.isBuffer(req.body) ? JSON.parse(req.body.toString()) : {};
+  } catch (error) {
+    return res.status(400).json({ error: 'Body must be JSON' });
+  }
+
+  const exception = getOpenException(req.params.orderId);
+
+  if (!exception) {
+    return res.status(404).json({ error: 'No open exception for this order' });
+  }
+
+  const dryRun = wantsDryRun(req) || body.dryRun === true;
+
+  if (!dryRun && pendingOrderJobs(exception.orderId).length > 0) {
+    return res.status(409).json({ error: 'This order already has a job waiting' });
+  }
+
+  const job = enqueueJob('reassign-to-americana', {
+    orderId: exception.orderId,
+    orderName: exception.orderName,
+    apaOrderNumber: exception.orderName.replace('#', ''),
+    pickupLocation: exception.details.pickupLocation,
+    triggeredBy: `staff:${req.staff.username}`,
+    ...(body.ignoreStock === true ? { ignoreStock: true } : {}),
+    ...(dryRun ? { dryRun: true } : {})
+  });
+
+  if (!dryRun) {
+    setOrderState(exception.orderId, { status: 'queued', jobId: job.id });
+  }
+
+  console.log(`🔁 Held order ${exception.orderName} requeued by ${req.staff.username}${body.ignoreStock === true ? ' (ignoring stock)' : ''}${dryRun ? ' [DRY RUN]' : ''} (job ${job.id})`);
+
+  res.status(202).json({
+    success: true,
+    queued: true,
+    jobId: job.id,
+    ignoreStock: body.ignoreStock === true,
+    ...(dryRun ? { dryRun: true } : {})
+  });
+});
+
+/**
+ * Take a held order off the exceptions list without reassigning it - staff will sort it out themselves
+ * The automation keeps leaving the order alone, as it does any held order.
+ */
+app.post('/api/exceptions/:orderId/dismiss', requireStaffLogin, async (req, res) => {
+  const exception = getOpenException(req.params.orderId);
+
+  if (!exception) {
+    return res.status(404).json({ error: 'No open exception for this order' });
+  }
+
+  await clearNeedsAttentionTag(exception.orderId, exception.orderName);
+  resolveException(exception.orderId, { by: `staff:${req.staff.username}`, resolution: 'dismissed' });
+  // Staff are handling it outside the automation, so its SLAs are theirs to watch
+  closeStages(exception.orderId, 'dismissed');
+
+  console.log(`🙈 Held order ${exception.orderName} dismissed by ${req.staff.username}`);
+
+  res.json({
+    success: true,
+    orderId: exception.orderId,
+    resolution: 'dismissed'
+  });
+});
+
+/**
+ * DEBUG endpoint to see what fulfillment data we're getting (admins only)
+ */
+app.post('/api/debug-order', requireAdmin, async (req, res) => {
+  try {
+    const body = JSON.parse(req.body.toString());
+    const { orderNumber } = body;
+
+    const orderName = orderNumber.startsWith('#') ? orderNumber : `#${orderNumber}`;
+    
+    console.log('\n=== DEBUG ORDER ===');
+    console.log('Searching for:', orderName);
+    
+    // Get the order
+    const order = await findOrderByName(orderName);
+    
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    
+    console.log('Order ID:', order.id);
+    console.log('Fulfillment status:', order.fulfillment_status);
+    
+    // Get fulfillment orders
+    const fulfillmentOrders = await fetchFulfillmentOrders(order.id);
+    
+    console.log('Fulfillment orders:', JSON.stringify(fulfillmentOrders, null, 2));
+    
+    res.json({
+      orderId: order.id,
+      fulfillmentStatus: order.fulfillment_status,
+      financialStatus: order.financial_status,
+      fulfillmentOrdersFound: fulfillmentOrders.length,
+      fulfillmentOrders
+    });
+    
+  } catch (error) {
+    console.error('Error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Transfer one order to its pickup location (Genesis by default)
+ * Uses Shopify's API (same as "Transfer to pickup location" button) and records
+ * the audit entry, plus the transfer so it can be undone
+ *
+ * Options: pickupLocation (routing table entry, worked out from the order when missing),
+ * dryRun, triggeredBy, requestIp
+ * Returns { status, body } - the HTTP status and response for this order
+ */
+async function transferToPickupLocation(orderNumber, { pickupLocation: chosenLocation = null, dryRun = false, triggeredBy, requestIp }) {
+  const run = createRun(dryRun);
+  const audit = {
+    action: 'transfer-to-genesis',
+    orderName: orderNumber,
+    triggeredBy,
+    requestIp
+  };
+
+  try {
+    console.log('\n=================================');
+    console.log(`🔄 Transferring to pickup location: ${orderNumber}${run.dryRun ? ' [DRY RUN]' : ''}`);
+    console.log('=================================');
+
+    // Remove # if present and get Shopify order ID
+    const orderName = orderNumber.startsWith('#') ? orderNumber : `#${orderNumber}`;
+    
+    console.log('🔍 Finding Shopify order...');
+    
+    // Search for order by name in Shopify
+    const order = await findOrderByName(orderName);
+    
+    if (!order) {
+      console.log('❌ Order not found in Shopify');
+      console.log('=================================\n');
+      recordAudit({ ...audit, outcome: 'failed', error: 'Order not found in Shopify' });
+      return { status: 404, body: { error: 'Order not found in Shopify' } };
+    }
+
+    const pickupLocation = chosenLocation || resolvePickupLocation(routingTable, order);
+
+    audit.orderId = order.id;
+    audit.orderName = order.name;
+    audit.target = { id: pickupLocation.shopifyLocationId, name: pickupLocation.name };
+    audit.orderCreatedAt = order.created_at;
+    console.log(`✅ Found Shopify order: ${order.id}`);
+    console.log(`   Pickup location: ${pickupLocation.name}`);
+    console.log(`   Fulfillment status: ${order.fulfillment_status || 'unfulfilled'}`);
+    console.log(`   Financial status: ${order.financial_status || 'unknown'}`);
+
+    // Get fulfillment orders for this order
+    const fulfillmentOrders = await fetchFulfillmentOrders(order.id);
+    
+    if (fulfillmentOrders.length === 0) {
+      console.log('❌ No fulfillment orders found');
+      console.log('   This usually means:');
+      console.log('   - Order is already fulfilled');
+      console.log('   - Order is cancelled');
+      console.log('   - Order is already at the correct location');
+      console.log(`   Order status: ${order.fulfillment_status || 'unfulfilled'}`);
+      console.log(`   Financial status: ${order.financial_status || 'unknown'}`);
+      console.log('=================================\n');
+      recordAudit({ ...audit, outcome: 'failed', error: 'No fulfillment orders found' });
+      return {
+        status: 400,
+        body: {
+          error: 'No fulfillment orders found',
+          orderStatus: order.fulfillment_status,
+          financialStatus: order.financial_status,
+          details: 'Order may already be fulfilled or at the correct location. Check /api/debug-order endpoint for more details.'
+        }
+      };
+    }
+
+    console.log(`✅ Found ${fulfillmentOrders.length} fulfillment order(s)`);
+    
+    // Log details about each fulfillment order for debugging
+    fulfillmentOrders.forEach((fo, idx) => {
+      console.log(`   ${idx + 1}. Status: ${fo.status}, Location: ${fo.assigned_location?.name || 'Unknown'}, Delivery: ${fo.delivery_method?.method_type || 'unknown'}`);
+    });
+
+    // Lines that ship or get delivered stay where they are - only the pickup part comes to the counter
+    const skipped = fulfillmentOrders
+      .filter(fo => !isPickupFulfillmentOrder(fo))
+      .map(fo => ({ fulfillmentOrderId: fo.id, reason: `Not a pickup (${fo.delivery_method.method_type})` }));
+    const pickupFulfillmentOrders = fulfillmentOrders.filter(isPickupFulfillmentOrder);
+
+    if (pickupFulfillmentOrders.length === 0) {
+      console.log('❌ No fulfillment orders for pickup - everything ships');
+      console.log('=================================\n');
+      recordAudit({ ...audit, outcome: 'failed', error: 'Order has no fulfillment orders for pickup' });
+      return {
+        status: 400,
+        body: {
+          error: 'Order has no fulfillment orders for pickup',
+          skipped
+        }
+      };
+    }
+
+    // Move each pickup fulfillment order to the pickup location
+    let transferredCount = 0;
+    const movedIds = [];
+    const sources = [];
+    const moves = [];
+    const errors = [];
+    
+    for (const fulfillmentOrder of pickupFulfillmentOrders) {
+      try {
+        // Check if already at the pickup location
+        if (String(fulfillmentOrder.assigned_location_id) === pickupLocation.shopifyLocationId) {
+          console.log(`   ✓ Fulfillment order ${fulfillmentOrder.id} already at ${pickupLocation.name}`);
+          continue;
+        }
+
+        console.log(`   → Moving fulfillment order ${fulfillmentOrder.id} to ${pickupLocation.name}...`);
+        const source = {
+          id: fulfillmentOrder.assigned_location_id,
+          name: fulfillmentOrder.assigned_location?.name
+        };
+        movedIds.push(fulfillmentOrder.id);
+        sources.push(source);
+
+        if (run.dryRun) {
+          console.log(`   🧪 Would move fulfillment order ${fulfillmentOrder.id}`);
+          run.plannedCalls.push({
+            api: 'shopify',
+            operation: 'fulfillmentOrderMove',
+            variables: fulfillmentOrderMoveVariables(fulfillmentOrder.id, pickupLocation.shopifyLocationId)
+          });
+          transferredCount++;
+          continue;
+        }
+
+        // Same as "Change location" on the order in the Shopify admin
+        await moveFulfillmentOrder(fulfillmentOrder.id, pickupLocation.shopifyLocationId);
+
+        console.log(`   ✅ Successfully transferred to ${pickupLocation.name}`);
+        transferredCount++;
+        moves.push({
+          id: fulfillmentOrder.id,
+          from: source,
+          to: audit.target
+        });
+      } catch (error) {
+        if (error instanceof ShopifyApiError && error.body) {
+          console.error(`   ❌ Failed:`, JSON.stringify(error.body, null, 2));
+          errors.push(`Fulfillment order ${fulfillmentOrder.id}: ${JSON.stringify(error.body.errors || error.body)}`);
+        } else {
+          console.error(`   ❌ Error moving fulfillment order:`, error.message);
+          errors.push(`Fulfillment order ${fulfillmentOrder.id}: ${error.message}`);
+        }
+      }
+    }
+
+    if (run.dryRun) {
+      recordAudit({
+        ...audit,
+        fulfillmentOrderIds: movedIds,
+        source: sources.length === 1 ? sources[0] : sources,
+        outcome: 'dry-run',
+        plannedCalls: run.plannedCalls
+      });
+
+      console.log(`🧪 DRY RUN: would transfer ${transferredCount}/${pickupFulfillmentOrders.length} fulfillment order(s) to ${pickupLocation.name}`);
+      console.log('=================================\n');
+
+      return {
+        status: 200,
+        body: {
+          success: true,
+          dryRun: true,
+          message: `Dry run - would transfer order to ${pickupLocation.name} for pickup`,
+          fulfillmentOrdersTransferred: 0,
+          plannedCalls: run.plannedCalls,
+          skipped,
+          pickupLocation: pickupLocation.name,
+          orderId: order.id,
+          notification: getNotifyMethod(pickupLocation) === 'none' ? null : { method: getNotifyMethod(pickupLocation) }
+        }
+      };
+    }
+
+    // Remember where each fulfillment order was, so the transfer can be undone
+    const transfer = moves.length > 0 ? recordTransfer({
+      action: audit.action,
+      system: 'shopify',
+      orderId: order.id,
+      orderName: order.name,
+      triggeredBy: audit.triggeredBy,
+      moves
+    }) : null;
+
+    recordAudit({
+      ...audit,
+      fulfillmentOrderIds: movedIds,
+      source: sources.length === 1 ? sources[0] : sources,
+      transferId: transfer?.id || null,
+      outcome: errors.length === 0 ? 'success' : (transferredCount > 0 ? 'partial' : 'failed'),
+      error: errors.length > 0 ? errors.join('; ') : null
+    });
+
+    console.log(`🎉 SUCCESS: ${transferredCount}/${pickupFulfillmentOrders.length} fulfillment order(s) transferred to ${pickupLocation.name}${skipped.length > 0 ? ` (${skipped.length} shipping, left alone)` : ''}`);
+    console.log('=================================\n');
+
+    if (transferredCount > 0) {
+      reportOrderStatus({
+        ...statusOf(audit, { pickupLocation: pickupLocation.name, fulfillmentOrders: transferredCount }),
+        outcome: errors.length === 0 ? 'success' : 'partial',
+        error: errors.length > 0 ? errors.join('; ') : null,
+        // Only all of it being there makes the order ready
+        ...(errors.length === 0 ? { statusTag: readyTag(pickupLocation) } : {}),
+        note: errors.length === 0 ?
+          `transferred ${transferredCount} fulfillment order(s) to ${pickupLocation.name} for pickup` :
+          `only ${transferredCount} of ${movedIds.length} fulfillment order(s) transferred to ${pickupLocation.name}: ${errors.join('; ')}`
+      });
+    }
+
+    if (transferredCount > 0 && errors.length === 0) {
+      recordStage(order.id, { orderName: order.name, pickupLocation: pickupLocation.name, warehouse: pickupLocation.fulfillingWarehouse.name }, 'transferred');
+    }
+
+    // The customer hears about it once everything is there, after a pause in case it's undone
+    const notification = transferredCount > 0 && errors.length === 0 ?
+      queueReadyForPickup(order, pickupLocation, { triggeredBy: audit.triggeredBy }) :
+      null;
+
+    // Other stations drop the order from their lists rather than transferring it again
+    if (transferredCount > 0) {
+      publishQueueEvent('order-transferred', {
+        orderId: order.id,
+        orderName: order.name,
+        pickupLocation: pickupLocation.name,
+        triggeredBy: audit.triggeredBy,
+        transferId: transfer?.id || null
+      });
+    }
+
+    // A fulfillment order that couldn't be moved makes the whole order a failure for the caller
+    return {
+      status: 200,
+      body: {
+        success: errors.length === 0,
+        message: errors.length > 0 ?
+          `Only ${transferredCount} of ${movedIds.length} fulfillment order(s) transferred to ${pickupLocation.name}` :
+          (movedIds.length === 0 ? `Order is already at ${pickupLocation.name}` : `Order transferred to ${pickupLocation.name} for pickup`),
+        ...(errors.length > 0 ? { error: `${errors.length} fulfillment order(s) could not be moved`, errors } : {}),
+        // Usually another station got there first
+        alreadyAtPickupLocation: movedIds.length === 0,
+        fulfillmentOrdersTransferred: transferredCount,
+        skipped,
+        pickupLocation: pickupLocation.name,
+        orderId: order.id,
+        transferId: transfer?.id || null,
+        undoableUntil: transfer ? describeTransfer(transfer).undoableUntil : null,
+        notification
+      }
+    };
+
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    console.log('=================================\n');
+    recordAudit({ ...audit, outcome: 'failed', error: error.message });
+    return { status: 500, body: { error: error.message } };
+  }
+}
+
+/**
+ * Manual endpoint to transfer order to its pickup location (Genesis by default)
+ * 
+ * POST /api/reassign-to-genesis
+ * Body: { "orderNumber": "APA411542", "pickupLocation": "Genesis", "dryRun": true }
+ * pickupLocation is optional - by default it's worked out from the order via the routing table
+ * dryRun (or ?dryRun=true) returns the fulfillmentOrderMove calls instead of making them
+ */
+app.post('/api/reassign-to-genesis', requireStaffLogin, async (req, res) => {
+  let body;
+  try {
+    body = JSON.parse(req.body.toString());
+  } catch (error) {
+    return res.status(400).json({ error: 'Body must be JSON' });
+  }
+
+  const { orderNumber } = body;
+
+  if (!orderNumber) {
+    return res.status(400).json({ 
+      error: 'Missing orderNumber in request body' 
+    });
+  }
+
+  if (body.pickupLocation && !findPickupLocation(routingTable, body.pickupLocation)) {
+    return res.status(400).json({ 
+      error: `Unknown pickup location: ${body.pickupLocation}` 
+    });
+  }
+
+  const { status, body: result } = await transferToPickupLocation(orderNumber, {
+    pickupLocation: body.pickupLocation ? findPickupLocation(routingTable, body.pickupLocation) : null,
+    dryRun: wantsDryRun(req) || body.dryRun === true,
+    triggeredBy: `staff:${req.staff.username}`,
+    requestIp: req.ip
+  });
+
+  res.status(status).json(result);
+});
+
+/**
+ * Transfer several orders to their pickup location in one go (e.g. everything packed at end of day)
+ * Orders are transferred BATCH_TRANSFER_CONCURRENCY at a time; one failing doesn't stop the rest.
+ *
+ * POST /api/reassign-to-genesis/batch
+ * Body: { "orderNumbers": ["APA411542", "APA411543"], "pickupLocation": "Genesis", "dryRun": true }
+ * pickupLocation and dryRun work as for a single order and apply to every order in the batch
+ */
+app.post('/api/reassign-to-genesis/batch', requireStaffLogin, async (req, res) => {
+  let body;
+  try {
+    body = JSON.parse(req.body.toString());
+  } catch (error) {
+    return res.status(400).json({ error: 'Body must be JSON' });
+  }
+
+  if (!Array.isArray(body.orderNumbers) || body.orderNumbers.length === 0) {
+    return res.status(400).json({ error: 'orderNumbers must be a non-empty list' });
+  }
+
+  // The same order twice would only move it once and then report it as already there
+  const orderNumbers = [...new Set(body.orderNumbers.map(orderNumber => String(orderNumber).trim().replace('#', '').toUpperCase()))]
+    .filter(Boolean);
+
+  if (orderNumbers.length > MAX_BATCH_TRANSFER_SIZE) {
+    return res.status(400).json({ error: `At most ${MAX_BATCH_TRANSFER_SIZE} orders per batch` });
+  }
+
+  if (body.pickupLocation && !findPickupLocation(routingTable, body.pickupLocation)) {
+    return res.status(400).json({ 
+      error: `Unknown pickup location: ${body.pickupLocation}` 
+    });
+  }
+
+  const dryRun = wantsDryRun(req) || body.dryRun === true;
+
+  console.log(`📦 Batch transfer of ${orderNumbers.length} order(s) by ${req.staff.username}${dryRun ? ' [DRY RUN]' : ''}`);
+
+  const results = await mapWithConcurrency(orderNumbers, BATCH_TRANSFER_CONCURRENCY, async (orderNumber) => {
+    const { status, body: result } = await transferToPickupLocation(orderNumber, {
+      pickupLocation: body.pickupLocation ? findPickupLocation(routingTable, body.pickupLocation) : null,
+      dryRun,
+      triggeredBy: `staff:${req.staff.username}`,
+      requestIp: req.ip
+    });
+
+    return {
+      orderNumber,
+      status,
+      ...result,
+      success: status === 200 && result.success === true
+    };
+  });
+
+  const succeeded = results.filter(result => result.success).length;
+
+  console.log(`📦 Batch transfer done: ${succeeded}/${results.length} order(s) transferred`);
+
+  res.json({
+    success: succeeded === results.length,
+    dryRun,
+    total: results.length,
+    succeeded,
+    failed: results.length - succeeded,
+    results
+  });
+});
+
+/**
+ * Ready-for-pickup notifications sent (or attempted) for an order
+ *
+ * GET /api/notifications?orderNumber=APA411542
+ */
+app.get('/api/notifications', requireStaffLogin, (req, res) => {
+  if (!req.query.orderNumber) {
+    return res.status(400).json({ error: 'orderNumber is required' });
+  }
+
+  const record = getOrderNotifications({ orderNumber: req.query.orderNumber });
+
+  res.json({
+    success: true,
+    orderName: record?.orderName || null,
+    sends: record?.sends || []
+  });
+});
+
+/**
+ * Send the ready-for-pickup notification for an order now, e.g. for one that was
+ * transferred before notifications were turned on or whose email bounced
+ *
+ * POST /api/notifications/ready-for-pickup
+ * Body: { "orderNumber": "APA411542", "resend": true }
+ * Without resend, a customer who was already told isn't told again.
+ */
+app.post('/api/notifications/ready-for-pickup', requireStaffLogin, async (req, res) => {
+  let body;
+  try {
+    body = JSON.parse(req.body.toString());
+  } catch (error) {
+    return res.status(400).json({ error: 'Body must be JSON' });
+  }
+
+  if (!body.orderNumber) {
+    return res.status(400).json({ error: 'Order number is required' });
   }
-  
-  next();
-});
 
-// Initialize SkuSavvy GraphQL client
-const skuSavvyClient = new GraphQLClient(process.env.SKUSAVVY_GRAPHQL_ENDPOINT, {
-  headers: {
-    authorization: `Bearer ${process.env.SKUSAVVY_API_TOKEN}`,
-  },
-});
+  const orderName = `#${String(body.orderNumber).trim().replace('#', '')}`;
 
-// GraphQL mutation to reassign warehouse to Americana
-const REASSIGN_TO_AMERICANA_MUTATION = `
-  mutation ReassignGenesisToAmericana($orderId: UUID!, $shipmentId: Int!) {
-    shipmentReassignLocation(
-      orderId: $orderId,
-      shipmentId: $shipmentId,
-      warehouseId: "${process.env.AMERICANA_WAREHOUSE_ID}"
-    ) {
-      shipments { 
-        id
-      }
+  try {
+    const order = await findOrderByName(orderName);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found in Shopify' });
     }
-  }
-`;
 
-// GraphQL mutation to reassign warehouse to Genesis (for pickup)
-const REASSIGN_TO_GENESIS_MUTATION = `
-  mutation ReassignAmericanaToGenesis($orderId: UUID!, $shipmentId: Int!) {
-    shipmentReassignLocation(
-      orderId: $orderId,
-      shipmentId: $shipmentId,
-      warehouseId: "${process.env.GENESIS_WAREHOUSE_ID}"
-    ) {
-      shipments { 
-        id
-      }
+    const pickupLocation = resolvePickupLocation(routingTable, order);
+
+    if (getNotifyMethod(pickupLocation) === 'none') {
+      return res.status(400).json({ error: `Ready-for-pickup notifications are off for ${pickupLocation.name}` });
     }
-  }
-`;
 
-// GraphQL query to find order and get shipment IDs
-// We just need the order UUID and shipment IDs - no need to check current warehouse
-const FIND_ORDER_AND_SHIPMENTS_QUERY = `
-  query GetOrderAndShipments($apaOrderNumber: String!) {
-    orders(id: $apaOrderNumber, limit: 1) {
-      __typename
-      ... on CustomerOrder {
-        id
-        shipments {
-          id
-        }
-      }
+    if (body.resend !== true && wasNotified(order.id, pickupLocation.name)) {
+      return res.status(409).json({
+        error: 'Customer was already told this order is ready - send { "resend": true } to tell them again',
+        sends: getOrderNotifications({ orderId: order.id }).sends
+      });
     }
+
+    const notification = queueReadyForPickup(order, pickupLocation, {
+      triggeredBy: `staff:${req.staff.username}`,
+      delayMs: 0,
+      resend: body.resend === true,
+      dryRun: wantsDryRun(req) || body.dryRun === true
+    });
+
+    console.log(`📣 ${req.staff.username} queued a ready-for-pickup ${notification.method} for ${order.name}`);
+
+    res.status(202).json({
+      success: true,
+      message: `Notification queued for ${order.name}`,
+      pickupLocation: pickupLocation.name,
+      notification
+    });
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    res.status(500).json({ error: error.message });
   }
-`;
+});
 
 /**
- * Verify that webhook request is from Shopify
+ * An order as the /pickup screen shows it: each line still to hand over with where
+ * it is, and the fulfillment orders waiting at the pickup location
+ *
+ * line status: 'ready' (at the pickup location), 'not-here-yet' (pickup, still
+ * elsewhere) or 'ships' (not collected in store)
  */
-function verifyShopifyWebhook(data, hmacHeader) {
-  // TEMPORARY: Skip verification for testing
-  return true;
+function describePickupOrder(order, fulfillmentOrders) {
+  const pickupLocation = resolvePickupLocation(routingTable, order);
+  const lineItems = new Map((order.line_items || []).map(item => [String(item.id), item]));
+  const active = fulfillmentOrders.filter(isOpenFulfillmentOrder);
+  const isReady = fo => isPickupFulfillmentOrder(fo) && String(fo.assigned_location_id) === pickupLocation.shopifyLocationId;
+  const record = getPickupRecord(order.id);
+
+  const lines = active.flatMap(fo => fo.line_items
+    .filter(item => item.fulfillable_quantity > 0)
+    .map(item => {
+      const lineItem = lineItems.get(String(item.line_item_id));
+
+      return {
+        fulfillmentOrderId: fo.id,
+        lineItemId: item.line_item_id,
+        title: lineItem?.title || `Item ${item.line_item_id}`,
+        sku: lineItem?.sku || null,
+        quantity: item.fulfillable_quantity,
+        location: fo.assigned_location?.name || null,
+        status: isReady(fo) ? 'ready' : (isPickupFulfillmentOrder(fo) ? 'not-here-yet' : 'ships')
+      };
+    }));
+
+  return {
+    id: order.id,
+    name: order.name,
+    orderNumber: order.name.replace('#', ''),
+    customerName: `${order.customer?.first_name || ''} ${order.customer?.last_name || ''}`.trim(),
+    email: order.email,
+    createdAt: order.created_at,
+    fulfillmentStatus: order.fulfillment_status,
+    pickupLocation: pickupLocation.name,
+    pickupCode: record?.pickupCode || null,
+    readyFulfillmentOrderIds: active.filter(isReady).map(fo => fo.id),
+    lines,
+    handoffs: record?.handoffs || []
+  };
 }
 
 /**
- * Check if order is a pickup order based on tags or shipping lines
+ * Find orders to hand over by pickup code, order number or customer name
+ *
+ * GET /api/pickup/lookup?q=K7P3QX (or APA411542, or "Jamie Rivera")
+ * Names are searched among open pickup orders; codes and numbers match any order.
  */
-function isPickupOrder(order) {
-  // Method 1: Check tags (preferred method with Shopify Flow)
-  if (order.tags) {
-    const tags = order.tags.toLowerCase();
-    if (tags.includes('pickup-order') || tags.includes('pickup')) {
-      return true;
-    }
+app.get('/api/pickup/lookup', requireStaffLogin, async (req, res) => {
+  const query = String(req.query.q || '').trim();
+
+  if (query.length < 2) {
+    return res.status(400).json({ error: 'Search needs at least 2 characters' });
   }
-  
-  // Method 2: Check shipping line title/code
-  if (order.shipping_lines && order.shipping_lines.length > 0) {
-    for (const line of order.shipping_lines) {
-      const code = (line.code || '').toLowerCase();
-      const title = (line.title || '').toLowerCase();
-      
-      // Check if it's Genesis Impact Sports (your pickup location)
-      if (title.includes('genesis impact sports') || 
-          code.includes('genesis impact sports')) {
-        return true;
+
+  try {
+    let orders = [];
+    let matchedBy = null;
+
+    if (looksLikePickupCode(query)) {
+      const record = findPickupByCode(query);
+      const order = record && await fetchOrder(record.orderId);
+
+      if (order) {
+        orders = [order];
+        matchedBy = 'pickup-code';
       }
-      
-      // Generic pickup detection
-      if (code.includes('pickup') || 
-          title.includes('pickup') || 
-          title.includes('pick up') ||
-          code.includes('local')) {
-        return true;
+    }
+
+    if (orders.length === 0 && /^#?[a-z]*\d+$/i.test(query)) {
+      const order = await findOrderByName(`#${query.replace('#', '').toUpperCase()}`);
+
+      if (order) {
+        orders = [order];
+        matchedBy = 'order-number';
       }
     }
+
+    // Shopify's free-text order search covers the customer's name
+    const terms = query.replace(/["\\():]/g, ' ').trim();
+
+    if (orders.length === 0 && /[a-z]/i.test(terms)) {
+      ({ orders } = await listOrders(`tag:pickup-order AND status:open AND ${terms}`, { first: 10 }));
+      matchedBy = orders.length > 0 ? 'customer-name' : null;
+    }
+
+    res.json({
+      success: true,
+      matchedBy,
+      orders: orders.map(order => ({
+        id: order.id,
+        name: order.name,
+        orderNumber: order.name.replace('#', ''),
+        customerName: `${order.customer?.first_name || ''} ${order.customer?.last_name || ''}`.trim(),
+        createdAt: order.created_at,
+        itemCount: order.item_quantity || 0,
+        fulfillmentStatus: order.fulfillment_status,
+        pickedUp: (getPickupRecord(order.id)?.handoffs.length || 0) > 0
+      }))
+    });
+  } catch (error) {
+    console.error('❌ Error looking up pickup orders:', error.message);
+    res.status(500).json({ error: error.message });
   }
-  
-  return false;
-}
+});
 
 /**
- * Main webhook handler for order creation
+ * One order's lines, what's ready at the pickup location and earlier handoffs
+ *
+ * GET /api/pickup/orders/:orderId
+ */
+app.get('/api/pickup/orders/:orderId', requireStaffLogin, async (req, res) => {
+  if (!/^\d+$/.test(req.params.orderId)) {
+    return res.status(400).json({ error: 'Order ID must be a number' });
+  }
+
+  try {
+    const order = await fetchOrder(req.params.orderId);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found in Shopify' });
+    }
+
+    res.json({
+      success: true,
+      order: describePickupOrder(order, await fetchFulfillmentOrders(order.id))
+    });
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Handoffs still running, so a double click can't fulfill the same order twice
+const handoffsInProgress = new Set();
+
+/**
+ * The customer collected their order: fulfill everything waiting for them at the
+ * pickup location in Shopify and record who handed it over
+ *
+ * POST /api/pickup/orders/:orderId/complete
+ * Body: { "confirm": true, "verification": "pickup-code", "pickupCode": "K7P3QX", "note": "...", "notifyCustomer": false }
+ * verification is how the customer was checked: 'pickup-code' (needs pickupCode), 'photo-id' or 'order-confirmation'
+ * Lines not at the pickup location yet stay unfulfilled for a later handoff.
+ * ?dryRun=true (or "dryRun": true) returns the fulfillmentCreate call instead of making it
  */
-app.post('/webhooks/orders/create', async (req, res) => {
-  const hmac = req.get('X-Shopify-Hmac-Sha256');
-  const shop = req.get('X-Shopify-Shop-Domain');
-  const topic = req.get('X-Shopify-Topic');
-  const rawBody = req.body;
+app.post('/api/pickup/orders/:orderId/complete', requireStaffLogin, async (req, res) => {
+  let body;
+  try {
+    body = JSON.parse(req.body.toString());
+  } catch (error) {
+    return res.status(400).json({ error: 'Body must be JSON' });
+  }
+
+  const { orderId } = req.params;
+
+  if (!/^\d+$/.test(orderId)) {
+    return res.status(400).json({ error: 'Order ID must be a number' });
+  }
+
+  if (!VERIFICATION_METHODS.includes(body.verification)) {
+    return res.status(400).json({ error: `verification must be one of ${VERIFICATION_METHODS.join(', ')}` });
+  }
 
-  // Reject non-order webhooks
-  if (topic !== 'orders/create') {
-    return res.status(200).json({ message: 'Webhook ignored - not an order' });
+  const run = createRun(wantsDryRun(req) || body.dryRun === true);
+
+  if (!run.dryRun && body.confirm !== true) {
+    return res.status(400).json({
+      error: 'Handoff needs confirmation - send { "confirm": true }',
+      confirmationRequired: true
+    });
+  }
+
+  if (body.verification === 'pickup-code') {
+    const expected = getPickupRecord(orderId)?.pickupCode;
+
+    if (!expected) {
+      return res.status(400).json({ error: 'This order has no pickup code - verify the customer another way' });
+    }
+    if (normalizePickupCode(body.pickupCode) !== expected) {
+      return res.status(400).json({ error: 'Pickup code does not match this order' });
+    }
+  }
+
+  if (handoffsInProgress.has(orderId)) {
+    return res.status(409).json({ error: 'This order is already being handed over' });
   }
 
-  // Verify webhook authenticity (currently bypassed)
-  const isVerified = verifyShopifyWebhook(rawBody, hmac);
+  const audit = {
+    action: 'pickup-handoff',
+    orderId: Number(orderId),
+    verification: body.verification,
+    triggeredBy: `staff:${req.staff.username}`,
+    requestIp: req.ip
+  };
 
+  handoffsInProgress.add(orderId);
   try {
-    const order = JSON.parse(rawBody.toString());
-    
-    // Validate this is actually an order object
-    if (!order.order_number || !order.id) {
-      return res.status(200).json({ message: 'Invalid order data' });
+    const order = await fetchOrder(orderId);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found in Shopify' });
     }
 
-    // Check if it's a pickup order
-    if (!isPickupOrder(order)) {
-      // Not a pickup order - just log briefly and skip
-      console.log(`📦 Order ${order.name} - Not pickup, skipping`);
-      return res.status(200).json({ 
-        message: 'Not a pickup order',
-        processed: false 
+    const details = describePickupOrder(order, await fetchFulfillmentOrders(order.id));
+    const pickupLocation = findPickupLocation(routingTable, details.pickupLocation);
+
+    audit.orderName = order.name;
+    audit.target = { id: pickupLocation.shopifyLocationId, name: pickupLocation.name };
+    audit.fulfillmentOrderIds = details.readyFulfillmentOrderIds;
+
+    if (details.readyFulfillmentOrderIds.length === 0) {
+      return res.status(409).json({
+        error: details.handoffs.length > 0 && details.lines.every(line => line.status === 'ships') ?
+          `${order.name} has already been picked up` :
+          `Nothing for ${order.name} is at ${pickupLocation.name} yet`,
+        order: details
       });
     }
 
-    // ✅ PICKUP ORDER - Show detailed logging
+    const stillToCome = details.lines.filter(line => line.status === 'not-here-yet');
+
     console.log('\n=================================');
-    console.log(`🎯 PICKUP ORDER: ${order.name}`);
+    console.log(`🤝 HANDOFF: ${order.name} at ${pickupLocation.name} by ${req.staff.username} (${body.verification})${run.dryRun ? ' [DRY RUN]' : ''}`);
     console.log('=================================');
 
-    // Format order number for SkuSavvy query (keep the APA prefix)
-    const apaOrderNumber = order.name.replace('#', '');
-
-    // Small delay to ensure order syncs to SkuSavvy
-    console.log('⏳ Waiting 10 seconds for SkuSavvy sync...');
-    await new Promise(resolve => setTimeout(resolve, 10000));
-
-    // Step 1: Find the order and get shipments in one query
-    console.log('🔍 Finding order in SkuSavvy...');
-    
-    let orderUUID;
-    let shipments;
-    
-    try {
-      const result = await skuSavvyClient.request(FIND_ORDER_AND_SHIPMENTS_QUERY, {
-        apaOrderNumber: apaOrderNumber
+    if (run.dryRun) {
+      run.plannedCalls.push({
+        api: 'shopify',
+        operation: 'fulfillmentCreate',
+        variables: fulfillmentCreateVariables(details.readyFulfillmentOrderIds, { notifyCustomer: body.notifyCustomer === true })
       });
-      
-      if (!result.orders || result.orders.length === 0) {
-        console.log('❌ Order not found in SkuSavvy yet');
-        console.log('=================================\n');
-        
-        return res.status(200).json({ 
-          message: 'Order not synced to SkuSavvy yet',
-          processed: false
-        });
-      }
-      
-      const orderData = result.orders[0];
-      orderUUID = orderData.id;
-      shipments = orderData.shipments || [];
-      
-      console.log(`✅ Found: ${shipments.length} shipment(s)`);
-      
-    } catch (error) {
-      console.error('❌ Error:', error.message);
+      recordAudit({ ...audit, outcome: 'dry-run', plannedCalls: run.plannedCalls });
+      console.log(`🧪 DRY RUN: would fulfill ${details.readyFulfillmentOrderIds.length} fulfillment order(s)`);
       console.log('=================================\n');
-      throw error;
-    }
 
-    if (shipments.length === 0) {
-      console.log('⚠️  No shipments found');
-      console.log('=================================\n');
-      return res.status(200).json({ 
-        message: 'No shipments to reassign',
-        processed: false 
+      return res.json({
+        success: true,
+        dryRun: true,
+        plannedCalls: run.plannedCalls,
+        order: details
       });
     }
 
-    // Step 2: Reassign each shipment to Americana warehouse
-    let reassignedCount = 0;
-    
-    for (const shipment of shipments) {
-      try {
-        await skuSavvyClient.request(REASSIGN_TO_AMERICANA_MUTATION, {
-          orderId: orderUUID,
-          shipmentId: parseInt(shipment.id),
-        });
-        reassignedCount++;
-      } catch (error) {
-        console.error(`❌ Shipment ${shipment.id} failed:`, error.message);
-      }
+    const fulfillment = await createFulfillment(details.readyFulfillmentOrderIds, { notifyCustomer: body.notifyCustomer === true });
+    const handoff = recordHandoff({
+      orderId: order.id,
+      orderName: order.name,
+      by: req.staff.username,
+      verification: body.verification,
+      pickupLocation: pickupLocation.name,
+      fulfillmentOrderIds: details.readyFulfillmentOrderIds,
+      fulfillmentId: fulfillment.id,
+      note: body.note ? String(body.note).slice(0, 500) : null
+    });
+
+    recordAudit({ ...audit, handoffId: handoff.id, fulfillmentId: fulfillment.id, outcome: 'success' });
+    reportOrderStatus({
+      ...statusOf(audit, { pickupLocation: pickupLocation.name, verification: body.verification, stillToCome: stillToCome.length }),
+      outcome: 'success',
+      ...(stillToCome.length === 0 ? { statusTag: COLLECTED_TAG } : {}),
+      note: `handed over at ${pickupLocation.name} by ${req.staff.username} (checked by ${body.verification})` +
+        (stillToCome.length > 0 ? `, ${stillToCome.length} line(s) still to come` : '')
+    });
+
+    if (stillToCome.length === 0) {
+      recordStage(order.id, { orderName: order.name, pickupLocation: pickupLocation.name }, 'picked-up');
     }
 
-    console.log(`🎉 SUCCESS: ${reassignedCount}/${shipments.length} shipment(s) reassigned Genesis → Americana`);
+    // No point telling them it's ready once they've collected it
+    cancelJobs(job => job.type === 'notify-ready-for-pickup' && String(job.payload.orderId) === String(order.id));
+
+    console.log(`✅ ${order.name} handed over (fulfillment ${fulfillment.id})${stillToCome.length > 0 ? `, ${stillToCome.length} line(s) still to come` : ''}`);
     console.log('=================================\n');
 
-    res.status(200).json({ 
+    res.json({
       success: true,
-      orderId: order.id,
-      orderNumber: order.order_number,
-      shipmentsReassigned: reassignedCount
+      message: stillToCome.length > 0 ?
+        `${order.name} handed over - ${stillToCome.length} item(s) are still on their way to ${pickupLocation.name}` :
+        `${order.name} handed over`,
+      handoff,
+      fulfillment,
+      stillToCome
     });
-    
   } catch (error) {
-    console.error('❌ Error processing webhook:', error.message);
-    
-    // Return 200 to prevent Shopify from retrying
-    res.status(200).json({ 
-      error: error.message,
-      processed: false 
-    });
+    console.error('❌ Error:', error.message);
+    console.log('=================================\n');
+    recordAudit({ ...audit, outcome: 'failed', error: error.message });
+    res.status(500).json({ error: error.message });
+  } finally {
+    handoffsInProgress.delete(orderId);
   }
 });
 
 /**
- * Catch-all for any other webhooks
+ * Recent transfers and reassignments, newest first, with whether each can still be undone
+ *
+ * GET /api/transfers?orderNumber=APA411542&undoable=true&limit=20
  */
-app.post('/webhooks/*', async (req, res) => {
-  res.status(200).json({ message: 'Webhook ignored' });
+app.get('/api/transfers', requireStaffLogin, (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+  const transfers = listTransfers({
+    orderNumber: req.query.orderNumber,
+    undoable: req.query.undoable === 'true',
+    limit
+  }).map(describeTransfer);
+
+  res.json({
+    success: true,
+    transfers,
+    count: transfers.length
+  });
+});
+
+/**
+ * One transfer, with where an undo would move each item back to
+ */
+app.get('/api/transfers/:id', requireStaffLogin, (req, res) => {
+  const transfer = getTransfer(req.params.id);
+
+  if (!transfer) {
+    return res.status(404).json({ error: 'Transfer not found' });
+  }
+
+  res.json({ success: true, transfer: describeTransfer(transfer) });
 });
 
+// Undos still running, so a double click can't move the same things back twice
+const undosInProgress = new Set();
+
 /**
- * DEBUG endpoint to see what fulfillment data we're getting
+ * Undo a transfer or reassignment: move every fulfillment order (Shopify) or
+ * shipment (SkuSavvy) it moved back where it was, within UNDO_WINDOW_MINUTES
+ *
+ * POST /api/transfers/:id/undo
+ * Body: { "confirm": true } - without it nothing is moved and the transfer comes back for review
+ * ?dryRun=true (or "dryRun": true) returns the calls instead of making them, no confirmation needed
  */
-app.post('/api/debug-order', async (req, res) => {
+app.post('/api/transfers/:id/undo', requireStaffLogin, async (req, res) => {
+  let body;
   try {
-    const body = JSON.parse(req.body.toString());
-    const { orderNumber } = body;
+    body = Buffer.isBuffer(req.body) ? JSON.parse(req.body.toString()) : {};
+  } catch (error) {
+    return res.status(400).json({ error: 'Body must be JSON' });
+  }
 
-    const orderName = orderNumber.startsWith('#') ? orderNumber : `#${orderNumber}`;
-    
-    console.log('\n=== DEBUG ORDER ===');
-    console.log('Searching for:', orderName);
-    
-    // Get the order
-    const searchResponse = await fetch(
-      `https://${process.env.SHOPIFY_SHOP}/admin/api/2024-10/orders.json?name=${encodeURIComponent(orderName)}&status=any`,
-      {
-        headers: {
-          'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-        },
-      }
-    );
+  const transfer = getTransfer(req.params.id);
 
-    const searchData = await searchResponse.json();
-    
-    if (!searchData.orders || searchData.orders.length === 0) {
-      return res.status(404).json({ error: 'Order not found' });
+  if (!transfer) {
+    return res.status(404).json({ error: 'Transfer not found' });
+  }
+
+  const blocked = undoBlockedReason(transfer);
+
+  if (blocked) {
+    return res.status(409).json({ error: blocked, transfer: describeTransfer(transfer) });
+  }
+
+  const run = createRun(wantsDryRun(req) || body.dryRun === true);
+
+  if (!run.dryRun && body.confirm !== true) {
+    return res.status(400).json({
+      error: 'Undo needs confirmation - send { "confirm": true }',
+      confirmationRequired: true,
+      transfer: describeTransfer(transfer)
+    });
+  }
+
+  if (undosInProgress.has(transfer.id)) {
+    return res.status(409).json({ error: 'This transfer is already being undone' });
+  }
+
+  const pending = transfer.moves.filter(move => !move.undoneAt);
+  const audit = {
+    action: 'undo-transfer',
+    orderId: transfer.orderId,
+    orderName: transfer.orderName,
+    [transfer.system === 'shopify' ? 'fulfillmentOrderIds' : 'shipmentIds']: pending.map(move => move.id),
+    source: pending.map(move => move.to),
+    target: pending.map(move => move.from),
+    transferId: transfer.id,
+    triggeredBy: `staff:${req.staff.username}`,
+    requestIp: req.ip
+  };
+
+  console.log('\n=================================');
+  console.log(`⏪ Undoing ${transfer.action} of ${transfer.orderName} (${pending.length} item(s) in ${transfer.system === 'shopify' ? 'Shopify' : 'SkuSavvy'})${run.dryRun ? ' [DRY RUN]' : ''}`);
+  console.log('=================================');
+
+  undosInProgress.add(transfer.id);
+  try {
+    const { undoneIds, errors } = await undoTransfer(transfer, run);
+    errors.forEach(error => console.log(`   ⚠️  ${error}`));
+
+    if (run.dryRun) {
+      recordAudit({ ...audit, outcome: 'dry-run', plannedCalls: run.plannedCalls });
+      console.log(`🧪 DRY RUN: would move ${undoneIds.length}/${pending.length} item(s) back`);
+      console.log('=================================\n');
+
+      return res.json({
+        success: true,
+        dryRun: true,
+        plannedCalls: run.plannedCalls,
+        errors
+      });
     }
-    
-    const order = searchData.orders[0];
-    
-    console.log('Order ID:', order.id);
-    console.log('Fulfillment status:', order.fulfillment_status);
-    
-    // Get fulfillment orders
-    const fulfillmentOrdersResponse = await fetch(
-      `https://${process.env.SHOPIFY_SHOP}/admin/api/2024-10/orders/${order.id}/fulfillment_orders.json`,
-      {
-        headers: {
-          'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-        },
-      }
-    );
 
-    const fulfillmentData = await fulfillmentOrdersResponse.json();
-    
-    console.log('Fulfillment orders response:', JSON.stringify(fulfillmentData, null, 2));
-    
-    res.json({
-      orderId: order.id,
-      fulfillmentStatus: order.fulfillment_status,
-      financialStatus: order.financial_status,
-      fulfillmentOrdersFound: fulfillmentData.fulfillment_orders?.length || 0,
-      fulfillmentOrders: fulfillmentData.fulfillment_orders || [],
-      rawResponse: fulfillmentData
-    });
-    
+    const outcome = errors.length === 0 ? 'success' : (undoneIds.length > 0 ? 'partial' : 'failed');
+    const error = errors.length > 0 ? errors.join('; ') : null;
+    const updated = recordUndo(transfer.id, undoneIds, { by: req.staff.username, outcome, error });
+
+    recordAudit({ ...audit, outcome, error });
+
+    if (undoneIds.length > 0) {
+      // An undone transfer leaves the order back at the warehouse that packed it; anything else, nowhere in particular
+      const backAt = transfer.action === 'transfer-to-genesis' ?
+        warehouseForShopifyLocation(routingTable, pending[0].from.id) :
+        null;
+
+      reportOrderStatus({
+        ...statusOf(audit, { transferId: transfer.id, undone: transfer.action, itemsMovedBack: undoneIds.length }),
+        outcome,
+        error,
+        statusTag: backAt ? packingTag(backAt) : null,
+        note: `${req.staff.username} undid ${transfer.action}, ${undoneIds.length} of ${pending.length} item(s) moved back in ${transfer.system === 'shopify' ? 'Shopify' : 'SkuSavvy'}`
+      });
+    }
+
+    // The automation would redo an undone reassignment (or split) on the next order webhook, so tell it to leave the order alone
+    if (undoneIds.length > 0 && ['reassign-to-americana', 'revert-reassignment'].includes(transfer.action)) {
+      cancelOrderJobs(transfer.orderId);
+      setOrderState(transfer.orderId, {
+        orderName: transfer.orderName,
+        status: 'undone',
+        undoneAt: new Date().toISOString(),
+        undoneBy: req.staff.username,
+        transferId: transfer.id
+      });
+      closeStages(transfer.orderId, 'undone');
+    }
+
+    // Back at the warehouse, so it's waiting to reach the pickup location again
+    if (undoneIds.length > 0 && transfer.action === 'transfer-to-genesis') {
+      rewindStage(transfer.orderId, 'transferred');
+    }
+
+    // The order is no longer at its pickup location, so don't tell the customer it is
+    if (transfer.system === 'shopify' && undoneIds.length > 0) {
+      cancelJobs(job => job.type === 'notify-ready-for-pickup' && String(job.payload.orderId) === String(transfer.orderId));
+    }
+
+    if (undoneIds.length > 0) {
+      publishQueueEvent('transfer-undone', {
+        orderId: transfer.orderId,
+        orderName: transfer.orderName,
+        transferId: transfer.id,
+        action: transfer.action,
+        triggeredBy: audit.triggeredBy
+      });
+    }
+
+    console.log(`${outcome === 'success' ? '✅' : '⚠️ '} ${undoneIds.length}/${pending.length} item(s) moved back`);
+    console.log('=================================\n');
+
+    if (outcome === 'failed') {
+      return res.status(409).json({
+        error: `Nothing could be moved back: ${error}`,
+        errors,
+        transfer: describeTransfer(updated)
+      });
+    }
+
+    res.json({
+      success: outcome === 'success',
+      message: outcome === 'success' ?
+        `${transfer.orderName} moved back` :
+        `${transfer.orderName} only partly moved back`,
+      itemsMovedBack: undoneIds.length,
+      errors,
+      transfer: describeTransfer(updated)
+    });
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    console.log('=================================\n');
+    recordAudit({ ...audit, outcome: 'failed', error: error.message });
+    res.status(500).json({ error: error.message });
+  } finally {
+    undosInProgress.delete(transfer.id);
+  }
+});
+
+/**
+ * Run reconciliation unless a run is already in progress
+ * In global dry-run mode it only ever reports.
+ */
+let reconcileRunning = false;
+
+/**
+ * The warehouse an order's SkuSavvy shipments were reassigned to for packing, or null if they weren't.
+ * Its fulfillment orders stay at the pickup location in Shopify, so reconciliation can't go by them.
+ * The stage record covers orders whose webhook ledger entry has been pruned.
+ */
+function reassignedWarehouse(orderId) {
+  const state = getOrderState(orderId);
+  const record = getStageRecord(orderId);
+  const reassigned = state ?
+    state.status === 'reassigned' :
+    Boolean(record?.stages.reassigned) && !['undone', 'not-pickup', 'cancelled'].includes(record.closedReason);
+
+  if (!reassigned) {
+    return null;
+  }
+
+  const pickupLocation = findPickupLocation(routingTable, state?.pickupLocation || record?.pickupLocation);
+  return pickupLocation ? pickupLocation.fulfillingWarehouse : null;
+}
+
+async function runReconciliation(options) {
+  if (reconcileRunning) {
+    return null;
+  }
+
+  reconcileRunning = true;
+  try {
+    const report = await reconcilePickupOrders(routingTable, {
+      ...options,
+      dryRun: options.dryRun || isGlobalDryRun(),
+      // A queued reassign or revert would undo a fix (or be undone by it), and held orders are staff's to sort out,
+      // so those orders wait for the next run
+      hasPendingWork: orderId => ['queued', 'reverting', 'needs-attention'].includes(getOrderState(orderId)?.status) || pendingOrderJobs(orderId).length > 0,
+      reassignedWarehouse
+    });
+    writeJson('reconcile-last.json', report);
+    return report;
+  } finally {
+    reconcileRunning = false;
+  }
+}
+
+// What an order overdue in each stage is still waiting for, for alerts
+const OVERDUE_WAITING_FOR = {
+  created: () => 'not reassigned yet',
+  reassigned: order => `not at ${order.pickupLocation} yet`,
+  transferred: () => 'not collected yet'
+};
+
+/**
+ * Every tracked pickup order with the stage it's in and whether it's past that stage's SLA
+ */
+function describeOpenStages(now = Date.now()) {
+  return listOpenStages().map(record => ({
+    orderId: record.orderId,
+    orderName: record.orderName,
+    pickupLocation: record.pickupLocation,
+    warehouse: record.warehouse,
+    ...describeStage(record, findPickupLocation(routingTable, record.pickupLocation), now)
+  }));
+}
+
+/**
+ * Flag pickup orders that have gone past their current stage's SLA and alert staff -
+ * once per order and stage, in one alert per check on every channel in ALERT_CHANNELS
+ *
+ * In a dry run nothing is flagged or sent; the report shows what would be.
+ */
+function checkPickupSla({ dryRun = false, triggeredBy = 'schedule:sla' } = {}) {
+  const overdue = describeOpenStages().filter(order => order.overdue);
+  const newlyOverdue = overdue.filter(order => !order.alerted);
+  const channels = getAlertChannels();
+  const report = {
+    checkedAt: new Date().toISOString(),
+    triggeredBy,
+    overdue: overdue.length,
+    newlyOverdue,
+    channels,
+    alertJobIds: [],
+    ...(dryRun ? { dryRun: true } : {})
+  };
+
+  if (newlyOverdue.length === 0 || dryRun) {
+    return report;
+  }
+
+  // Nowhere to send the alert - leave the orders unalerted so they go out once a channel is set up
+  if (channels.length === 0) {
+    console.log(`⏰ ${newlyOverdue.length} pickup order(s) overdue, not alerting (ALERT_CHANNELS not set): ${newlyOverdue.map(order => order.orderName).join(', ')}`);
+    return report;
+  }
+
+  const alert = createAlert({
+    kind: 'sla-overdue',
+    title: `${newlyOverdue.length} pickup order(s) overdue`,
+    text: newlyOverdue.map(order =>
+      `${order.orderName} (${order.pickupLocation}): ${OVERDUE_WAITING_FOR[order.stage](order)} - ${order.hours}h since ${order.stage}, SLA ${order.slaHours}h`
+    ).join('\n'),
+    orders: newlyOverdue.map(({ orderId, orderName, pickupLocation, stage, since, hours, slaHours }) =>
+      ({ orderId, orderName, pickupLocation, stage, since, hours, slaHours }))
+  });
+
+  newlyOverdue.forEach(order => {
+    recordStageAlert(order.orderId, order.stage);
+    publishQueueEvent('order-overdue', {
+      orderId: order.orderId,
+      orderName: order.orderName,
+      pickupLocation: order.pickupLocation,
+      stage: order.stage,
+      hours: order.hours,
+      slaHours: order.slaHours
+    });
+  });
+
+  report.alertJobIds = channels.map(channel => enqueueJob('send-alert', { channel, alert }).id);
+
+  console.log(`⏰ ${newlyOverdue.length} pickup order(s) newly overdue: ${newlyOverdue.map(order => order.orderName).join(', ')} - alerting by ${channels.join(', ')}`);
+
+  return report;
+}
+
+/**
+ * Pickup orders past their current stage's SLA, longest wait first, and the SLAs per pickup location
+ *
+ * GET /api/sla
+ * ?all=true lists every tracked order, overdue or not
+ */
+app.get('/api/sla', requireStaffLogin, (req, res) => {
+  const orders = describeOpenStages()
+    .filter(order => req.query.all === 'true' || order.overdue)
+    .sort((a, b) => b.hours - a.hours);
+
+  res.json({
+    success: true,
+    orders,
+    count: orders.length,
+    slaHours: Object.fromEntries(routingTable.pickupLocations.map(location => [location.name, getSlaHours(location)])),
+    stages: STAGES,
+    alertChannels: getAlertChannels()
+  });
+});
+
+/**
+ * Run the SLA check now instead of waiting for the schedule (admins only)
+ *
+ * POST /api/sla/check
+ * ?dryRun=true (or "dryRun": true) reports what would be flagged without flagging or alerting
+ */
+app.post('/api/sla/check', requireAdmin, (req, res) => {
+  let body;
+  try {
+    body = Buffer.isBuffer(req.body) ? JSON.parse(req.body.toString()) : {};
   } catch (error) {
-    console.error('Error:', error);
-    res.status(500).json({ error: error.message, stack: error.stack });
+    return res.status(400).json({ error: 'Body must be JSON' });
   }
+
+  const report = checkPickupSla({
+    dryRun: wantsDryRun(req) || body.dryRun === true,
+    triggeredBy: `api:sla:${req.staff.username}`
+  });
+
+  res.json({ success: true, report });
 });
 
 /**
- * Manual endpoint to transfer order to Genesis pickup location
- * Uses Shopify's API (same as "Transfer to pickup location" button)
- * 
- * POST /api/reassign-to-genesis
- * Body: { "orderNumber": "APA411542" }
+ * How much work is waiting right now: jobs, held orders and tracked orders by stage
  */
-app.post('/api/reassign-to-genesis', async (req, res) => {
-  try {
-    const body = JSON.parse(req.body.toString());
-    const { orderNumber } = body;
+function describeQueueDepth() {
+  const pending = listJobs({ status: 'pending' }).filter(job => !job.payload?.dryRun);
+  const stages = describeOpenStages();
+  const inStage = stage => stages.filter(order => order.stage === stage).length;
+
+  return {
+    jobsPending: pending.length,
+    jobsPendingByType: pending.reduce((counts, job) => ({ ...counts, [job.type]: (counts[job.type] || 0) + 1 }), {}),
+    deadLetter: listDeadLetterJobs().filter(job => !job.payload?.dryRun).length,
+    heldForStaff: listExceptions().length,
+    waitingToReassign: inStage('created'),
+    atWarehouse: inStage('reassigned'),
+    waitingForCustomer: inStage('transferred'),
+    overdue: stages.filter(order => order.overdue).length
+  };
+}
 
-    if (!orderNumber) {
-      return res.status(400).json({ 
-        error: 'Missing orderNumber in request body' 
-      });
-    }
+/**
+ * Pickup throughput and failure metrics for the dashboard (see pickup-metrics.js), with the queue as it is now
+ *
+ * GET /api/metrics?from=2024-11-01&to=2024-11-30
+ * Days are UTC; without from/to it covers the last 30 days. The queue doesn't depend on the range.
+ */
+app.get('/api/metrics', requireStaffLogin, async (req, res) => {
+  const range = resolveMetricsRange({ from: req.query.from, to: req.query.to });
 
-    console.log('\n=================================');
-    console.log(`🔄 Transferring to Genesis: ${orderNumber}`);
-    console.log('=================================');
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
 
-    // Remove # if present and get Shopify order ID
-    const orderName = orderNumber.startsWith('#') ? orderNumber : `#${orderNumber}`;
-    
-    console.log('🔍 Finding Shopify order...');
-    
-    // Search for order by name in Shopify
-    const searchResponse = await fetch(
-      `https://${process.env.SHOPIFY_SHOP}/admin/api/2024-10/orders.json?name=${encodeURIComponent(orderName)}&status=any`,
-      {
-        headers: {
-          'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-        },
-      }
-    );
+  try {
+    res.json({
+      success: true,
+      ...await computePickupMetrics(range),
+      queue: describeQueueDepth()
+    });
+  } catch (error) {
+    console.error('❌ Metrics failed:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    if (!searchResponse.ok) {
-      throw new Error(`Shopify API error: ${searchResponse.status}`);
-    }
+/**
+ * Last reconciliation report
+ */
+app.get('/api/reconcile', requireAdmin, (req, res) => {
+  const report = readJson('reconcile-last.json', null);
 
-    const searchData = await searchResponse.json();
-    
-    if (!searchData.orders || searchData.orders.length === 0) {
-      console.log('❌ Order not found in Shopify');
-      console.log('=================================\n');
-      return res.status(404).json({ error: 'Order not found in Shopify' });
-    }
+  if (!report) {
+    return res.status(404).json({ error: 'Reconciliation has not run yet' });
+  }
 
-    const order = searchData.orders[0];
-    console.log(`✅ Found Shopify order: ${order.id}`);
-    console.log(`   Fulfillment status: ${order.fulfillment_status || 'unfulfilled'}`);
-    console.log(`   Financial status: ${order.financial_status || 'unknown'}`);
+  res.json({ success: true, report });
+});
 
-    // Get fulfillment orders for this order
-    const fulfillmentOrdersResponse = await fetch(
-      `https://${process.env.SHOPIFY_SHOP}/admin/api/2024-10/orders/${order.id}/fulfillment_orders.json`,
-      {
-        headers: {
-          'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-        },
-      }
-    );
+/**
+ * Compare Shopify fulfillment-order locations with SkuSavvy shipment warehouses
+ *
+ * POST /api/reconcile?dryRun=false&days=14
+ * Dry run (report only) unless dryRun=false is passed
+ */
+app.post('/api/reconcile', requireAdmin, async (req, res) => {
+  const dryRun = req.query.dryRun !== 'false';
+  const lookbackDays = parseFloat(req.query.days || process.env.RECONCILE_LOOKBACK_DAYS || '7');
 
-    if (!fulfillmentOrdersResponse.ok) {
-      throw new Error(`Failed to get fulfillment orders: ${fulfillmentOrdersResponse.status}`);
-    }
+  if (isNaN(lookbackDays) || lookbackDays <= 0) {
+    return res.status(400).json({ error: 'days must be a positive number' });
+  }
 
-    const fulfillmentData = await fulfillmentOrdersResponse.json();
-    
-    if (!fulfillmentData.fulfillment_orders || fulfillmentData.fulfillment_orders.length === 0) {
-      console.log('❌ No fulfillment orders found');
-      console.log('   This usually means:');
-      console.log('   - Order is already fulfilled');
-      console.log('   - Order is cancelled');
-      console.log('   - Order is already at the correct location');
-      console.log(`   Order status: ${order.fulfillment_status || 'unfulfilled'}`);
-      console.log(`   Financial status: ${order.financial_status || 'unknown'}`);
-      console.log('   Raw response:', JSON.stringify(fulfillmentData, null, 2));
-      console.log('=================================\n');
-      return res.status(400).json({ 
-        error: 'No fulfillment orders found',
-        orderStatus: order.fulfillment_status,
-        financialStatus: order.financial_status,
-        details: 'Order may already be fulfilled or at the correct location. Check /api/debug-order endpoint for more details.'
-      });
-    }
+  try {
+    const report = await runReconciliation({ dryRun, lookbackDays, triggeredBy: `api:reconcile:${req.staff.username}` });
 
-    console.log(`✅ Found ${fulfillmentData.fulfillment_orders.length} fulfillment order(s)`);
-    
-    // Log details about each fulfillment order for debugging
-    fulfillmentData.fulfillment_orders.forEach((fo, idx) => {
-      console.log(`   ${idx + 1}. Status: ${fo.status}, Location: ${fo.assigned_location?.name || 'Unknown'}`);
-    });
+    if (!report) {
+      return res.status(409).json({ error: 'Reconciliation is already running' });
+    }
 
-    // Move each fulfillment order to Genesis location
-    let transferredCount = 0;
-    
-    for (const fulfillmentOrder of fulfillmentData.fulfillment_orders) {
-      try {
-        // Check if already at Genesis
-        if (fulfillmentOrder.assigned_location?.name?.includes('Genesis')) {
-          console.log(`   ✓ Fulfillment order ${fulfillmentOrder.id} already at Genesis`);
-          continue;
-        }
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error('❌ Reconciliation failed:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-        console.log(`   → Moving fulfillment order ${fulfillmentOrder.id} to Genesis...`);
-
-        // Use Shopify's fulfillment order move endpoint
-        const moveResponse = await fetch(
-          `https://${process.env.SHOPIFY_SHOP}/admin/api/2024-10/fulfillment_orders/${fulfillmentOrder.id}/move.json`,
-          {
-            method: 'POST',
-            headers: {
-              'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-              'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-              fulfillment_order: {
-                new_location_id: process.env.GENESIS_LOCATION_ID, // Shopify location ID for Genesis
-              }
-            })
-          }
-        );
+/**
+ * Search the reassignment/transfer audit log
+ *
+ * GET /api/audit?orderNumber=APA411542&from=2024-11-01&to=2024-11-30&outcome=failed
+ */
+app.get('/api/audit', requireAdmin, async (req, res) => {
+  const { orderNumber, from, to, outcome, action } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
 
-        if (moveResponse.ok) {
-          console.log(`   ✅ Successfully transferred to Genesis`);
-          transferredCount++;
-        } else {
-          const errorData = await moveResponse.json();
-          console.error(`   ❌ Failed:`, JSON.stringify(errorData, null, 2));
-        }
-      } catch (error) {
-        console.error(`   ❌ Error moving fulfillment order:`, error.message);
-      }
-    }
+  if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+    return res.status(400).json({ error: 'from and to must be valid dates' });
+  }
 
-    console.log(`🎉 SUCCESS: ${transferredCount}/${fulfillmentData.fulfillment_orders.length} fulfillment order(s) transferred to Genesis`);
-    console.log('=================================\n');
+  try {
+    const entries = await queryAudit({ orderNumber, from, to, outcome, action, limit });
 
-    res.status(200).json({ 
+    res.json({
       success: true,
-      message: 'Order transferred to Genesis for pickup',
-      fulfillmentOrdersTransferred: transferredCount,
-      orderId: order.id
+      entries,
+      count: entries.length
     });
-
   } catch (error) {
-    console.error('❌ Error:', error.message);
-    console.log('=================================\n');
-    res.status(500).json({ 
-      error: error.message 
-    });
+    console.error('❌ Audit log query failed:', error.message);
+    res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * Get recent pickup orders that need to be transferred back to Genesis
- * These are unfulfilled orders tagged with 'pickup-order' that are currently at Americana
+ * Live pickup queue changes as Server-Sent Events (see queue-events.js)
+ *
+ * GET /api/pickup-orders/events
+ * Events only say what changed - pages reload /api/pickup-orders for the details
+ */
+app.get('/api/pickup-orders/events', requireStaffLogin, (req, res) => {
+  addQueueClient(req, res);
+  console.log(`📡 ${req.staff.username} is following the pickup queue (${queueClientCount()} connected)`);
+
+  req.on('close', () => {
+    console.log(`📡 ${req.staff.username} stopped following the pickup queue (${queueClientCount()} connected)`);
+  });
+});
+
+/**
+ * Get recent pickup orders that need to be transferred back to their pickup location
+ * These are unfulfilled orders tagged with 'pickup-order' that are currently at a
+ * fulfilling warehouse (e.g. Americana) according to the routing table
+ *
+ * GET /api/pickup-orders?limit=50&pageInfo=<nextPageInfo from the previous page>
+ * Each call checks one page of Shopify orders - keep passing nextPageInfo until hasMore is false
  */
-app.get('/api/pickup-orders', async (req, res) => {
+app.get('/api/pickup-orders', requireStaffLogin, async (req, res) => {
+  // Capped at 100 to keep the query under Shopify's per-query cost limit
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+
   try {
-    console.log('🔍 Fetching recent pickup orders...');
+    console.log(`🔍 Fetching pickup orders${req.query.pageInfo ? ' (next page)' : ''}...`);
     
-    // Get recent unfulfilled orders with pickup-order tag
-    const ordersResponse = await fetch(
-      `https://${process.env.SHOPIFY_SHOP}/admin/api/2024-10/orders.json?status=unfulfilled&limit=50&tags=pickup-order`,
-      {
-        headers: {
-          'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-        },
-      }
+    // Get unfulfilled orders with pickup-order tag
+    const { orders, nextPageInfo } = await listOrders(
+      'tag:pickup-order AND status:open AND fulfillment_status:unfulfilled',
+      { first: limit, after: req.query.pageInfo || null }
     );
+    const errors = [];
 
-    if (!ordersResponse.ok) {
-      throw new Error(`Shopify API error: ${ordersResponse.status}`);
-    }
-
-    const ordersData = await ordersResponse.json();
-    const pickupOrders = [];
-
-    // For each order, check if it has fulfillment orders at Americana
-    for (const order of ordersData.orders || []) {
+    // For each order, check if it has fulfillment orders at a fulfilling warehouse
+    const checked = await mapWithConcurrency(orders, PICKUP_ORDERS_CONCURRENCY, async (order) => {
       try {
-        const fulfillmentOrdersResponse = await fetch(
-          `https://${process.env.SHOPIFY_SHOP}/admin/api/2024-10/orders/${order.id}/fulfillment_orders.json`,
-          {
-            headers: {
-              'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-            },
-          }
+        const fulfillmentOrders = await fetchFulfillmentOrders(order.id);
+
+        // Check if any open fulfillment orders are still at a fulfilling warehouse
+        const atWarehouse = fulfillmentOrders.find(fo => 
+          isFulfillingShopifyLocation(routingTable, fo.assigned_location_id) &&
+          fo.status === 'open'
         );
 
-        if (fulfillmentOrdersResponse.ok) {
-          const fulfillmentData = await fulfillmentOrdersResponse.json();
-          
-          // Check if any fulfillment orders are at Americana (not Genesis)
-          const atAmericana = fulfillmentData.fulfillment_orders?.some(fo => 
-            fo.assigned_location?.name && 
-            !fo.assigned_location.name.includes('Genesis') &&
-            fo.status === 'open'
-          );
-
-          if (atAmericana) {
-            pickupOrders.push({
-              id: order.id,
-              name: order.name,
-              orderNumber: order.name.replace('#', ''),
-              createdAt: order.created_at,
-              customerName: `${order.customer?.first_name || ''} ${order.customer?.last_name || ''}`.trim(),
-              totalPrice: order.total_price,
-              itemCount: order.line_items?.length || 0
-            });
-          }
+        if (!atWarehouse) {
+          return null;
         }
+
+        const pickupLocation = resolvePickupLocation(routingTable, order);
+        const stageRecord = getStageRecord(order.id);
+        const stage = stageRecord ? describeStage(stageRecord, pickupLocation) : null;
+
+        return {
+          id: order.id,
+          name: order.name,
+          orderNumber: order.name.replace('#', ''),
+          pickupLocation: pickupLocation.name,
+          currentLocation: atWarehouse.assigned_location?.name,
+          createdAt: order.created_at,
+          customerName: `${order.customer?.first_name || ''} ${order.customer?.last_name || ''}`.trim(),
+          totalPrice: order.total_price,
+          itemCount: order.item_quantity || 0,
+          stage: stage?.stage || null,
+          stageSince: stage?.since || null,
+          waitingHours: stage?.hours ?? null,
+          overdue: stage?.overdue || false
+        };
       } catch (error) {
         console.error(`Error checking order ${order.name}:`, error.message);
+        errors.push({ orderName: order.name, error: error.message });
+        return null;
       }
-    }
+    });
+
+    const pickupOrders = checked.filter(Boolean);
 
-    console.log(`✅ Found ${pickupOrders.length} pickup orders at Americana`);
+    console.log(`✅ Found ${pickupOrders.length} of ${orders.length} pickup orders waiting at a fulfilling warehouse${nextPageInfo ? ' (more pages)' : ''}`);
     
     res.json({ 
       success: true,
       orders: pickupOrders,
-      count: pickupOrders.length
+      count: pickupOrders.length,
+      ordersChecked: orders.length,
+      errors,
+      nextPageInfo,
+      hasMore: Boolean(nextPageInfo)
     });
     
   } catch (error) {
@@ -554,6 +2926,63 @@ app.get('/api/pickup-orders', async (req, res) => {
   }
 });
 
+/**
+ * Sign in with a username and PIN or password
+ *
+ * POST /auth/login
+ * Body: { "username": "maria", "secret": "4821" }
+ */
+app.post('/auth/login', (req, res) => {
+  let body;
+  try {
+    body = JSON.parse(req.body.toString());
+  } catch (error) {
+    return res.status(400).json({ error: 'Body must be JSON' });
+  }
+
+  const { user, error, status } = authenticateStaff(staff, body.username, body.secret, req.ip);
+
+  if (!user) {
+    console.warn(`🚫 Failed login for "${body.username}" from ${req.ip}`);
+    return res.status(status).json({ error });
+  }
+
+  const token = createSession(user);
+  console.log(`🔑 ${user.username} (${user.role}) signed in from ${req.ip}`);
+
+  res.set('Set-Cookie', sessionCookie(token, { crossSite: isCrossOrigin(req) }));
+  res.json({ success: true, user });
+});
+
+/**
+ * Sign out of this browser
+ */
+app.post('/auth/logout', (req, res) => {
+  destroySession(getSessionToken(req));
+  res.set('Set-Cookie', clearSessionCookie({ crossSite: isCrossOrigin(req) }));
+  res.json({ success: true });
+});
+
+/**
+ * Who is signed in
+ */
+app.get('/auth/me', (req, res) => {
+  const user = findSessionUser(staff, req);
+
+  if (!user) {
+    return res.status(401).json({ error: 'Login required' });
+  }
+
+  res.json({ success: true, user });
+});
+
+/**
+ * Staff login page
+ */
+app.get('/login', (req, res) => {
+  res.sendFile(path.join(PAGES_DIR, 'login.html'));
+});
+
 /**
  * Health check endpoint
  */
@@ -565,6 +2994,77 @@ app.get('/health', (req, res) => {
   });
 });
 
+/**
+ * Readiness check: are the Shopify and SkuSavvy credentials still good? (see health-checks.js)
+ * 200 when every dependency is up, 503 when any is down - /health only says the process is alive.
+ */
+app.get('/health/ready', async (req, res) => {
+  const { ready, dependencies } = await checkReadiness();
+
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'not-ready',
+    timestamp: new Date().toISOString(),
+    dependencies
+  });
+});
+
+/**
+ * Is this a metrics scrape we should answer? It needs Authorization: Bearer <METRICS_TOKEN>, or a
+ * signed-in staff member - queue depth and throughput are no more public than the dashboard.
+ */
+function isMetricsScrapeAllowed(req) {
+  const token = process.env.METRICS_TOKEN;
+
+  if (token) {
+    const expected = Buffer.from(`Bearer ${token}`);
+    const received = Buffer.from(req.get('Authorization') || '');
+
+    if (expected.length === received.length && crypto.timingSafeEqual(expected, received)) {
+      return true;
+    }
+  }
+
+  return Boolean(findSessionUser(staff, req));
+}
+
+/**
+ * Prometheus metrics (see service-metrics.js), with queue depth worked out at scrape time
+ * Dependency status is the last readiness check's - scraping doesn't call Shopify or SkuSavvy.
+ */
+app.get('/metrics', (req, res) => {
+  if (!isMetricsScrapeAllowed(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const jobs = ['pending', 'processing', 'dead'].flatMap(status => {
+    const counts = listJobs({ status })
+      .filter(job => !job.payload?.dryRun)
+      .reduce((byType, job) => ({ ...byType, [job.type]: (byType[job.type] || 0) + 1 }), {});
+    return Object.entries(counts).map(([type, value]) => ({ labels: { type, status }, value }));
+  });
+  const stages = describeOpenStages();
+  const dependencies = lastDependencyStatus();
+
+  res.type('text/plain; version=0.0.4; charset=utf-8').send(renderMetrics([
+    { name: 'pickup_jobs', help: 'Background jobs by type and status (pending, processing, dead)', values: jobs },
+    { name: 'pickup_orders_held', help: 'Pickup orders held for staff', values: [{ value: listExceptions().length }] },
+    {
+      name: 'pickup_orders_by_stage',
+      help: 'Tracked pickup orders by the stage they are in',
+      // Picked-up orders aren't tracked any more, so that stage would always be empty
+      values: STAGES.filter(stage => stage !== 'picked-up').map(stage => ({ labels: { stage }, value: stages.filter(order => order.stage === stage).length }))
+    },
+    { name: 'pickup_orders_overdue', help: 'Pickup orders past their current stage SLA', values: [{ value: stages.filter(order => order.overdue).length }] },
+    { name: 'pickup_queue_clients', help: 'Staff pages following the live pickup queue', values: [{ value: queueClientCount() }] },
+    {
+      name: 'pickup_dependency_up',
+      help: 'Whether the last readiness check reached the dependency (1) or not (0)',
+      values: Object.entries(dependencies).map(([dependency, result]) => ({ labels: { dependency }, value: result.status === 'up' ? 1 : 0 }))
+    },
+    { name: 'process_uptime_seconds', help: 'Seconds since the server started', values: [{ value: Math.round(process.uptime()) }] }
+  ]));
+});
+
 /**
  * Root endpoint
  */
@@ -574,9 +3074,27 @@ app.get('/', (req, res) => {
     status: 'running',
     endpoints: {
       health: '/health',
-      webhook: '/webhooks/orders/create',
+      readiness: '/health/ready',
+      prometheus: '/metrics',
+      webhooks: [
+        '/webhooks/orders/create',
+        '/webhooks/orders/updated',
+        '/webhooks/orders/edited',
+        '/webhooks/orders/cancelled'
+      ],
+      login: '/login',
       reassignInterface: '/reassign',
-      debugOrder: '/api/debug-order'
+      pickupInterface: '/pickup',
+      dashboard: '/dashboard',
+      metrics: '/api/metrics',
+      sla: '/api/sla',
+      debugOrder: '/api/debug-order',
+      deadLetter: '/api/dead-letter',
+      exceptions: '/api/exceptions',
+      transfers: '/api/transfers',
+      audit: '/api/audit',
+      reconcile: '/api/reconcile',
+      explainPickupRules: '/api/pickup-rules/explain'
     }
   });
 });
@@ -584,354 +3102,22 @@ app.get('/', (req, res) => {
 /**
  * Serve the HTML interface for reassigning to Genesis
  */
-app.get('/reassign', (req, res) => {
-  res.send(`<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Send to Genesis for Pickup</title>
-    <style>
-        * {
-            margin: 0;
-            padding: 0;
-            box-sizing: border-box;
-        }
-
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            min-height: 100vh;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            padding: 20px;
-        }
-
-        .container {
-            background: white;
-            border-radius: 20px;
-            box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
-            padding: 40px;
-            max-width: 500px;
-            width: 100%;
-        }
-
-        h1 {
-            color: #333;
-            margin-bottom: 10px;
-            font-size: 28px;
-        }
-
-        .subtitle {
-            color: #666;
-            margin-bottom: 30px;
-            font-size: 14px;
-        }
-
-        .input-group {
-            margin-bottom: 20px;
-        }
-
-        label {
-            display: block;
-            color: #555;
-            font-weight: 600;
-            margin-bottom: 8px;
-            font-size: 14px;
-        }
-
-        select, input {
-            width: 100%;
-            padding: 15px;
-            border: 2px solid #e0e0e0;
-            border-radius: 10px;
-            font-size: 16px;
-            transition: border-color 0.3s;
-            background: white;
-        }
-
-        select:focus, input:focus {
-            outline: none;
-            border-color: #667eea;
-        }
-
-        .loading-orders {
-            color: #999;
-            font-style: italic;
-            padding: 15px;
-            text-align: center;
-        }
-
-        .no-orders {
-            color: #f39c12;
-            padding: 15px;
-            text-align: center;
-            background: #fff3cd;
-            border: 1px solid #ffeeba;
-            border-radius: 10px;
-            margin-bottom: 20px;
-        }
-
-        .manual-entry-link {
-            text-align: center;
-            margin-top: 15px;
-        }
-
-        .manual-entry-link a {
-            color: #667eea;
-            text-decoration: none;
-            font-size: 14px;
-        }
-
-        .manual-entry-link a:hover {
-            text-decoration: underline;
-        }
-
-        button {
-            width: 100%;
-            padding: 15px;
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            color: white;
-            border: none;
-            border-radius: 10px;
-            font-size: 16px;
-            font-weight: 600;
-            cursor: pointer;
-            transition: transform 0.2s, box-shadow 0.2s;
-        }
-
-        button:hover {
-            transform: translateY(-2px);
-            box-shadow: 0 10px 20px rgba(102, 126, 234, 0.4);
-        }
-
-        button:active {
-            transform: translateY(0);
-        }
-
-        button:disabled {
-            background: #ccc;
-            cursor: not-allowed;
-            transform: none;
-        }
-
-        .status {
-            margin-top: 20px;
-            padding: 15px;
-            border-radius: 10px;
-            font-size: 14px;
-            display: none;
-        }
-
-        .status.success {
-            background: #d4edda;
-            color: #155724;
-            border: 1px solid #c3e6cb;
-            display: block;
-        }
-
-        .status.error {
-            background: #f8d7da;
-            color: #721c24;
-            border: 1px solid #f5c6cb;
-            display: block;
-        }
-
-        .status.loading {
-            background: #d1ecf1;
-            color: #0c5460;
-            border: 1px solid #bee5eb;
-            display: block;
-        }
-
-        .example {
-            color: #999;
-            font-size: 12px;
-            margin-top: 5px;
-        }
-
-        .emoji {
-            font-size: 48px;
-            text-align: center;
-            margin-bottom: 20px;
-        }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="emoji">📦 → 🏪</div>
-        <h1>Send to Genesis for Pickup</h1>
-        <p class="subtitle">After packing at Americana, use this to prepare order for customer pickup</p>
-
-        <form id="reassignForm">
-            <div class="input-group" id="orderSelectGroup">
-                <label for="orderSelect">Select Order to Transfer</label>
-                <select id="orderSelect" required>
-                    <option value="">Loading orders...</option>
-                </select>
-                <div class="example">Select a pickup order currently at Americana</div>
-            </div>
-
-            <div class="input-group" id="orderInputGroup" style="display: none;">
-                <label for="orderNumber">Order Number</label>
-                <input 
-                    type="text" 
-                    id="orderNumber" 
-                    placeholder="APA411542"
-                >
-                <div class="example">Example: APA411542 or #APA411542</div>
-            </div>
-
-            <button type="submit" id="submitBtn">
-                🚀 Transfer to Genesis
-            </button>
-
-            <div class="manual-entry-link">
-                <a href="#" id="toggleManualEntry">Enter order number manually</a>
-            </div>
-        </form>
-
-        <div id="status" class="status"></div>
-    </div>
-
-    <script>
-        // API URL is same origin since we're serving from the same server
-        const API_URL = '/api/reassign-to-genesis';
-        const ORDERS_API_URL = '/api/pickup-orders';
-
-        const form = document.getElementById('reassignForm');
-        const orderSelect = document.getElementById('orderSelect');
-        const orderInput = document.getElementById('orderNumber');
-        const orderSelectGroup = document.getElementById('orderSelectGroup');
-        const orderInputGroup = document.getElementById('orderInputGroup');
-        const submitBtn = document.getElementById('submitBtn');
-        const status = document.getElementById('status');
-        const toggleManualEntry = document.getElementById('toggleManualEntry');
-        
-        let useManualEntry = false;
-        let ordersData = [];
-
-        // Load pickup orders on page load
-        async function loadPickupOrders() {
-            try {
-                const response = await fetch(ORDERS_API_URL);
-                const data = await response.json();
-                
-                if (data.success && data.orders.length > 0) {
-                    ordersData = data.orders;
-                    
-                    // Populate dropdown
-                    orderSelect.innerHTML = '<option value="">-- Select an order --</option>';
-                    data.orders.forEach(order => {
-                        const option = document.createElement('option');
-                        option.value = order.orderNumber;
-                        option.textContent = \`\${order.name} - \${order.customerName || 'Customer'} (\${order.itemCount} item\${order.itemCount !== 1 ? 's' : ''})\`;
-                        orderSelect.appendChild(option);
-                    });
-                } else {
-                    orderSelect.innerHTML = '<option value="">No orders need transfer</option>';
-                    const noOrdersMsg = document.createElement('div');
-                    noOrdersMsg.className = 'no-orders';
-                    noOrdersMsg.textContent = '✅ All pickup orders are already at Genesis! Nothing to transfer right now.';
-                    orderSelectGroup.insertBefore(noOrdersMsg, orderSelect);
-                }
-            } catch (error) {
-                console.error('Error loading orders:', error);
-                orderSelect.innerHTML = '<option value="">Error loading orders</option>';
-                showStatus('error', \`❌ Could not load orders: \${error.message}\`);
-            }
-        }
-
-        // Toggle between dropdown and manual entry
-        toggleManualEntry.addEventListener('click', (e) => {
-            e.preventDefault();
-            useManualEntry = !useManualEntry;
-            
-            if (useManualEntry) {
-                orderSelectGroup.style.display = 'none';
-                orderInputGroup.style.display = 'block';
-                toggleManualEntry.textContent = 'Select from list instead';
-                orderInput.required = true;
-                orderSelect.required = false;
-                orderInput.focus();
-            } else {
-                orderSelectGroup.style.display = 'block';
-                orderInputGroup.style.display = 'none';
-                toggleManualEntry.textContent = 'Enter order number manually';
-                orderInput.required = false;
-                orderSelect.required = true;
-                orderSelect.focus();
-            }
-        });
-
-        form.addEventListener('submit', async (e) => {
-            e.preventDefault();
-            
-            const orderNumber = useManualEntry ? 
-                orderInput.value.trim() : 
-                orderSelect.value;
-            
-            if (!orderNumber) {
-                showStatus('error', '❌ Please select or enter an order number');
-                return;
-            }
-
-            // Disable button and show loading
-            submitBtn.disabled = true;
-            submitBtn.textContent = '⏳ Transferring...';
-            showStatus('loading', '🔄 Moving order to Genesis...');
-
-            try {
-                const response = await fetch(API_URL, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                    },
-                    body: JSON.stringify({ orderNumber })
-                });
-
-                const data = await response.json();
-
-                if (response.ok && data.success) {
-                    showStatus('success', \`✅ Success! Order transferred to Genesis. You can now print pickup label in SkuSavvy!\`);
-                    
-                    // Clear and reload
-                    orderInput.value = '';
-                    orderSelect.value = '';
-                    
-                    // Reload orders after 2 seconds
-                    setTimeout(() => {
-                        loadPickupOrders();
-                    }, 2000);
-                    
-                    // Auto-hide success message after 10 seconds
-                    setTimeout(() => {
-                        status.style.display = 'none';
-                    }, 10000);
-                } else {
-                    showStatus('error', \`❌ Error: \${data.error || 'Failed to transfer order'}. \${data.details || ''}\`);
-                }
-            } catch (error) {
-                showStatus('error', \`❌ Network error: \${error.message}. Make sure the server is running!\`);
-            } finally {
-                // Re-enable button
-                submitBtn.disabled = false;
-                submitBtn.textContent = '🚀 Transfer to Genesis';
-            }
-        });
+app.get('/reassign', requireStaff(staff, 'staff', { page: true }), (req, res) => {
+  res.sendFile(path.join(PAGES_DIR, 'reassign.html'));
+});
 
-        function showStatus(type, message) {
-            status.className = \`status \${type}\`;
-            status.textContent = message;
-            status.style.display = 'block';
-        }
+/**
+ * Serve the HTML interface for handing orders over at the pickup counter
+ */
+app.get('/pickup', requireStaff(staff, 'staff', { page: true }), (req, res) => {
+  res.sendFile(path.join(PAGES_DIR, 'pickup.html'));
+});
 
-        // Load orders on page load
-        loadPickupOrders();
-    </script>
-</body>
-</html>`);
+/**
+ * Operations dashboard: pickup throughput, failures and the queue, by date range
+ */
+app.get('/dashboard', requireStaff(staff, 'staff', { page: true }), (req, res) => {
+  res.sendFile(path.join(PAGES_DIR, 'dashboard.html'));
 });
 
 // Start server
@@ -941,10 +3127,97 @@ app.listen(PORT, () => {
   console.log('=================================');
   console.log(`✓ Server running on port ${PORT}`);
   console.log(`✓ Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`✓ Shop: ${process.env.SHOPIFY_SHOP}`);
-  console.log(`✓ Americana Warehouse: ${process.env.AMERICANA_WAREHOUSE_ID}`);
-  console.log(`✓ Genesis Warehouse: ${process.env.GENESIS_WAREHOUSE_ID}`);
-  console.log(`✓ Genesis Location: ${process.env.GENESIS_LOCATION_ID}`);
+  console.log(`✓ Shop: ${process.env.SHOPIFY_SHOP} (Admin API ${getShopifyApiVersion()})`);
+  console.log(`✓ Routing table: ${routingTable.source}`);
+  for (const location of routingTable.pickupLocations) {
+    console.log(`   ${location.name} (location ${location.shopifyLocationId}, warehouse ${location.skuSavvyWarehouseId}) ← packed at ${location.fulfillingWarehouse.name} (location ${location.fulfillingWarehouse.shopifyLocationId || 'not set'}, warehouse ${location.fulfillingWarehouse.skuSavvyWarehouseId})`);
+    if (!location.fulfillingWarehouse.shopifyLocationId) {
+      console.warn(`   ⚠️  No Shopify location ID for ${location.fulfillingWarehouse.name}${routingTable.source === 'environment variables' ? ' (AMERICANA_LOCATION_ID)' : ''} - its stock isn't checked before reassigning`);
+    }
+  }
   console.log(`✓ SkuSavvy Endpoint: ${process.env.SKUSAVVY_GRAPHQL_ENDPOINT}`);
+  console.log(`✓ Pickup rules: ${PICKUP_RULES_FILE} (${pickupRules.include.length} include, ${pickupRules.exclude.length} exclude)`);
+  if (isGlobalDryRun()) {
+    console.log('🧪 DRY RUN: nothing will be changed in Shopify or SkuSavvy (DRY_RUN=true)');
+  }
+  console.log(`${staff.users.length > 0 ? '✓' : '✗'} Staff users: ${staff.source ? `${staff.source} (${staff.users.length})` : `${STAFF_USERS_FILE} not found - nobody can sign in`}`);
+  if (getAllowedOrigins().length > 0) {
+    console.log(`✓ CORS allowed origins: ${getAllowedOrigins().join(', ')}`);
+  }
+  const stockLocations = routingTable.pickupLocations.filter(location => location.useStockAtPickup);
+  if (stockLocations.length > 0) {
+    console.log(`✓ Hand over shelf stock at: ${stockLocations.map(location => location.name).join(', ')}`);
+  }
+  console.log(`${isStatusWriteBackOn() ? '✓' : '✗'} Status write-back to Shopify: ${isStatusWriteBackOn() ? `tags, order note and ${STATUS_METAFIELD.namespace}.${STATUS_METAFIELD.key} metafield` : 'off (WRITE_BACK_STATUS=false)'}`);
+  console.log(`${isWarehouseStockCheckOn() ? '✓' : '✗'} Warehouse stock check: ${isWarehouseStockCheckOn() ? `short orders are held and tagged ${NEEDS_ATTENTION_TAG}` : 'off (CHECK_WAREHOUSE_STOCK=false)'}`);
+  console.log(`✓ Ready-for-pickup notifications: ${routingTable.pickupLocations.map(location => `${location.name} ${getNotifyMethod(location)}`).join(', ')}`);
+  if (routingTable.pickupLocations.some(location => getNotifyMethod(location) === 'email') && !process.env.SMTP_HOST) {
+    console.log('✗ SMTP_HOST is not set - ready-for-pickup emails will fail');
+  }
+  const slaMinutes = parseFloat(process.env.SLA_CHECK_INTERVAL_MINUTES || '15');
+  const alertProblems = validateAlertChannels();
+  console.log(`${slaMinutes > 0 ? '✓' : '✗'} Pickup SLA check: ${slaMinutes > 0 ? `every ${slaMinutes} min, alerts by ${getAlertChannels().join(', ') || 'nothing (ALERT_CHANNELS not set)'}` : 'off (SLA_CHECK_INTERVAL_MINUTES=0)'}`);
+  alertProblems.forEach(problem => console.log(`✗ ${problem}`));
+  console.log(`${process.env.METRICS_TOKEN ? '✓' : '✗'} Metrics: /metrics ${process.env.METRICS_TOKEN ? 'needs METRICS_TOKEN or a staff login' : 'needs a staff login (set METRICS_TOKEN for Prometheus)'}, readiness at /health/ready`);
+  console.log(`${getWebhookSecrets().length > 0 ? '✓' : '✗'} Webhook secret: ${getWebhookSecrets().length > 0 ? 'Set' : 'Missing - all webhooks will be rejected'}`);
   console.log('=================================\n');
+
+  startJobWorker({ pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS || '1000') });
+
+  // Scheduled reconciliation - only fixes drift when RECONCILE_AUTO_FIX=true
+  const reconcileMinutes = parseFloat(process.env.RECONCILE_INTERVAL_MINUTES || '60');
+  if (reconcileMinutes > 0) {
+    setInterval(() => {
+      runReconciliation({
+        dryRun: process.env.RECONCILE_AUTO_FIX !== 'true',
+        lookbackDays: parseFloat(process.env.RECONCILE_LOOKBACK_DAYS || '7'),
+        triggeredBy: 'schedule:reconcile'
+      }).catch(error => console.error('❌ Scheduled reconciliation failed:', error.message));
+    }, reconcileMinutes * 60 * 1000);
+  }
+
+  // Flag orders sitting too long in a stage
+  if (slaMinutes > 0) {
+    setInterval(() => {
+      try {
+        checkPickupSla();
+      } catch (error) {
+        console.error('❌ Scheduled SLA check failed:', error.message);
+      }
+    }, slaMinutes * 60 * 1000);
+  }
+
+  // Drop webhook IDs and order states that are past the retention window
+  pruneLedger();
+  setInterval(pruneLedger, 60 * 60 * 1000);
+
+  // Drop transfers that are long past the undo window (the audit log keeps them)
+  pruneTransfers();
+  setInterval(pruneTransfers, 60 * 60 * 1000);
+
+  pruneNotifications();
+  setInterval(pruneNotifications, 60 * 60 * 1000);
+
+  prunePickups();
+  setInterval(prunePickups, 60 * 60 * 1000);
+
+  pruneExceptions();
+  setInterval(pruneExceptions, 60 * 60 * 1000);
+
+  pruneStages();
+  setInterval(pruneStages, 60 * 60 * 1000);
+
+  // Drop audit entries older than AUDIT_RETENTION_DAYS
+  const pruneAuditLog = async () => {
+    try {
+      const removed = await pruneAudit();
+      if (removed > 0) {
+        console.log(`🧹 Removed ${removed} audit log entries past AUDIT_RETENTION_DAYS`);
+      }
+    } catch (error) {
+      console.error('❌ Audit log pruning failed:', error.message);
+    }
+  };
+  pruneAuditLog();
+  setInterval(pruneAuditLog, 60 * 60 * 1000);
 });
\ No newline at end of file
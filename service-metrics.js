@@ -0,0 +1,121 @@
+/**
+ * Service metrics in the Prometheus text format, for GET /metrics
+ *
+ * Counted as they happen, since the last restart:
+ *   pickup_webhooks_total{topic, outcome} - Shopify webhooks, see WEBHOOK_OUTCOMES
+ *   pickup_api_requests_total{api, operation, outcome} - each HTTP request to Shopify or SkuSavvy
+ *                                                        (retries count again), outcome 'success' or 'error'
+ *   pickup_api_request_duration_seconds{api, operation} - how long those requests took (histogram)
+ *
+ * Gauges (queue depth and the like) are worked out when /metrics is scraped and passed to renderMetrics.
+ */
+
+// queued - pickup work queued; processed - handled with nothing to queue (e.g. cancelled);
+// skipped - not a pickup order, or nothing to do; duplicate - redelivery or already handled;
+// dry-run; ignored - topic with no handler; failed - the handler threw; rejected - bad signature
+export const WEBHOOK_OUTCOMES = ['queued', 'processed', 'skipped', 'duplicate', 'dry-run', 'ignored', 'failed', 'rejected'];
+
+// Seconds - Shopify usually answers well under a second, SkuSavvy mutations can take several
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const definitions = {
+  pickup_webhooks_total: { type: 'counter', help: 'Shopify webhooks received, by topic and outcome' },
+  pickup_api_requests_total: { type: 'counter', help: 'HTTP requests to Shopify and SkuSavvy, by operation and outcome' },
+  pickup_api_request_duration_seconds: { type: 'histogram', help: 'Time taken by HTTP requests to Shopify and SkuSavvy', buckets: DURATION_BUCKETS },
+};
+
+// metric name -> label set key -> { labels, value } (counters) or { labels, buckets, sum, count } (histograms)
+const series = new Map(Object.keys(definitions).map(name => [name, new Map()]));
+
+function seriesFor(name, labels, create) {
+  const key = JSON.stringify(labels);
+  const all = series.get(name);
+
+  if (!all.has(key)) {
+    all.set(key, { labels, ...create() });
+  }
+  return all.get(key);
+}
+
+/**
+ * Add to a counter
+ */
+export function incrementCounter(name, labels = {}, by = 1) {
+  seriesFor(name, labels, () => ({ value: 0 })).value += by;
+}
+
+/**
+ * Record one observation in a histogram
+ */
+export function observeHistogram(name, labels, value) {
+  const { buckets } = definitions[name];
+  const entry = seriesFor(name, labels, () => ({ buckets: buckets.map(() => 0), sum: 0, count: 0 }));
+
+  buckets.forEach((bound, index) => {
+    if (value <= bound) {
+      entry.buckets[index]++;
+    }
+  });
+  entry.sum += value;
+  entry.count++;
+}
+
+/**
+ * Count a request to Shopify or SkuSavvy that started at startedAt (performance.now())
+ */
+export function recordApiRequest(api, operation, startedAt, outcome) {
+  incrementCounter('pickup_api_requests_total', { api, operation, outcome });
+  observeHistogram('pickup_api_request_duration_seconds', { api, operation }, (performance.now() - startedAt) / 1000);
+}
+
+/**
+ * Count a webhook by topic and outcome (one of WEBHOOK_OUTCOMES)
+ */
+export function countWebhook(topic, outcome) {
+  incrementCounter('pickup_webhooks_total', { topic: topic || 'unknown', outcome });
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  return Number.isFinite(value) ? String(value) : (value > 0 ? '+Inf' : value < 0 ? '-Inf' : 'NaN');
+}
+
+/**
+ * Every metric in the Prometheus text format
+ * gauges - [{ name, help, values: [{ labels, value }] }] worked out by the caller at scrape time
+ */
+export function renderMetrics(gauges = []) {
+  const lines = [];
+
+  for (const [name, definition] of Object.entries(definitions)) {
+    lines.push(`# HELP ${name} ${definition.help}`, `# TYPE ${name} ${definition.type}`);
+
+    for (const entry of series.get(name).values()) {
+      if (definition.type === 'histogram') {
+        definition.buckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: bound })} ${entry.buckets[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+        lines.push(`${name}_sum${formatLabels(entry.labels)} ${formatValue(entry.sum)}`);
+        lines.push(`${name}_count${formatLabels(entry.labels)} ${entry.count}`);
+      } else {
+        lines.push(`${name}${formatLabels(entry.labels)} ${formatValue(entry.value)}`);
+      }
+    }
+  }
+
+  for (const gauge of gauges) {
+    lines.push(`# HELP ${gauge.name} ${gauge.help}`, `# TYPE ${gauge.name} gauge`);
+    gauge.values.forEach(({ labels = {}, value }) => lines.push(`${gauge.name}${formatLabels(labels)} ${formatValue(value)}`));
+  }
+
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,890 @@
+import { recordApiRequest } from './service-metrics.js';
+
+/**
+ * Shared Shopify Admin GraphQL client
+ *
+ * Every Shopify call goes through here so the whole process shares one view of
+ * the API rate limit. GraphQL is rate limited by query cost: each shop has a
+ * bucket of points (e.g. 2000) that refills at a restore rate (e.g. 100/s),
+ * and every response reports where it stands in extensions.cost.throttleStatus.
+ * A query that costs more than what's left comes back THROTTLED.
+ *
+ * Results are mapped to the same shape as the REST resources and webhook
+ * payloads (snake_case fields, numeric IDs), so orders look the same to pickup
+ * detection whether they came from a webhook or from here.
+ */
+
+const DEFAULT_API_VERSION = '2024-10';
+
+// Cost we assume for an operation we haven't seen yet
+const DEFAULT_QUERY_COST = 50;
+
+const bucket = {
+  available: 1000,
+  maximum: 1000,
+  restoreRate: 50,
+  updatedAt: Date.now(),
+};
+
+// Points reserved by requests that haven't answered yet
+let inFlightCost = 0;
+
+// Requested cost of each operation the last time it ran
+const operationCosts = new Map();
+
+/**
+ * Error from Shopify, with the HTTP status (when there is one) and the error details
+ */
+export class ShopifyApiError extends Error {
+  constructor(message, status, body) {
+    super(message);
+    this.name = 'ShopifyApiError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/**
+ * Admin API version used for every call, e.g. 2024-10
+ */
+export function getShopifyApiVersion() {
+  return process.env.SHOPIFY_API_VERSION || DEFAULT_API_VERSION;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function getMaxRetries() {
+  return parseInt(process.env.SHOPIFY_MAX_RETRIES || '4');
+}
+
+/**
+ * Refill the bucket for the time that has passed since we last looked at it
+ */
+function restoreBucket() {
+  const now = Date.now();
+
+  bucket.available = Math.min(bucket.maximum, bucket.available + ((now - bucket.updatedAt) / 1000) * bucket.restoreRate);
+  bucket.updatedAt = now;
+}
+
+/**
+ * Wait until the bucket has enough points for this query, then reserve them
+ */
+async function takeBudget(cost) {
+  for (;;) {
+    restoreBucket();
+
+    if (bucket.available >= cost) {
+      bucket.available -= cost;
+      inFlightCost += cost;
+      return;
+    }
+
+    await sleep(((cost - bucket.available) / bucket.restoreRate) * 1000);
+  }
+}
+
+/**
+ * Update the bucket from a response's throttleStatus
+ * Shopify's count already includes finished requests, so only subtract what is still in flight
+ */
+function updateBucket(throttleStatus) {
+  if (!throttleStatus) {
+    return;
+  }
+
+  bucket.maximum = throttleStatus.maximumAvailable;
+  bucket.restoreRate = throttleStatus.restoreRate;
+  bucket.available = throttleStatus.currentlyAvailable - inFlightCost;
+  bucket.updatedAt = Date.now();
+}
+
+/**
+ * Current rate-limit view, for logging and health checks
+ */
+export function getShopifyBucket() {
+  restoreBucket();
+  return { available: Math.floor(bucket.available), maximum: bucket.maximum, restoreRate: bucket.restoreRate };
+}
+
+/**
+ * How long to wait before retrying: Retry-After when Shopify sends it,
+ * otherwise exponential backoff from one second
+ */
+function retryDelayMs(response, attempt) {
+  const retryAfter = parseFloat(response?.headers.get('Retry-After'));
+
+  if (!isNaN(retryAfter)) {
+    return retryAfter * 1000;
+  }
+
+  return Math.min(1000 * 2 ** (attempt - 1), 30000);
+}
+
+function operationName(query) {
+  return query.match(/\b(?:query|mutation)\s+(\w+)/)?.[1] || 'anonymous';
+}
+
+/**
+ * Run a GraphQL query or mutation against the Admin API and return its data
+ *
+ * Waits for rate-limit budget, retries THROTTLED, 429 and 5xx answers, and
+ * throws ShopifyApiError when Shopify still answers with an error
+ */
+export async function shopifyGraphql(query, variables = {}) {
+  const operation = operationName(query);
+  const maxRetries = getMaxRetries();
+
+  for (let attempt = 1; ; attempt++) {
+    const cost = operationCosts.get(operation) || DEFAULT_QUERY_COST;
+    await takeBudget(cost);
+
+    const startedAt = performance.now();
+    let response;
+    let result;
+    try {
+      response = await fetch(
+        `https://${process.env.SHOPIFY_SHOP}/admin/api/${getShopifyApiVersion()}/graphql.json`,
+        {
+          method: 'POST',
+          headers: {
+            'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ query, variables }),
+        }
+      );
+      result = response.ok ? await response.json() : null;
+    } catch (error) {
+      recordApiRequest('shopify', operation, startedAt, 'error');
+      throw error;
+    } finally {
+      inFlightCost -= cost;
+    }
+
+    recordApiRequest('shopify', operation, startedAt, response.ok && !result.errors ? 'success' : 'error');
+
+    const throttled = result?.errors?.some(error => error.extensions?.code === 'THROTTLED');
+
+    if (result?.extensions?.cost) {
+      operationCosts.set(operation, result.extensions.cost.requestedQueryCost);
+      updateBucket(result.extensions.cost.throttleStatus);
+    }
+
+    if (response.ok && !result.errors) {
+      return result.data;
+    }
+
+    const retryable = throttled || response.status === 429 || response.status >= 500;
+
+    if (retryable && attempt <= maxRetries) {
+      // THROTTLED means "wait until the bucket has room for this query", not a fixed backoff
+      const delayMs = throttled ?
+        Math.max(0, (operationCosts.get(operation) - bucket.available) / bucket.restoreRate) * 1000 :
+        retryDelayMs(response, attempt);
+
+      console.warn(`⏳ Shopify ${throttled ? 'THROTTLED' : response.status} on ${operation}, retrying in ${(delayMs / 1000).toFixed(1)}s (${attempt}/${maxRetries})`);
+      await sleep(delayMs);
+      continue;
+    }
+
+    if (!response.ok) {
+      let body = null;
+      try {
+        body = await response.json();
+      } catch (error) {
+        // Not JSON - the status code is all we have
+      }
+      throw new ShopifyApiError(`Shopify API error: ${response.status} on ${operation}`, response.status, body);
+    }
+
+    throw new ShopifyApiError(
+      `Shopify GraphQL error on ${operation}: ${result.errors.map(error => error.message).join('; ')}`,
+      response.status,
+      { errors: result.errors }
+    );
+  }
+}
+
+/**
+ * Global ID for a numeric REST ID, e.g. toGid('Order', 5800000000001)
+ */
+export function toGid(type, id) {
+  return String(id).startsWith('gid://') ? String(id) : `gid://shopify/${type}/${id}`;
+}
+
+/**
+ * Numeric REST ID from a global ID, e.g. gid://shopify/Order/5800000000001 → 5800000000001
+ */
+export function fromGid(gid) {
+  return gid ? Number(String(gid).split('/').pop().split('?')[0]) : null;
+}
+
+// Shopify returns enums in capitals, REST and webhooks use lower snake_case
+function lowerEnum(value) {
+  return value ? String(value).toLowerCase() : null;
+}
+
+const FULFILLMENT_STATUSES = {
+  UNFULFILLED: null,
+  FULFILLED: 'fulfilled',
+  PARTIALLY_FULFILLED: 'partial',
+  RESTOCKED: 'restocked',
+};
+
+const ORDER_SUMMARY_FIELDS = `
+  id
+  name
+  email
+  createdAt
+  cancelledAt
+  closedAt
+  tags
+  displayFulfillmentStatus
+  displayFinancialStatus
+  subtotalLineItemsQuantity
+  totalPriceSet { shopMoney { amount } }
+  customer { firstName lastName }
+  retailLocation { id }
+  shippingLines(first: 5) {
+    nodes { code title deliveryCategory }
+  }
+`;
+
+const ORDER_FIELDS = `
+  ${ORDER_SUMMARY_FIELDS}
+  lineItems(first: 100) {
+    nodes { id title sku quantity variant { id } }
+    pageInfo { hasNextPage }
+  }
+`;
+
+const FULFILLMENT_ORDER_FIELDS = `
+  id
+  status
+  assignedLocation { name location { id } }
+  deliveryMethod { methodType }
+  lineItems(first: 50) {
+    nodes { id totalQuantity remainingQuantity lineItem { id variant { id } } }
+    pageInfo { hasNextPage }
+  }
+`;
+
+/**
+ * Throw rather than carry on with part of a list: a line item left out of one page
+ * would be left out of the routing and the stock check without anyone noticing
+ */
+function requireWholeList(connection, what) {
+  if (connection?.pageInfo?.hasNextPage) {
+    throw new ShopifyApiError(`${what} has more than one page of results, too many to handle`);
+  }
+}
+
+/**
+ * GraphQL Order → the REST/webhook order shape
+ * List queries leave out line items to stay under Shopify's query cost limit;
+ * item_quantity (total units) is always there.
+ */
+function mapOrder(node) {
+  if (!node) {
+    return null;
+  }
+
+  requireWholeList(node.lineItems, `Order ${node.name} line items`);
+
+  return {
+    id: fromGid(node.id),
+    admin_graphql_api_id: node.id,
+    name: node.name,
+    email: node.email ?? null,
+    // REST's order_number is the number in the name without prefix (#APA411542 → 411542)
+    order_number: parseInt(String(node.name).replace(/\D/g, '')) || null,
+    created_at: node.createdAt,
+    cancelled_at: node.cancelledAt || null,
+    closed_at: node.closedAt || null,
+    tags: (node.tags || []).join(', '),
+    fulfillment_status: FULFILLMENT_STATUSES[node.displayFulfillmentStatus] !== undefined ?
+      FULFILLMENT_STATUSES[node.displayFulfillmentStatus] :
+      lowerEnum(node.displayFulfillmentStatus),
+    financial_status: lowerEnum(node.displayFinancialStatus),
+    total_price: node.totalPriceSet?.shopMoney?.amount ?? null,
+    item_quantity: node.subtotalLineItemsQuantity ?? null,
+    customer: node.customer ? {
+      first_name: node.customer.firstName,
+      last_name: node.customer.lastName,
+    } : null,
+    location_id: fromGid(node.retailLocation?.id),
+    shipping_lines: (node.shippingLines?.nodes || []).map(line => ({
+      code: line.code,
+      title: line.title,
+      delivery_category: line.deliveryCategory,
+    })),
+    ...(node.lineItems ? {
+      line_items: node.lineItems.nodes.map(item => ({
+        id: fromGid(item.id),
+        title: item.title,
+        sku: item.sku,
+        quantity: item.quantity,
+        variant_id: fromGid(item.variant?.id),
+      })),
+    } : {}),
+  };
+}
+
+/**
+ * GraphQL FulfillmentOrder → the REST fulfillment order shape
+ */
+function mapFulfillmentOrder(node) {
+  if (!node) {
+    return null;
+  }
+
+  requireWholeList(node.lineItems, `Fulfillment order ${fromGid(node.id)} line items`);
+
+  return {
+    id: fromGid(node.id),
+    status: lowerEnum(node.status),
+    assigned_location_id: fromGid(node.assignedLocation?.location?.id),
+    assigned_location: { name: node.assignedLocation?.name || null },
+    delivery_method: { method_type: lowerEnum(node.deliveryMethod?.methodType) },
+    line_items: (node.lineItems?.nodes || []).map(item => ({
+      id: fromGid(item.id),
+      line_item_id: fromGid(item.lineItem?.id),
+      quantity: item.totalQuantity,
+      fulfillable_quantity: item.remainingQuantity,
+      variant_id: fromGid(item.lineItem?.variant?.id),
+    })),
+  };
+}
+
+const FIND_ORDER_BY_NAME_QUERY = `
+  query FindOrderByName($query: String!) {
+    orders(first: 1, query: $query) {
+      nodes { ${ORDER_FIELDS} }
+    }
+  }
+`;
+
+/**
+ * Look up an order by its name (e.g. #APA411542), whatever its status, or null
+ */
+export async function findOrderByName(orderName) {
+  const data = await shopifyGraphql(FIND_ORDER_BY_NAME_QUERY, {
+    query: `name:${JSON.stringify(orderName)} status:any`,
+  });
+
+  return mapOrder(data.orders.nodes[0]);
+}
+
+const GET_ORDER_QUERY = `
+  query GetOrder($id: ID!) {
+    order(id: $id) { ${ORDER_FIELDS} }
+  }
+`;
+
+/**
+ * Load an order by ID, or null if it doesn't exist
+ */
+export async function fetchOrder(orderId) {
+  const data = await shopifyGraphql(GET_ORDER_QUERY, { id: toGid('Order', orderId) });
+  return mapOrder(data.order);
+}
+
+const SHOP_CHECK_QUERY = `
+  query ShopCheck {
+    shop { name myshopifyDomain }
+  }
+`;
+
+/**
+ * The shop the access token belongs to - the cheapest call that proves the token works
+ * Throws ShopifyApiError when Shopify refuses it (e.g. 401 for a revoked token).
+ */
+export async function fetchShopInfo() {
+  const data = await shopifyGraphql(SHOP_CHECK_QUERY);
+  return { name: data.shop.name, domain: data.shop.myshopifyDomain };
+}
+
+const LIST_ORDERS_QUERY = `
+  query ListOrders($query: String!, $first: Int!, $after: String) {
+    orders(first: $first, after: $after, query: $query, sortKey: CREATED_AT, reverse: true) {
+      nodes { ${ORDER_SUMMARY_FIELDS} }
+      pageInfo { hasNextPage endCursor }
+    }
+  }
+`;
+
+/**
+ * One page of orders matching a Shopify search query, newest first,
+ * plus the cursor for the next page (null on the last one)
+ */
+export async function listOrders(search, { first = 50, after = null } = {}) {
+  const data = await shopifyGraphql(LIST_ORDERS_QUERY, { query: search, first, after });
+
+  return {
+    orders: data.orders.nodes.map(mapOrder),
+    nextPageInfo: data.orders.pageInfo.hasNextPage ? data.orders.pageInfo.endCursor : null,
+  };
+}
+
+/**
+ * Every order matching a Shopify search query, following cursors to the end
+ */
+export async function listAllOrders(search, { first = 50 } = {}) {
+  const orders = [];
+  let after = null;
+
+  do {
+    const page = await listOrders(search, { first, after });
+    orders.push(...page.orders);
+    after = page.nextPageInfo;
+  } while (after);
+
+  return orders;
+}
+
+const GET_FULFILLMENT_ORDERS_QUERY = `
+  query GetFulfillmentOrders($id: ID!, $after: String) {
+    order(id: $id) {
+      fulfillmentOrders(first: 10, after: $after) {
+        nodes { ${FULFILLMENT_ORDER_FIELDS} }
+        pageInfo { hasNextPage endCursor }
+      }
+    }
+  }
+`;
+
+/**
+ * Fulfillment orders for a Shopify order, following cursors to the end
+ */
+export async function fetchFulfillmentOrders(orderId) {
+  const fulfillmentOrders = [];
+  let after = null;
+
+  do {
+    const data = await shopifyGraphql(GET_FULFILLMENT_ORDERS_QUERY, { id: toGid('Order', orderId), after });
+    const connection = data.order?.fulfillmentOrders;
+
+    fulfillmentOrders.push(...(connection?.nodes || []).map(mapFulfillmentOrder));
+    after = connection?.pageInfo?.hasNextPage ? connection.pageInfo.endCursor : null;
+  } while (after);
+
+  return fulfillmentOrders;
+}
+
+const FULFILLMENT_ORDER_MOVE_MUTATION = `
+  mutation FulfillmentOrderMove($id: ID!, $newLocationId: ID!, $fulfillmentOrderLineItems: [FulfillmentOrderLineItemInput!]) {
+    fulfillmentOrderMove(id: $id, newLocationId: $newLocationId, fulfillmentOrderLineItems: $fulfillmentOrderLineItems) {
+      movedFulfillmentOrder { ${FULFILLMENT_ORDER_FIELDS} }
+      userErrors { field message }
+    }
+  }
+`;
+
+/**
+ * Variables for moving a fulfillment order (also what dry runs record)
+ * lineItems ([{ id, quantity }] of fulfillment order line items) moves only those, splitting the fulfillment order
+ */
+export function fulfillmentOrderMoveVariables(fulfillmentOrderId, newLocationId, lineItems = null) {
+  return {
+    id: toGid('FulfillmentOrder', fulfillmentOrderId),
+    newLocationId: toGid('Location', newLocationId),
+    ...(lineItems ? {
+      fulfillmentOrderLineItems: lineItems.map(item => ({
+        id: toGid('FulfillmentOrderLineItem', item.id),
+        quantity: item.quantity,
+      })),
+    } : {}),
+  };
+}
+
+/**
+ * Move a fulfillment order to another location ("Change location" in the admin)
+ * With lineItems only those quantities move; Shopify splits them into a new fulfillment order.
+ * Returns the moved fulfillment order. Throws ShopifyApiError with the user errors when Shopify refuses.
+ */
+export async function moveFulfillmentOrder(fulfillmentOrderId, newLocationId, lineItems = null) {
+  const data = await shopifyGraphql(
+    FULFILLMENT_ORDER_MOVE_MUTATION,
+    fulfillmentOrderMoveVariables(fulfillmentOrderId, newLocationId, lineItems)
+  );
+  const { movedFulfillmentOrder, userErrors } = data.fulfillmentOrderMove;
+
+  if (userErrors.length > 0) {
+    throw new ShopifyApiError(
+      `Shopify refused to move fulfillment order ${fulfillmentOrderId}: ${userErrors.map(error => error.message).join('; ')}`,
+      null,
+      { errors: userErrors }
+    );
+  }
+
+  return mapFulfillmentOrder(movedFulfillmentOrder);
+}
+
+const VARIANT_STOCK_QUERY = `
+  query VariantStock($ids: [ID!]!, $locationId: ID!) {
+    nodes(ids: $ids) {
+      ... on ProductVariant {
+        id
+        inventoryItem {
+          tracked
+          inventoryLevel(locationId: $locationId) {
+            quantities(names: ["available"]) { name quantity }
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Stock of some variants at one location, as [{ variant_id, tracked, available }]
+ * available is 0 for variants the location doesn't stock; untracked variants can always be sold.
+ */
+export async function fetchAvailableQuantities(variantIds, locationId) {
+  const ids = [...new Set(variantIds.filter(Boolean).map(String))];
+  const levels = [];
+
+  // nodes() takes up to 250 IDs per query
+  for (let start = 0; start < ids.length; start += 250) {
+    const data = await shopifyGraphql(VARIANT_STOCK_QUERY, {
+      ids: ids.slice(start, start + 250).map(id => toGid('ProductVariant', id)),
+      locationId: toGid('Location', locationId),
+    });
+
+    for (const node of data.nodes) {
+      if (!node?.inventoryItem) {
+        continue;
+      }
+
+      levels.push({
+        variant_id: fromGid(node.id),
+        tracked: node.inventoryItem.tracked,
+        available: node.inventoryItem.inventoryLevel?.quantities.find(entry => entry.name === 'available')?.quantity ?? 0,
+      });
+    }
+  }
+
+  return levels;
+}
+
+const FULFILLMENT_CREATE_MUTATION = `
+  mutation FulfillmentCreate($fulfillment: FulfillmentInput!, $message: String) {
+    fulfillmentCreate(fulfillment: $fulfillment, message: $message) {
+      fulfillment { id status createdAt }
+      userErrors { field message }
+    }
+  }
+`;
+
+/**
+ * Variables for fulfilling whole fulfillment orders (also what dry runs record)
+ */
+export function fulfillmentCreateVariables(fulfillmentOrderIds, { notifyCustomer = false, message = null } = {}) {
+  return {
+    fulfillment: {
+      lineItemsByFulfillmentOrder: fulfillmentOrderIds.map(id => ({
+        fulfillmentOrderId: toGid('FulfillmentOrder', id),
+      })),
+      notifyCustomer,
+    },
+    message,
+  };
+}
+
+/**
+ * Fulfill every remaining item of the given fulfillment orders, e.g. when the customer collects them
+ * Returns the fulfillment as { id, status, created_at }. Throws ShopifyApiError with the user errors when Shopify refuses.
+ */
+export async function createFulfillment(fulfillmentOrderIds, options = {}) {
+  const data = await shopifyGraphql(FULFILLMENT_CREATE_MUTATION, fulfillmentCreateVariables(fulfillmentOrderIds, options));
+  const { fulfillment, userErrors } = data.fulfillmentCreate;
+
+  if (userErrors.length > 0) {
+    throw new ShopifyApiError(
+      `Shopify refused to fulfill fulfillment order(s) ${fulfillmentOrderIds.join(', ')}: ${userErrors.map(error => error.message).join('; ')}`,
+      null,
+      { errors: userErrors }
+    );
+  }
+
+  return {
+    id: fromGid(fulfillment.id),
+    status: lowerEnum(fulfillment.status),
+    created_at: fulfillment.createdAt,
+  };
+}
+
+const PREPARED_FOR_PICKUP_MUTATION = `
+  mutation FulfillmentOrderLineItemsPreparedForPickup($input: FulfillmentOrderLineItemsPreparedForPickupInput!) {
+    fulfillmentOrderLineItemsPreparedForPickup(input: $input) {
+      userErrors { field message }
+    }
+  }
+`;
+
+/**
+ * Variables for marking fulfillment orders ready for pickup (also what dry runs record)
+ */
+export function preparedForPickupVariables(fulfillmentOrderIds) {
+  return {
+    input: {
+      lineItemsByFulfillmentOrder: fulfillmentOrderIds.map(id => ({
+        fulfillmentOrderId: toGid('FulfillmentOrder', id),
+      })),
+    },
+  };
+}
+
+/**
+ * Mark fulfillment orders as ready for pickup ("Mark as ready for pickup" in the admin)
+ * Shopify then sends the customer its own "Ready for pickup" notification.
+ * Throws ShopifyApiError with the user errors when Shopify refuses.
+ */
+export async function markPreparedForPickup(fulfillmentOrderIds) {
+  const data = await shopifyGraphql(PREPARED_FOR_PICKUP_MUTATION, preparedForPickupVariables(fulfillmentOrderIds));
+  const { userErrors } = data.fulfillmentOrderLineItemsPreparedForPickup;
+
+  if (userErrors.length > 0) {
+    throw new ShopifyApiError(
+      `Shopify refused to mark fulfillment order(s) ${fulfillmentOrderIds.join(', ')} ready for pickup: ${userErrors.map(error => error.message).join('; ')}`,
+      null,
+      { errors: userErrors }
+    );
+  }
+}
+
+const TAGS_ADD_MUTATION = `
+  mutation TagsAdd($id: ID!, $tags: [String!]!) {
+    tagsAdd(id: $id, tags: $tags) {
+      userErrors { field message }
+    }
+  }
+`;
+
+const TAGS_REMOVE_MUTATION = `
+  mutation TagsRemove($id: ID!, $tags: [String!]!) {
+    tagsRemove(id: $id, tags: $tags) {
+      userErrors { field message }
+    }
+  }
+`;
+
+/**
+ * Variables for adding or removing order tags (also what dry runs record)
+ */
+export function orderTagsVariables(orderId, tags) {
+  return {
+    id: toGid('Order', orderId),
+    tags,
+  };
+}
+
+async function changeOrderTags(mutation, field, orderId, tags) {
+  const data = await shopifyGraphql(mutation, orderTagsVariables(orderId, tags));
+  const { userErrors } = data[field];
+
+  if (userErrors.length > 0) {
+    throw new ShopifyApiError(
+      `Shopify refused to change tags on order ${orderId}: ${userErrors.map(error => error.message).join('; ')}`,
+      null,
+      { errors: userErrors }
+    );
+  }
+}
+
+/**
+ * Add tags to an order, keeping the ones it has. Throws ShopifyApiError with the user errors when Shopify refuses.
+ */
+export async function addOrderTags(orderId, tags) {
+  await changeOrderTags(TAGS_ADD_MUTATION, 'tagsAdd', orderId, tags);
+}
+
+/**
+ * Remove tags from an order; tags it doesn't have are ignored
+ */
+export async function removeOrderTags(orderId, tags) {
+  await changeOrderTags(TAGS_REMOVE_MUTATION, 'tagsRemove', orderId, tags);
+}
+
+const ORDER_ANNOTATIONS_QUERY = `
+  query OrderAnnotations($id: ID!, $namespace: String!, $key: String!) {
+    order(id: $id) {
+      id
+      note
+      tags
+      metafield(namespace: $namespace, key: $key) { value }
+    }
+  }
+`;
+
+/**
+ * An order's note, tags and one metafield's raw value, as { id, note, tags, metafield }, or null if there's no such order
+ */
+export async function fetchOrderAnnotations(orderId, { namespace, key }) {
+  const data = await shopifyGraphql(ORDER_ANNOTATIONS_QUERY, { id: toGid('Order', orderId), namespace, key });
+
+  if (!data.order) {
+    return null;
+  }
+
+  return {
+    id: fromGid(data.order.id),
+    note: data.order.note || '',
+    tags: data.order.tags,
+    metafield: data.order.metafield?.value ?? null,
+  };
+}
+
+const ORDER_UPDATE_MUTATION = `
+  mutation OrderUpdate($input: OrderInput!) {
+    orderUpdate(input: $input) {
+      order { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+/**
+ * Variables for replacing an order's note
+ */
+export function orderNoteVariables(orderId, note) {
+  return {
+    input: {
+      id: toGid('Order', orderId),
+      note,
+    },
+  };
+}
+
+/**
+ * Replace an order's note. Throws ShopifyApiError with the user errors when Shopify refuses.
+ */
+export async function updateOrderNote(orderId, note) {
+  const data = await shopifyGraphql(ORDER_UPDATE_MUTATION, orderNoteVariables(orderId, note));
+  const { userErrors } = data.orderUpdate;
+
+  if (userErrors.length > 0) {
+    throw new ShopifyApiError(
+      `Shopify refused to update the note on order ${orderId}: ${userErrors.map(error => error.message).join('; ')}`,
+      null,
+      { errors: userErrors }
+    );
+  }
+}
+
+const METAFIELDS_SET_MUTATION = `
+  mutation MetafieldsSet($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      metafields { id }
+      userErrors { field message code }
+    }
+  }
+`;
+
+/**
+ * Variables for setting a JSON metafield on an order
+ */
+export function orderMetafieldVariables(orderId, { namespace, key }, value) {
+  return {
+    metafields: [{
+      ownerId: toGid('Order', orderId),
+      namespace,
+      key,
+      type: 'json',
+      value: JSON.stringify(value),
+    }],
+  };
+}
+
+/**
+ * Set a JSON metafield on an order, replacing its value. Throws ShopifyApiError with the user errors when Shopify refuses.
+ */
+export async function setOrderMetafield(orderId, metafield, value) {
+  const data = await shopifyGraphql(METAFIELDS_SET_MUTATION, orderMetafieldVariables(orderId, metafield, value));
+  const { userErrors } = data.metafieldsSet;
+
+  if (userErrors.length > 0) {
+    throw new ShopifyApiError(
+      `Shopify refused to set metafield ${metafield.namespace}.${metafield.key} on order ${orderId}: ${userErrors.map(error => error.message).join('; ')}`,
+      null,
+      { errors: userErrors }
+    );
+  }
+}
+
+/**
+ * GraphQL topic for a webhook topic, e.g. orders/create → ORDERS_CREATE
+ */
+export function topicToEnum(topic) {
+  return topic.replace('/', '_').toUpperCase();
+}
+
+const WEBHOOK_SUBSCRIPTION_FIELDS = `
+  id
+  topic
+  createdAt
+  endpoint {
+    __typename
+    ... on WebhookHttpEndpoint { callbackUrl }
+  }
+`;
+
+const LIST_WEBHOOK_SUBSCRIPTIONS_QUERY = `
+  query ListWebhookSubscriptions {
+    webhookSubscriptions(first: 100) {
+      nodes { ${WEBHOOK_SUBSCRIPTION_FIELDS} }
+    }
+  }
+`;
+
+// topic stays the GraphQL enum - it can't be turned back into resource/event reliably
+function mapWebhookSubscription(node) {
+  return {
+    id: fromGid(node.id),
+    topic: node.topic,
+    address: node.endpoint?.callbackUrl || null,
+    created_at: node.createdAt,
+  };
+}
+
+/**
+ * Webhook subscriptions for this app, as { id, topic (e.g. ORDERS_CREATE), address, created_at }
+ */
+export async function listWebhookSubscriptions() {
+  const data = await shopifyGraphql(LIST_WEBHOOK_SUBSCRIPTIONS_QUERY);
+  return data.webhookSubscriptions.nodes.map(mapWebhookSubscription);
+}
+
+const CREATE_WEBHOOK_SUBSCRIPTION_MUTATION = `
+  mutation CreateWebhookSubscription($topic: WebhookSubscriptionTopic!, $callbackUrl: URL!) {
+    webhookSubscriptionCreate(topic: $topic, webhookSubscription: { callbackUrl: $callbackUrl, format: JSON }) {
+      webhookSubscription { ${WEBHOOK_SUBSCRIPTION_FIELDS} }
+      userErrors { field message }
+    }
+  }
+`;
+
+/**
+ * Subscribe a URL to a webhook topic (e.g. orders/create)
+ * Throws ShopifyApiError with the user errors when Shopify refuses.
+ */
+export async function createWebhookSubscription(topic, callbackUrl) {
+  const data = await shopifyGraphql(CREATE_WEBHOOK_SUBSCRIPTION_MUTATION, {
+    topic: topicToEnum(topic),
+    callbackUrl,
+  });
+  const { webhookSubscription, userErrors } = data.webhookSubscriptionCreate;
+
+  if (userErrors.length > 0) {
+    throw new ShopifyApiError(
+      `Shopify refused the ${topic} subscription: ${userErrors.map(error => error.message).join('; ')}`,
+      null,
+      { errors: userErrors }
+    );
+  }
+
+  return mapWebhookSubscription(webhookSubscription);
+}
@@ -0,0 +1,181 @@
+import { GraphQLClient } from 'graphql-request';
+import { recordApiRequest } from './service-metrics.js';
+
+let client = null;
+
+/**
+ * Thrown when an order isn't in SkuSavvy (yet) - new Shopify orders take a while to sync
+ */
+export class OrderNotSyncedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OrderNotSyncedError';
+  }
+}
+
+/**
+ * SkuSavvy GraphQL client, created on first use so dotenv has loaded by then
+ * Requests go through the global fetch, like shopify.js, so check-skusavvy-contract.js can answer them.
+ */
+export function getSkuSavvyClient() {
+  if (!client) {
+    client = new GraphQLClient(process.env.SKUSAVVY_GRAPHQL_ENDPOINT, {
+      headers: {
+        authorization: `Bearer ${process.env.SKUSAVVY_API_TOKEN}`,
+      },
+      fetch: (url, options) => globalThis.fetch(url, options),
+    });
+  }
+  return client;
+}
+
+/**
+ * Send a query or mutation to SkuSavvy, counting it for /metrics
+ */
+async function skuSavvyRequest(query, variables) {
+  const operation = query.match(/\b(?:query|mutation)\s+(\w+)/)?.[1] || 'anonymous';
+  const startedAt = performance.now();
+
+  try {
+    const data = await getSkuSavvyClient().request(query, variables);
+    recordApiRequest('skusavvy', operation, startedAt, 'success');
+    return data;
+  } catch (error) {
+    recordApiRequest('skusavvy', operation, startedAt, 'error');
+    throw error;
+  }
+}
+
+// GraphQL mutation to move a shipment to another warehouse
+// The target comes from the routing table (e.g. Americana for packing, Genesis for pickup).
+// It's written into the mutation as a string, as it always has been, rather than declared as a variable of a guessed type.
+function reassignShipmentMutation(warehouseId) {
+  return `
+    mutation ReassignShipment($orderId: UUID!, $shipmentId: Int!) {
+      shipmentReassignLocation(
+        orderId: $orderId,
+        shipmentId: $shipmentId,
+        warehouseId: ${JSON.stringify(String(warehouseId))}
+      ) {
+        shipments {
+          id
+        }
+      }
+    }
+  `;
+}
+
+// GraphQL query to find order and get shipment IDs, with the warehouse each shipment is in
+// (fixtures/skusavvy-graphql/ holds recorded answers, see check-skusavvy-contract.js)
+const FIND_ORDER_SHIPMENT_WAREHOUSES_QUERY = `
+  query GetOrderShipmentWarehouses($apaOrderNumber: String!) {
+    orders(id: $apaOrderNumber, limit: 1) {
+      __typename
+      ... on CustomerOrder {
+        id
+        shipments {
+          id
+          warehouse {
+            id
+            name
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Find an order in SkuSavvy and return its UUID and shipments (with their current warehouse)
+ * Throws if the order hasn't synced yet so the job queue retries later
+ */
+export async function findSkuSavvyOrder(apaOrderNumber) {
+  console.log('🔍 Finding order in SkuSavvy...');
+
+  const order = await findSkuSavvyShipmentWarehouses(apaOrderNumber);
+
+  if (!order) {
+    console.log('❌ Order not found in SkuSavvy yet');
+    throw new OrderNotSyncedError('Order not synced to SkuSavvy yet');
+  }
+
+  console.log(`✅ Found: ${order.shipments.length} shipment(s)`);
+
+  return order;
+}
+
+/**
+ * Find an order in SkuSavvy with the warehouse of each shipment, or null if it isn't there
+ */
+export async function findSkuSavvyShipmentWarehouses(apaOrderNumber) {
+  const result = await skuSavvyRequest(FIND_ORDER_SHIPMENT_WAREHOUSES_QUERY, {
+    apaOrderNumber: apaOrderNumber
+  });
+
+  if (!result.orders || result.orders.length === 0) {
+    return null;
+  }
+
+  const orderData = result.orders[0];
+
+  return {
+    orderUUID: orderData.id,
+    shipments: (orderData.shipments || []).map(shipment => ({
+      id: shipment.id,
+      warehouseId: shipment.warehouse?.id ? String(shipment.warehouse.id) : null,
+      warehouseName: shipment.warehouse?.name || null,
+    })),
+  };
+}
+
+/**
+ * Check the SkuSavvy token works by looking up an order that can't exist
+ * Throws when SkuSavvy refuses the request (e.g. an expired token).
+ */
+export async function checkSkuSavvyAccess() {
+  try {
+    await findSkuSavvyShipmentWarehouses('HEALTH-CHECK');
+  } catch (error) {
+    // graphql-request puts the whole request and response in the message
+    if (error.response) {
+      throw new Error(`SkuSavvy API error: ${error.response.errors?.[0]?.message || error.response.status}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Reassign every shipment to a SkuSavvy warehouse, carrying on past failures
+ * Returns the count and IDs of the shipments that moved, and an error per failure.
+ * In a dry run (see dry-run.js) the mutations are only added to run.plannedCalls
+ */
+export async function moveShipmentsToWarehouse(orderUUID, shipments, warehouseId, run = null) {
+  let reassignedCount = 0;
+  const movedShipmentIds = [];
+  const errors = [];
+
+  for (const shipment of shipments) {
+    const variables = {
+      orderId: orderUUID,
+      shipmentId: parseInt(shipment.id),
+    };
+
+    if (run?.dryRun) {
+      console.log(`   🧪 Would reassign shipment ${shipment.id} to warehouse ${warehouseId}`);
+      run.plannedCalls.push({ api: 'skusavvy', operation: 'shipmentReassignLocation', variables: { ...variables, warehouseId } });
+      reassignedCount++;
+      continue;
+    }
+
+    try {
+      await skuSavvyRequest(reassignShipmentMutation(warehouseId), variables);
+      reassignedCount++;
+      movedShipmentIds.push(shipment.id);
+    } catch (error) {
+      console.error(`❌ Shipment ${shipment.id} failed:`, error.message);
+      errors.push(`Shipment ${shipment.id}: ${error.message}`);
+    }
+  }
+
+  return { reassignedCount, movedShipmentIds, errors };
+}
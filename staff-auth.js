@@ -0,0 +1,334 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { readJson, writeJson } from './json-store.js';
+
+/**
+ * Staff logins for the /reassign page and the /api endpoints
+ *
+ * staff-users.json:
+ * {
+ *   "users": [
+ *     { "username": "maria", "name": "Maria", "role": "staff", "pinHash": "scrypt$..." },
+ *     { "username": "matt", "role": "admin", "passwordHash": "scrypt$..." }
+ *   ]
+ * }
+ *
+ * Each user signs in with either a PIN or a password. Hashes come from
+ * `npm run hash-staff-secret -- <pin or password>`.
+ *
+ * Roles: "staff" can look up and transfer orders, "admin" can also use the
+ * debug, audit, reconciliation and rules endpoints.
+ */
+
+export const ROLES = ['staff', 'admin'];
+
+export const SESSION_COOKIE = 'pickup_session';
+
+const SESSIONS_FILE = 'sessions.json';
+
+// Failed logins allowed per username and client IP before they're locked for a while - PINs are short.
+// Counting per IP too means someone guessing elsewhere can't lock a staff member out at the counter,
+// and the per-username limit stops a guesser who spreads attempts over many IPs.
+const MAX_FAILED_LOGINS = 5;
+const MAX_FAILED_LOGINS_PER_USER = 20;
+const LOCKOUT_MS = 15 * 60 * 1000;
+const failedLogins = new Map();
+
+// Checked against when the username doesn't exist, so a miss takes as long as a wrong PIN
+let dummyHash = null;
+
+// Forget failures older than the lockout, so the map only holds recent attempts
+function pruneFailedLogins(now) {
+  for (const [key, failures] of failedLogins) {
+    if (now - failures.lastAt >= LOCKOUT_MS) {
+      failedLogins.delete(key);
+    }
+  }
+}
+
+function recordFailedLogin(key, now) {
+  failedLogins.set(key, { count: (failedLogins.get(key)?.count || 0) + 1, lastAt: now });
+}
+
+/**
+ * Hash a PIN or password for staff-users.json
+ */
+export function hashSecret(secret) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(secret), salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+/**
+ * Check a PIN or password against a hash from hashSecret
+ */
+export function verifySecret(secret, storedHash) {
+  const [scheme, saltHex, hashHex] = String(storedHash || '').split('$');
+
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) {
+    return false;
+  }
+
+  const expected = Buffer.from(hashHex, 'hex');
+  if (expected.length === 0) {
+    return false;
+  }
+  const actual = crypto.scryptSync(String(secret), Buffer.from(saltHex, 'hex'), expected.length);
+
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Check a parsed users file and return a list of problems (empty when valid)
+ */
+export function validateStaffUsers(file) {
+  if (!file || !Array.isArray(file.users)) {
+    return ['"users" must be a list'];
+  }
+
+  const problems = [];
+  const seen = new Set();
+
+  file.users.forEach((user, index) => {
+    const where = `users[${index}]${user?.username ? ` (${user.username})` : ''}`;
+
+    if (!user?.username || typeof user.username !== 'string') {
+      problems.push(`${where} needs "username"`);
+    } else if (seen.has(user.username.toLowerCase())) {
+      problems.push(`${where} has the same username as another user`);
+    } else {
+      seen.add(user.username.toLowerCase());
+    }
+
+    if (!ROLES.includes(user?.role)) {
+      problems.push(`${where} "role" must be one of: ${ROLES.join(', ')}`);
+    }
+
+    if (Boolean(user?.pinHash) === Boolean(user?.passwordHash)) {
+      problems.push(`${where} needs either "pinHash" or "passwordHash"`);
+    }
+
+    const hash = user?.pinHash || user?.passwordHash;
+    if (hash && !String(hash).startsWith('scrypt$')) {
+      problems.push(`${where} hash must come from npm run hash-staff-secret`);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Load staff users from a JSON file. A missing file means nobody can sign in.
+ * Throws with every problem found.
+ */
+export function loadStaffUsers(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return { source: null, users: [] };
+  }
+
+  let file;
+  try {
+    file = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read staff users from ${filePath}: ${error.message}`);
+  }
+
+  const problems = validateStaffUsers(file);
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid staff users in ${filePath}:\n  - ${problems.join('\n  - ')}`);
+  }
+
+  return { source: filePath, users: file.users };
+}
+
+function findUser(staff, username) {
+  const wanted = String(username || '').toLowerCase();
+  return staff.users.find(user => user.username.toLowerCase() === wanted) || null;
+}
+
+/**
+ * What a signed-in user looks like to the rest of the app
+ */
+function publicUser(user) {
+  return {
+    username: user.username,
+    name: user.name || user.username,
+    role: user.role,
+  };
+}
+
+/**
+ * Check a username and PIN/password from a client IP (req.ip)
+ * Returns { user } on success or { error, status } when the login is refused
+ */
+export function authenticateStaff(staff, username, secret, ip) {
+  const now = Date.now();
+  const name = String(username || '').toLowerCase();
+  const userKey = `user:${name}`;
+  const ipKey = `ip:${name}|${ip || ''}`;
+
+  pruneFailedLogins(now);
+
+  if ((failedLogins.get(ipKey)?.count || 0) >= MAX_FAILED_LOGINS
+    || (failedLogins.get(userKey)?.count || 0) >= MAX_FAILED_LOGINS_PER_USER) {
+    return { error: 'Too many failed attempts - try again in a few minutes', status: 429 };
+  }
+
+  const user = findUser(staff, username);
+
+  if (!user) {
+    dummyHash = dummyHash || hashSecret('');
+    verifySecret(secret, dummyHash);
+  }
+
+  if (!user || !verifySecret(secret, user.pinHash || user.passwordHash)) {
+    recordFailedLogin(ipKey, now);
+    recordFailedLogin(userKey, now);
+    return { error: 'Wrong username or PIN/password', status: 401 };
+  }
+
+  failedLogins.delete(ipKey);
+  return { user: publicUser(user) };
+}
+
+/**
+ * Sessions are stored by token hash, so the sessions file alone can't be used to sign in
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function getSessionTtlMs() {
+  return parseFloat(process.env.SESSION_TTL_HOURS || '12') * 60 * 60 * 1000;
+}
+
+function loadSessions() {
+  const sessions = readJson(SESSIONS_FILE, {});
+  const now = Date.now();
+
+  // Drop expired sessions whenever we touch the file
+  for (const [key, session] of Object.entries(sessions)) {
+    if (Date.parse(session.expiresAt) <= now) {
+      delete sessions[key];
+    }
+  }
+
+  return sessions;
+}
+
+/**
+ * Start a session for a signed-in user and return its token
+ */
+export function createSession(user) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const sessions = loadSessions();
+
+  sessions[hashToken(token)] = {
+    username: user.username,
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + getSessionTtlMs()).toISOString(),
+  };
+
+  writeJson(SESSIONS_FILE, sessions);
+  return token;
+}
+
+/**
+ * End the session for this token
+ */
+export function destroySession(token) {
+  if (!token) {
+    return;
+  }
+
+  const sessions = loadSessions();
+  delete sessions[hashToken(token)];
+  writeJson(SESSIONS_FILE, sessions);
+}
+
+/**
+ * Session token from the request's Cookie header
+ */
+export function getSessionToken(req) {
+  const cookies = (req.get('Cookie') || '').split(';');
+
+  for (const cookie of cookies) {
+    const [name, ...value] = cookie.trim().split('=');
+    if (name === SESSION_COOKIE) {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+
+  return null;
+}
+
+/**
+ * The signed-in user for a request, or null
+ * Checked against the loaded users on every request, so removed users and role changes apply on restart
+ */
+export function findSessionUser(staff, req) {
+  const token = getSessionToken(req);
+
+  if (!token) {
+    return null;
+  }
+
+  const session = loadSessions()[hashToken(token)];
+  const user = session && findUser(staff, session.username);
+
+  return user ? publicUser(user) : null;
+}
+
+/**
+ * Set-Cookie value for a new session
+ * Cross-origin pages (CORS allowlist) only get the cookie with SameSite=None, which needs Secure
+ */
+export function sessionCookie(token, { crossSite = false } = {}) {
+  const attributes = [
+    `${SESSION_COOKIE}=${encodeURIComponent(token)}`,
+    'Path=/',
+    'HttpOnly',
+    `Max-Age=${Math.floor(getSessionTtlMs() / 1000)}`,
+    crossSite ? 'SameSite=None' : 'SameSite=Lax',
+  ];
+
+  if (crossSite || process.env.NODE_ENV === 'production') {
+    attributes.push('Secure');
+  }
+
+  return attributes.join('; ');
+}
+
+/**
+ * Set-Cookie value that signs the browser out
+ * Like the session cookie, a cross-origin page's is only replaced with SameSite=None; Secure
+ */
+export function clearSessionCookie({ crossSite = false } = {}) {
+  return `${SESSION_COOKIE}=; Path=/; HttpOnly; Max-Age=0${crossSite ? '; SameSite=None; Secure' : ''}`;
+}
+
+/**
+ * Express middleware factory: only let signed-in users with this role through
+ * Admins can do everything staff can. Pages redirect to /login, APIs answer 401/403.
+ * The user ends up on req.staff.
+ */
+export function requireStaff(staff, role = 'staff', { page = false } = {}) {
+  return (req, res, next) => {
+    const user = findSessionUser(staff, req);
+
+    if (!user) {
+      if (page) {
+        return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+      }
+      return res.status(401).json({ error: 'Login required' });
+    }
+
+    if (role === 'admin' && user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    req.staff = user;
+    next();
+  };
+}
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { computeBackoffMs } from '../job-queue.js';
+
+const policy = { baseDelayMs: 30 * 1000, maxDelayMs: 30 * 60 * 1000 };
+
+test('backoff doubles with each attempt, jittered between half and all of the delay', () => {
+  for (let attempt = 1; attempt <= 5; attempt++) {
+    const delay = policy.baseDelayMs * 2 ** (attempt - 1);
+
+    for (let i = 0; i < 50; i++) {
+      const backoff = computeBackoffMs(attempt, policy);
+      assert.ok(backoff >= delay / 2 && backoff <= delay, `attempt ${attempt}: ${backoff}ms outside ${delay / 2}-${delay}ms`);
+    }
+  }
+});
+
+test('backoff is capped at the maximum delay', () => {
+  for (let i = 0; i < 50; i++) {
+    const backoff = computeBackoffMs(20, policy);
+    assert.ok(backoff >= policy.maxDelayMs / 2 && backoff <= policy.maxDelayMs, `${backoff}ms`);
+  }
+});
+
+test('backoff uses JOB_RETRY_BASE_SECONDS and JOB_RETRY_MAX_SECONDS by default', () => {
+  process.env.JOB_RETRY_BASE_SECONDS = '2';
+  process.env.JOB_RETRY_MAX_SECONDS = '5';
+
+  try {
+    assert.ok(computeBackoffMs(1) >= 1000 && computeBackoffMs(1) <= 2000);
+    assert.ok(computeBackoffMs(10) >= 2500 && computeBackoffMs(10) <= 5000);
+  } finally {
+    delete process.env.JOB_RETRY_BASE_SECONDS;
+    delete process.env.JOB_RETRY_MAX_SECONDS;
+  }
+});
@@ -0,0 +1,189 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { replayFetch } from '../contract-fixtures.js';
+import { createRun } from '../dry-run.js';
+import { isPickupFulfillmentOrder, planLineRouting, splitFulfillmentOrders } from '../line-routing.js';
+
+process.env.SHOPIFY_SHOP = 'example.myshopify.com';
+process.env.SHOPIFY_ACCESS_TOKEN = 'test-token';
+
+const realFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+const genesis = {
+  name: 'Genesis',
+  shopifyLocationId: '222',
+  skuSavvyWarehouseId: 'wh-genesis',
+  useStockAtPickup: false,
+  fulfillingWarehouse: { name: 'Americana', shopifyLocationId: '111', skuSavvyWarehouseId: 'wh-americana' },
+};
+
+const stocked = { ...genesis, useStockAtPickup: true };
+
+function fulfillmentOrder(id, { location = 111, method = 'pick_up', status = 'open', lines = [] } = {}) {
+  return {
+    id,
+    status,
+    assigned_location_id: location,
+    assigned_location: { name: location === 222 ? 'Genesis' : 'Americana' },
+    delivery_method: { method_type: method },
+    line_items: lines.map(([lineId, variantId, quantity]) => ({
+      id: lineId * 10,
+      line_item_id: lineId,
+      quantity,
+      fulfillable_quantity: quantity,
+      variant_id: variantId,
+    })),
+  };
+}
+
+/**
+ * Answer the VariantStock query with these { variantId: available } levels (null for untracked)
+ */
+function stockAtGenesis(variantIds, levels) {
+  const replay = replayFetch({
+    exchanges: [{
+      request: {
+        operationName: 'VariantStock',
+        variables: {
+          ids: variantIds.map(id => `gid://shopify/ProductVariant/${id}`),
+          locationId: 'gid://shopify/Location/222',
+        },
+      },
+      response: {
+        status: 200,
+        body: {
+          data: {
+            nodes: Object.entries(levels).map(([id, available]) => ({
+              id: `gid://shopify/ProductVariant/${id}`,
+              inventoryItem: available === null ?
+                { tracked: false, inventoryLevel: null } :
+                { tracked: true, inventoryLevel: { quantities: [{ name: 'available', quantity: available }] } },
+            })),
+          },
+        },
+      },
+    }],
+  });
+
+  globalThis.fetch = replay.fetch;
+  return replay;
+}
+
+test('fulfillment orders without a delivery method count as pickup', () => {
+  assert.strictEqual(isPickupFulfillmentOrder({ delivery_method: { method_type: 'pick_up' } }), true);
+  assert.strictEqual(isPickupFulfillmentOrder({ delivery_method: { method_type: null } }), true);
+  assert.strictEqual(isPickupFulfillmentOrder({}), true);
+  assert.strictEqual(isPickupFulfillmentOrder({ delivery_method: { method_type: 'shipping' } }), false);
+});
+
+test('without useStockAtPickup, pickup lines are packed and shipping lines left alone', async () => {
+  globalThis.fetch = () => assert.fail('stock should not be checked');
+
+  const routing = await planLineRouting([
+    fulfillmentOrder(1, { lines: [[101, 501, 1], [102, 502, 2]] }),
+    fulfillmentOrder(2, { method: 'shipping', lines: [[103, 503, 1]] }),
+    fulfillmentOrder(3, { status: 'closed', lines: [[104, 504, 1]] }),
+  ], genesis);
+
+  assert.deepStrictEqual(routing.lines.map(line => [line.lineItemId, line.route]), [[101, 'pack'], [102, 'pack'], [103, 'ships']]);
+  assert.deepStrictEqual(routing.counts, { ships: 1, 'stocked-at-pickup': 0, pack: 2 });
+});
+
+test('lines the pickup location has in stock are handed over from its shelf', async () => {
+  const replay = stockAtGenesis([501, 502, 503], { 501: 3, 502: 1, 503: null });
+
+  const routing = await planLineRouting([
+    fulfillmentOrder(1, { lines: [[101, 501, 2], [102, 502, 2], [103, 503, 5]] }),
+  ], stocked);
+
+  assert.strictEqual(replay.sentCount(), 1);
+  // 502 only has 1 of the 2 needed, so the whole line is packed; untracked 503 is always there
+  assert.deepStrictEqual(routing.lines.map(line => [line.lineItemId, line.route]), [
+    [101, 'stocked-at-pickup'],
+    [102, 'pack'],
+    [103, 'stocked-at-pickup'],
+  ]);
+});
+
+test('stock is shared out in line order, so two lines can\'t count the same units', async () => {
+  stockAtGenesis([501], { 501: 3 });
+
+  const routing = await planLineRouting([
+    fulfillmentOrder(1, { lines: [[101, 501, 2], [102, 501, 2]] }),
+  ], stocked);
+
+  assert.deepStrictEqual(routing.lines.map(line => line.route), ['stocked-at-pickup', 'pack']);
+});
+
+test('lines already at the pickup location don\'t need more of its stock', async () => {
+  stockAtGenesis([501], { 501: 0 });
+
+  const routing = await planLineRouting([
+    fulfillmentOrder(1, { location: 222, lines: [[101, 501, 2]] }),
+  ], stocked);
+
+  assert.deepStrictEqual(routing.lines.map(line => line.route), ['stocked-at-pickup']);
+});
+
+test('a mixed fulfillment order is split, moving only the stocked lines to the pickup location', async () => {
+  stockAtGenesis([501, 502], { 501: 5, 502: 0 });
+
+  const fulfillmentOrders = [fulfillmentOrder(1, { lines: [[101, 501, 1], [102, 502, 1]] })];
+  const routing = await planLineRouting(fulfillmentOrders, stocked);
+  const run = createRun(true);
+  const split = await splitFulfillmentOrders(fulfillmentOrders, routing, stocked, run);
+
+  assert.deepStrictEqual(split.errors, []);
+  assert.deepStrictEqual(split.moves, [{
+    id: 1,
+    from: { id: 111, name: 'Americana' },
+    to: { id: '222', name: 'Genesis' },
+    fulfillmentOrderLineItemIds: [1010],
+  }]);
+  assert.deepStrictEqual(run.plannedCalls, [{
+    api: 'shopify',
+    operation: 'fulfillmentOrderMove',
+    variables: {
+      id: 'gid://shopify/FulfillmentOrder/1',
+      newLocationId: 'gid://shopify/Location/222',
+      fulfillmentOrderLineItems: [{ id: 'gid://shopify/FulfillmentOrderLineItem/1010', quantity: 1 }],
+    },
+  }]);
+});
+
+test('packed lines sharing the pickup location\'s fulfillment order go to the warehouse, whole orders move whole', async () => {
+  // 501 is oversold at Genesis, so its line there has to be packed after all
+  stockAtGenesis([501, 502, 503], { 501: -1, 502: 0, 503: 4 });
+
+  const fulfillmentOrders = [
+    fulfillmentOrder(1, { location: 222, lines: [[101, 501, 1], [102, 502, 1]] }),
+    fulfillmentOrder(2, { lines: [[103, 503, 1]] }),
+  ];
+  const routing = await planLineRouting(fulfillmentOrders, stocked);
+  const run = createRun(true);
+  const split = await splitFulfillmentOrders(fulfillmentOrders, routing, stocked, run);
+
+  assert.deepStrictEqual(routing.lines.map(line => line.route), ['pack', 'stocked-at-pickup', 'stocked-at-pickup']);
+  assert.deepStrictEqual(run.plannedCalls.map(call => call.variables), [
+    {
+      id: 'gid://shopify/FulfillmentOrder/1',
+      newLocationId: 'gid://shopify/Location/111',
+      fulfillmentOrderLineItems: [{ id: 'gid://shopify/FulfillmentOrderLineItem/1010', quantity: 1 }],
+    },
+    { id: 'gid://shopify/FulfillmentOrder/2', newLocationId: 'gid://shopify/Location/222' },
+  ]);
+  assert.deepStrictEqual(split.moves.map(move => move.to.name), ['Americana', 'Genesis']);
+});
+
+test('nothing is split when no line is stocked at the pickup location', async () => {
+  const fulfillmentOrders = [fulfillmentOrder(1, { lines: [[101, 501, 1]] })];
+  const routing = await planLineRouting(fulfillmentOrders, genesis);
+  const run = createRun(true);
+
+  assert.deepStrictEqual(await splitFulfillmentOrders(fulfillmentOrders, routing, genesis, run), { moves: [], errors: [] });
+  assert.deepStrictEqual(run.plannedCalls, []);
+});
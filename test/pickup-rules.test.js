@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { fileURLToPath } from 'node:url';
+import { loadPickupRules, validatePickupRules, evaluatePickupRules } from '../pickup-rules.js';
+
+const rules = loadPickupRules(fileURLToPath(new URL('../pickup-rules.json', import.meta.url)));
+
+function order(fields = {}) {
+  return { id: 1, name: '#APA411542', tags: '', shipping_lines: [], location_id: null, ...fields };
+}
+
+test('the rules file in the repo is valid', () => {
+  assert.ok(rules.include.length > 0);
+});
+
+test('an order tagged pickup-order is a pickup order', () => {
+  const result = evaluatePickupRules(rules, order({ tags: 'vip, Pickup-Order' }));
+
+  assert.strictEqual(result.isPickup, true);
+  assert.deepStrictEqual(result.matchedRule, { list: 'include', name: 'Tagged as pickup (Shopify Flow)' });
+});
+
+test('shipping line titles are matched as case-insensitive patterns', () => {
+  const result = evaluatePickupRules(rules, order({
+    shipping_lines: [{ code: 'STORE', title: 'Pick Up in store', delivery_category: null }],
+  }));
+
+  assert.strictEqual(result.isPickup, true);
+  assert.strictEqual(result.matchedRule.name, 'Pickup shipping line title');
+});
+
+test('exclude rules win over include rules', () => {
+  const result = evaluatePickupRules(rules, order({ tags: 'pickup-order, no-pickup' }));
+
+  assert.strictEqual(result.isPickup, false);
+  assert.deepStrictEqual(result.matchedRule, { list: 'exclude', name: 'Opted out of pickup' });
+});
+
+test('a shipped order matches no rule, and every rule is listed as evaluated', () => {
+  const result = evaluatePickupRules(rules, order({
+    shipping_lines: [{ code: 'UPS_GROUND', title: 'UPS Ground', delivery_category: 'shipping' }],
+  }));
+
+  assert.strictEqual(result.isPickup, false);
+  assert.strictEqual(result.matchedRule, null);
+  assert.strictEqual(result.evaluated.length, rules.include.length + rules.exclude.length);
+  assert.ok(result.evaluated.every(rule => !rule.matched));
+});
+
+test('a rule only matches when all of its conditions do', () => {
+  const storeRules = {
+    include: [{ name: 'Tagged at the store', tags: ['pickup'], locationIds: [71234567890] }],
+    exclude: [],
+  };
+
+  assert.strictEqual(evaluatePickupRules(storeRules, order({ tags: 'pickup', location_id: 71234567890 })).isPickup, true);
+
+  const result = evaluatePickupRules(storeRules, order({ tags: 'pickup', location_id: 99 }));
+  assert.strictEqual(result.isPickup, false);
+  assert.deepStrictEqual(result.evaluated[0].conditions, { tags: true, locationIds: false });
+});
+
+test('validation lists every problem', () => {
+  const problems = validatePickupRules({
+    include: [
+      { tags: ['pickup'] },
+      { name: 'Bad pattern', shippingLineTitle: ['pick ('] },
+      { name: 'Typo', shipingLineTitle: ['pickup'] },
+      { name: 'Empty' },
+    ],
+    exclude: 'no-pickup',
+  });
+
+  assert.deepStrictEqual(problems, [
+    '"exclude" must be a list of rules',
+    'include[0] needs a "name"',
+    'include[1] (Bad pattern) has an invalid value for "shippingLineTitle"',
+    'include[2] (Typo) has unknown condition "shipingLineTitle"',
+    'include[3] (Empty) has no conditions',
+  ]);
+});
+
+test('a rules file without include rules is refused', () => {
+  assert.deepStrictEqual(validatePickupRules({ exclude: [] }), ['"include" must be a non-empty list of rules']);
+});
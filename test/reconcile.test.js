@@ -0,0 +1,153 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { replayFetch } from '../contract-fixtures.js';
+import { checkOrder } from '../reconcile.js';
+
+process.env.SHOPIFY_SHOP = 'example.myshopify.com';
+process.env.SHOPIFY_ACCESS_TOKEN = 'test-token';
+process.env.SKUSAVVY_GRAPHQL_ENDPOINT = 'https://skusavvy.test/graphql';
+process.env.SKUSAVVY_API_TOKEN = 'test-token';
+
+const realFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+const americana = { name: 'Americana', shopifyLocationId: '111', skuSavvyWarehouseId: 'wh-americana' };
+
+const routingTable = {
+  pickupLocations: [{
+    name: 'Genesis',
+    shopifyLocationId: '222',
+    skuSavvyWarehouseId: 'wh-genesis',
+    default: true,
+    fulfillingWarehouse: americana,
+  }],
+};
+
+const order = { id: 5800000000001, name: '#APA411542' };
+
+const WAREHOUSE_NAMES = { 'wh-genesis': 'Genesis', 'wh-americana': 'Americana', 'wh-elsewhere': 'Elsewhere' };
+
+function fulfillmentOrdersExchange(fulfillmentOrders) {
+  return {
+    request: { operationName: 'GetFulfillmentOrders', variables: { id: 'gid://shopify/Order/5800000000001', after: null } },
+    response: {
+      status: 200,
+      body: {
+        data: {
+          order: {
+            fulfillmentOrders: {
+              nodes: fulfillmentOrders.map(([id, locationId, status = 'OPEN']) => ({
+                id: `gid://shopify/FulfillmentOrder/${id}`,
+                status,
+                assignedLocation: { name: `Location ${locationId}`, location: { id: `gid://shopify/Location/${locationId}` } },
+                deliveryMethod: { methodType: 'PICK_UP' },
+                lineItems: { nodes: [], pageInfo: { hasNextPage: false } },
+              })),
+              pageInfo: { hasNextPage: false, endCursor: null },
+            },
+          },
+        },
+      },
+    },
+  };
+}
+
+function shipmentsExchange(warehouseIds) {
+  return {
+    request: { operationName: 'GetOrderShipmentWarehouses', variables: { apaOrderNumber: 'APA411542' } },
+    response: {
+      status: 200,
+      body: {
+        data: {
+          orders: warehouseIds === null ? [] : [{
+            __typename: 'CustomerOrder',
+            id: 'order-uuid',
+            shipments: warehouseIds.map((warehouseId, index) => ({
+              id: 880100 + index,
+              warehouse: { id: warehouseId, name: WAREHOUSE_NAMES[warehouseId] },
+            })),
+          }],
+        },
+      },
+    },
+  };
+}
+
+/**
+ * Answer checkOrder's Shopify and SkuSavvy queries from these exchanges, in order
+ */
+function replay(...exchanges) {
+  const fake = replayFetch({ exchanges });
+  globalThis.fetch = fake.fetch;
+  return fake;
+}
+
+test('shipments in the warehouse Shopify has the order at agree', async () => {
+  replay(fulfillmentOrdersExchange([[1, 222]]), shipmentsExchange(['wh-genesis']));
+
+  assert.strictEqual(await checkOrder(routingTable, order), null);
+});
+
+test('a shipment in another warehouse is a fixable mismatch', async () => {
+  replay(fulfillmentOrdersExchange([[1, 222]]), shipmentsExchange(['wh-genesis', 'wh-americana']));
+
+  const mismatch = await checkOrder(routingTable, order);
+
+  assert.strictEqual(mismatch.problem, 'warehouse-mismatch');
+  assert.deepStrictEqual(mismatch.shipments, [{ id: 880101, warehouseId: 'wh-americana', warehouseName: 'Americana' }]);
+  assert.strictEqual(mismatch.fixable, true);
+  assert.deepStrictEqual(mismatch.target, { name: 'Genesis', skuSavvyWarehouseId: 'wh-genesis', shopifyLocationId: '222' });
+});
+
+test('orders reassigned for packing are expected at the fulfilling warehouse, not their pickup location', async () => {
+  replay(fulfillmentOrdersExchange([[1, 222]]), shipmentsExchange(['wh-americana']));
+  assert.strictEqual(await checkOrder(routingTable, order, americana), null);
+
+  replay(fulfillmentOrdersExchange([[1, 222]]), shipmentsExchange(['wh-genesis']));
+  const mismatch = await checkOrder(routingTable, order, americana);
+
+  assert.strictEqual(mismatch.reassigned, true);
+  assert.strictEqual(mismatch.target, americana);
+});
+
+test('fulfillment orders split across locations are left for a human', async () => {
+  replay(fulfillmentOrdersExchange([[1, 222], [2, 111]]), shipmentsExchange(['wh-elsewhere']));
+
+  const mismatch = await checkOrder(routingTable, order);
+
+  assert.strictEqual(mismatch.fixable, false);
+  assert.strictEqual(mismatch.target, null);
+  assert.deepStrictEqual(mismatch.expectedWarehouses.map(warehouse => warehouse.name), ['Genesis', 'Americana']);
+});
+
+test('a location that isn\'t in the routing table can\'t be fixed', async () => {
+  const fake = replay(fulfillmentOrdersExchange([[1, 999]]));
+
+  assert.deepStrictEqual(await checkOrder(routingTable, order), {
+    orderId: order.id,
+    orderName: order.name,
+    problem: 'unknown-location',
+    shopifyLocation: { id: 999, name: 'Location 999' },
+    fixable: false,
+  });
+  assert.strictEqual(fake.sentCount(), 1);
+});
+
+test('an order that isn\'t in SkuSavvy is reported', async () => {
+  replay(fulfillmentOrdersExchange([[1, 222]]), shipmentsExchange(null));
+
+  const mismatch = await checkOrder(routingTable, order);
+
+  assert.strictEqual(mismatch.problem, 'missing-in-skusavvy');
+  assert.strictEqual(mismatch.fixable, false);
+});
+
+test('orders with nothing left to fulfill aren\'t looked up in SkuSavvy', async () => {
+  const fake = replay(fulfillmentOrdersExchange([[1, 222, 'CLOSED']]));
+
+  assert.strictEqual(await checkOrder(routingTable, order), null);
+  assert.strictEqual(fake.sentCount(), 1);
+});
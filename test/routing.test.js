@@ -0,0 +1,145 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+  validateRoutingTable,
+  loadRoutingTable,
+  resolvePickupLocation,
+  findPickupLocation,
+  isFulfillingShopifyLocation,
+  warehouseForShopifyLocation,
+} from '../routing.js';
+
+const americana = { name: 'Americana', shopifyLocationId: '111', skuSavvyWarehouseId: 'wh-americana' };
+
+const table = {
+  pickupLocations: [
+    {
+      name: 'Genesis',
+      shopifyLocationId: '222',
+      skuSavvyWarehouseId: 'wh-genesis',
+      default: true,
+      fulfillingWarehouse: americana,
+    },
+    {
+      name: 'Downtown',
+      shopifyLocationId: '333',
+      skuSavvyWarehouseId: 'wh-downtown',
+      match: { shippingLineTitle: ['downtown'] },
+      fulfillingWarehouse: americana,
+    },
+  ],
+};
+
+const ENV_VARIABLES = ['GENESIS_LOCATION_ID', 'GENESIS_WAREHOUSE_ID', 'AMERICANA_WAREHOUSE_ID', 'AMERICANA_LOCATION_ID'];
+
+/**
+ * Run fn with these routing variables set (and the others unset)
+ */
+function withEnv(values, fn) {
+  const saved = Object.fromEntries(ENV_VARIABLES.map(name => [name, process.env[name]]));
+
+  for (const name of ENV_VARIABLES) {
+    delete process.env[name];
+  }
+  Object.assign(process.env, values);
+
+  try {
+    return fn();
+  } finally {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  }
+}
+
+test('a valid table has no problems', () => {
+  assert.deepStrictEqual(validateRoutingTable(table), []);
+});
+
+test('validation lists every problem', () => {
+  const problems = validateRoutingTable({
+    pickupLocations: [
+      { name: 'Genesis', shopifyLocationId: '222', default: true, fulfillingWarehouse: { name: 'Americana' } },
+      { name: 'Downtown', shopifyLocationId: '333', skuSavvyWarehouseId: 'wh-downtown', default: true, useStockAtPickup: 'yes', fulfillingWarehouse: americana },
+    ],
+  });
+
+  assert.deepStrictEqual(problems, [
+    'pickupLocations[0] (Genesis) needs "skuSavvyWarehouseId"',
+    'pickupLocations[0] (Genesis).fulfillingWarehouse needs "skuSavvyWarehouseId"',
+    'pickupLocations[1] (Downtown).useStockAtPickup must be true or false',
+    'Only one pickup location can be marked "default"',
+  ]);
+});
+
+test('useStockAtPickup needs the fulfilling warehouse\'s Shopify location', () => {
+  const problems = validateRoutingTable({
+    pickupLocations: [{
+      name: 'Genesis',
+      shopifyLocationId: '222',
+      skuSavvyWarehouseId: 'wh-genesis',
+      useStockAtPickup: true,
+      fulfillingWarehouse: { name: 'Americana', skuSavvyWarehouseId: 'wh-americana' },
+    }],
+  });
+
+  assert.strictEqual(problems.length, 1);
+  assert.match(problems[0], /useStockAtPickup needs the fulfillingWarehouse's "shopifyLocationId"/);
+});
+
+test('orders go to the location they match, or the default one', () => {
+  const downtown = { shipping_lines: [{ title: 'Downtown store pickup' }] };
+  const other = { shipping_lines: [{ title: 'Pick up' }] };
+
+  assert.strictEqual(resolvePickupLocation(table, downtown).name, 'Downtown');
+  assert.strictEqual(resolvePickupLocation(table, other).name, 'Genesis');
+});
+
+test('pickup locations can be named by Shopify location ID or by name', () => {
+  assert.strictEqual(findPickupLocation(table, 333).name, 'Downtown');
+  assert.strictEqual(findPickupLocation(table, 'genesis').name, 'Genesis');
+  assert.strictEqual(findPickupLocation(table, 'Elsewhere'), null);
+});
+
+test('Shopify locations map to their SkuSavvy warehouses', () => {
+  assert.deepStrictEqual(warehouseForShopifyLocation(table, 222), { name: 'Genesis', skuSavvyWarehouseId: 'wh-genesis' });
+  assert.deepStrictEqual(warehouseForShopifyLocation(table, 111), { name: 'Americana', skuSavvyWarehouseId: 'wh-americana' });
+  assert.strictEqual(warehouseForShopifyLocation(table, 999), null);
+});
+
+test('the table is built from the environment when there is no file', () => {
+  const loaded = withEnv({
+    GENESIS_LOCATION_ID: '222',
+    GENESIS_WAREHOUSE_ID: 'wh-genesis',
+    AMERICANA_WAREHOUSE_ID: 'wh-americana',
+    AMERICANA_LOCATION_ID: '111',
+  }, () => loadRoutingTable('does-not-exist.json'));
+
+  assert.strictEqual(loaded.source, 'environment variables');
+  assert.deepStrictEqual(loaded.pickupLocations[0].fulfillingWarehouse, americana);
+  assert.strictEqual(isFulfillingShopifyLocation(loaded, 111), true);
+  assert.strictEqual(isFulfillingShopifyLocation(loaded, 444), false);
+});
+
+test('AMERICANA_LOCATION_ID is optional - any location but the pickup one then counts as the warehouse', () => {
+  const loaded = withEnv({
+    GENESIS_LOCATION_ID: '222',
+    GENESIS_WAREHOUSE_ID: 'wh-genesis',
+    AMERICANA_WAREHOUSE_ID: 'wh-americana',
+  }, () => loadRoutingTable('does-not-exist.json'));
+
+  assert.strictEqual(loaded.pickupLocations[0].fulfillingWarehouse.shopifyLocationId, null);
+  assert.strictEqual(isFulfillingShopifyLocation(loaded, 444), true);
+  assert.strictEqual(isFulfillingShopifyLocation(loaded, 222), false);
+});
+
+test('missing environment variables are named', () => {
+  assert.throws(
+    () => withEnv({ GENESIS_LOCATION_ID: '222' }, () => loadRoutingTable('does-not-exist.json')),
+    { message: 'No routing table in does-not-exist.json, and GENESIS_WAREHOUSE_ID, AMERICANA_WAREHOUSE_ID are not set to build one from the environment' }
+  );
+});
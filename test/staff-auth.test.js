@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { hashSecret, verifySecret, authenticateStaff } from '../staff-auth.js';
+
+// Failed logins are remembered for the whole process, so each test signs in as its own user
+const staff = {
+  users: ['maria', 'jo', 'sam', 'alex', 'kim'].map(username => ({ username, role: 'staff', pinHash: hashSecret('4821') })),
+};
+
+function failLogins(username, count, ip) {
+  for (let i = 0; i < count; i++) {
+    const result = authenticateStaff(staff, username, '0000', typeof ip === 'function' ? ip(i) : ip);
+    assert.strictEqual(result.status, 401, `attempt ${i + 1}`);
+  }
+}
+
+test('secrets are checked against their scrypt hash', () => {
+  const hash = hashSecret('4821');
+
+  assert.match(hash, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+  assert.strictEqual(verifySecret('4821', hash), true);
+  assert.strictEqual(verifySecret('4822', hash), false);
+  assert.strictEqual(verifySecret('4821', 'plain-text'), false);
+});
+
+test('the right PIN signs in, with usernames matched case-insensitively', () => {
+  assert.deepStrictEqual(authenticateStaff(staff, 'Maria', '4821', '10.0.0.1'), {
+    user: { username: 'maria', name: 'maria', role: 'staff' },
+  });
+});
+
+test('five wrong PINs from one address lock the username there, even for the right PIN', () => {
+  failLogins('jo', 5, '10.0.0.1');
+
+  const locked = authenticateStaff(staff, 'jo', '4821', '10.0.0.1');
+  assert.strictEqual(locked.status, 429);
+
+  // Someone guessing elsewhere can't lock the counter out
+  assert.ok(authenticateStaff(staff, 'jo', '4821', '10.0.0.2').user);
+});
+
+test('signing in clears the failures from that address', () => {
+  failLogins('sam', 4, '10.0.0.1');
+  assert.ok(authenticateStaff(staff, 'sam', '4821', '10.0.0.1').user);
+
+  failLogins('sam', 4, '10.0.0.1');
+  assert.ok(authenticateStaff(staff, 'sam', '4821', '10.0.0.1').user);
+});
+
+test('twenty wrong PINs spread over many addresses lock the username everywhere', () => {
+  failLogins('alex', 20, i => `10.0.1.${i}`);
+
+  assert.strictEqual(authenticateStaff(staff, 'alex', '4821', '10.0.2.1').status, 429);
+});
+
+test('unknown usernames are refused like a wrong PIN, and locked out the same way', () => {
+  failLogins('nobody', 5, '10.0.0.1');
+
+  assert.strictEqual(authenticateStaff(staff, 'nobody', '4821', '10.0.0.1').status, 429);
+  assert.ok(authenticateStaff(staff, 'kim', '4821', '10.0.0.1').user);
+});
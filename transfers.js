@@ -0,0 +1,291 @@
+import crypto from 'crypto';
+import { readJson, writeJson } from './json-store.js';
+import { fetchFulfillmentOrders, moveFulfillmentOrder, fulfillmentOrderMoveVariables } from './shopify.js';
+import { findSkuSavvyShipmentWarehouses, moveShipmentsToWarehouse } from './skusavvy.js';
+
+/**
+ * Transfer history for undo
+ *
+ * Every transfer (Shopify fulfillment orders moved to a pickup location) and
+ * reassignment (SkuSavvy shipments moved to another warehouse) is recorded with
+ * where each item was before, so it can be put back within UNDO_WINDOW_MINUTES.
+ *
+ * transfer fields:
+ *   id, createdAt
+ *   action - what moved it, as in the audit log (e.g. 'transfer-to-genesis', 'reassign-to-americana')
+ *   system - 'shopify' (fulfillment orders) or 'skusavvy' (shipments)
+ *   orderId, orderName, orderUUID (SkuSavvy order, for 'skusavvy')
+ *   triggeredBy
+ *   moves - [{ id, from: { id, name }, to: { id, name }, undoneAt }] - fulfillment order or shipment IDs
+ *   undo - { at, by, outcome, error } of the last undo attempt
+ */
+
+const TRANSFERS_FILE = 'transfers.json';
+
+// Kept well past the undo window so a late undo is told why it's refused rather than "not found"
+const RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+let transfers = null;
+
+function loadTransfers() {
+  if (transfers === null) {
+    transfers = readJson(TRANSFERS_FILE, {});
+  }
+  return transfers;
+}
+
+function saveTransfers() {
+  writeJson(TRANSFERS_FILE, transfers);
+}
+
+/**
+ * How long after a transfer it can still be undone
+ */
+export function getUndoWindowMs() {
+  return parseFloat(process.env.UNDO_WINDOW_MINUTES || '30') * 60 * 1000;
+}
+
+/**
+ * Record a transfer or reassignment with where each moved item was before
+ */
+export function recordTransfer({ action, system, orderId, orderName, orderUUID = null, triggeredBy, moves }) {
+  const transfer = {
+    id: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    action,
+    system,
+    orderId,
+    orderName,
+    orderUUID,
+    triggeredBy,
+    moves: moves.map(move => ({ ...move, undoneAt: null })),
+    undo: null
+  };
+
+  loadTransfers()[transfer.id] = transfer;
+  saveTransfers();
+
+  return transfer;
+}
+
+/**
+ * Record the shipments a SkuSavvy move actually changed, with the warehouse each one was in
+ * Returns the transfer, or null when no shipment changed warehouse (e.g. a retry after a partial move)
+ */
+export function recordShipmentTransfer(action, { orderId, orderName, orderUUID, shipments, movedShipmentIds, target, triggeredBy }) {
+  const moved = new Set(movedShipmentIds.map(String));
+  const moves = shipments
+    .filter(shipment => moved.has(String(shipment.id)) && shipment.warehouseId !== String(target.id))
+    .map(shipment => ({
+      id: shipment.id,
+      from: { id: shipment.warehouseId, name: shipment.warehouseName },
+      to: target
+    }));
+
+  if (moves.length === 0) {
+    return null;
+  }
+
+  return recordTransfer({ action, system: 'skusavvy', orderId, orderName, orderUUID, triggeredBy, moves });
+}
+
+export function getTransfer(id) {
+  return loadTransfers()[id] || null;
+}
+
+/**
+ * Why a transfer can't be undone, or null if it can
+ */
+export function undoBlockedReason(transfer) {
+  if (transfer.moves.every(move => move.undoneAt)) {
+    return 'Transfer has already been undone';
+  }
+
+  if (Date.now() - Date.parse(transfer.createdAt) > getUndoWindowMs()) {
+    return `Transfers can only be undone within ${getUndoWindowMs() / 60000} minutes`;
+  }
+
+  return null;
+}
+
+/**
+ * A transfer plus whether (and until when) it can be undone, for the API
+ */
+export function describeTransfer(transfer) {
+  const reason = undoBlockedReason(transfer);
+
+  return {
+    ...transfer,
+    undoable: !reason,
+    undoBlockedReason: reason,
+    undoableUntil: new Date(Date.parse(transfer.createdAt) + getUndoWindowMs()).toISOString()
+  };
+}
+
+/**
+ * Recent transfers, newest first
+ * Filters: orderNumber, undoable (only ones that can still be undone), limit
+ */
+export function listTransfers({ orderNumber, undoable = false, limit = 50 } = {}) {
+  const wantedOrder = orderNumber ? String(orderNumber).replace('#', '').toUpperCase() : null;
+
+  return Object.values(loadTransfers())
+    .filter(transfer =>
+      (!wantedOrder || String(transfer.orderName).replace('#', '').toUpperCase() === wantedOrder) &&
+      (!undoable || !undoBlockedReason(transfer)))
+    .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt))
+    .slice(0, limit);
+}
+
+/**
+ * Why a move can't be put back, or null if it can
+ * current is where the item is now ({ id, name }), or null if it's gone
+ */
+function moveProblem(move, current, kind) {
+  if (!current) {
+    return `${kind} ${move.id} no longer exists`;
+  }
+
+  if (String(current.id) !== String(move.to.id)) {
+    return `${kind} ${move.id} has been moved to ${current.name || current.id} since`;
+  }
+
+  if (!move.from?.id) {
+    return `${kind} ${move.id} has no recorded previous location`;
+  }
+
+  return null;
+}
+
+async function undoShopifyMoves(transfer, moves, run) {
+  const fulfillmentOrders = await fetchFulfillmentOrders(transfer.orderId);
+  const undoneIds = [];
+  const errors = [];
+
+  for (const move of moves) {
+    const fulfillmentOrder = fulfillmentOrders.find(fo => String(fo.id) === String(move.id));
+    const problem = moveProblem(move, fulfillmentOrder && {
+      id: fulfillmentOrder.assigned_location_id,
+      name: fulfillmentOrder.assigned_location?.name
+    }, 'Fulfillment order');
+
+    if (problem) {
+      errors.push(problem);
+      continue;
+    }
+
+    // Shopify only moves fulfillment orders nobody has started on
+    if (fulfillmentOrder.status !== 'open') {
+      errors.push(`Fulfillment order ${move.id} is ${fulfillmentOrder.status}`);
+      continue;
+    }
+
+    if (run.dryRun) {
+      run.plannedCalls.push({
+        api: 'shopify',
+        operation: 'fulfillmentOrderMove',
+        variables: fulfillmentOrderMoveVariables(move.id, move.from.id)
+      });
+      undoneIds.push(move.id);
+      continue;
+    }
+
+    try {
+      await moveFulfillmentOrder(move.id, move.from.id);
+      undoneIds.push(move.id);
+    } catch (error) {
+      errors.push(`Fulfillment order ${move.id}: ${error.message}`);
+    }
+  }
+
+  return { undoneIds, errors };
+}
+
+async function undoSkuSavvyMoves(transfer, moves, run) {
+  const order = await findSkuSavvyShipmentWarehouses(transfer.orderName.replace('#', ''));
+
+  if (!order) {
+    return { undoneIds: [], errors: ['Order not found in SkuSavvy'] };
+  }
+
+  const undoneIds = [];
+  const errors = [];
+
+  for (const move of moves) {
+    const shipment = order.shipments.find(candidate => String(candidate.id) === String(move.id));
+    const problem = moveProblem(move, shipment && { id: shipment.warehouseId, name: shipment.warehouseName }, 'Shipment');
+
+    if (problem) {
+      errors.push(problem);
+      continue;
+    }
+
+    const { reassignedCount, errors: moveErrors } = await moveShipmentsToWarehouse(order.orderUUID, [shipment], move.from.id, run);
+
+    if (reassignedCount > 0) {
+      undoneIds.push(move.id);
+    }
+    errors.push(...moveErrors);
+  }
+
+  return { undoneIds, errors };
+}
+
+/**
+ * Move everything a transfer moved back where it was
+ *
+ * Items moved again since, or that can't be moved any more (e.g. fulfilled),
+ * are left alone and reported in errors. In a dry run the calls only go to
+ * run.plannedCalls. Returns { undoneIds, errors }.
+ */
+export async function undoTransfer(transfer, run) {
+  const moves = transfer.moves.filter(move => !move.undoneAt);
+
+  if (transfer.system === 'shopify') {
+    return undoShopifyMoves(transfer, moves, run);
+  }
+
+  return undoSkuSavvyMoves(transfer, moves, run);
+}
+
+/**
+ * Remember an undo attempt; moves in undoneIds won't be undone again
+ */
+export function recordUndo(id, undoneIds, { by, outcome, error = null }) {
+  const transfer = loadTransfers()[id];
+  const at = new Date().toISOString();
+  const undone = new Set(undoneIds.map(String));
+
+  for (const move of transfer.moves) {
+    if (undone.has(String(move.id))) {
+      move.undoneAt = at;
+    }
+  }
+
+  transfer.undo = { at, by, outcome, error };
+  saveTransfers();
+
+  return transfer;
+}
+
+/**
+ * Forget transfers older than a week - the audit log keeps the history
+ */
+export function pruneTransfers() {
+  const cutoff = Date.now() - RETENTION_MS;
+  const all = loadTransfers();
+  let removed = 0;
+
+  for (const [id, transfer] of Object.entries(all)) {
+    if (Date.parse(transfer.createdAt) < cutoff) {
+      delete all[id];
+      removed++;
+    }
+  }
+
+  if (removed > 0) {
+    saveTransfers();
+  }
+
+  return removed;
+}
@@ -0,0 +1,95 @@
+import { readJson, writeJson } from './json-store.js';
+
+const LEDGER_FILE = 'webhook-ledger.json';
+
+let ledger = null;
+
+function loadLedger() {
+  if (ledger === null) {
+    ledger = readJson(LEDGER_FILE, { webhooks: {}, orders: {} });
+  }
+  return ledger;
+}
+
+function saveLedger() {
+  writeJson(LEDGER_FILE, ledger);
+}
+
+function getRetentionMs() {
+  return parseFloat(process.env.WEBHOOK_RETENTION_DAYS || '7') * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Has this X-Shopify-Webhook-Id been handled already?
+ */
+export function hasSeenWebhook(webhookId) {
+  return Boolean(webhookId && loadLedger().webhooks[webhookId]);
+}
+
+/**
+ * Remember a webhook delivery so redeliveries can be acknowledged without side effects
+ */
+export function recordWebhook(webhookId, { topic, orderId } = {}) {
+  if (!webhookId) {
+    return;
+  }
+
+  loadLedger().webhooks[webhookId] = {
+    topic,
+    orderId,
+    receivedAt: new Date().toISOString()
+  };
+  saveLedger();
+}
+
+/**
+ * Processing state for a Shopify order, e.g. { status: 'queued', jobId, ... }
+ */
+export function getOrderState(orderId) {
+  return loadLedger().orders[orderId] || null;
+}
+
+/**
+ * Merge new fields into an order's processing state
+ */
+export function setOrderState(orderId, changes) {
+  const orders = loadLedger().orders;
+
+  orders[orderId] = {
+    ...orders[orderId],
+    ...changes,
+    updatedAt: new Date().toISOString()
+  };
+  saveLedger();
+
+  return orders[orderId];
+}
+
+/**
+ * Forget webhooks and order states older than WEBHOOK_RETENTION_DAYS
+ */
+export function pruneLedger() {
+  const cutoff = Date.now() - getRetentionMs();
+  const { webhooks, orders } = loadLedger();
+  let removed = 0;
+
+  for (const [id, entry] of Object.entries(webhooks)) {
+    if (Date.parse(entry.receivedAt) < cutoff) {
+      delete webhooks[id];
+      removed++;
+    }
+  }
+
+  for (const [id, entry] of Object.entries(orders)) {
+    if (Date.parse(entry.updatedAt) < cutoff) {
+      delete orders[id];
+      removed++;
+    }
+  }
+
+  if (removed > 0) {
+    saveLedger();
+  }
+
+  return removed;
+}